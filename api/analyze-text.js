@@ -3,6 +3,10 @@
 
 const { emotionEngine } = require('./emotion-engine');
 const { authenticate } = require('./auth-middleware');
+const { splitSentences } = require('./sentences');
+const { normalizeLanguageCode } = require('./language');
+const { resolveTaxonomy } = require('./taxonomy');
+const { parseSarcasmThreshold } = require('./sarcasm');
 
 // Simple in-memory counter (resets on function restart)
 let textAnalysisCalls = 0;
@@ -34,7 +38,7 @@ module.exports = async function handler(req, res) {
   try {
     textAnalysisCalls++;
     
-    const { text } = req.body;
+    const { text, sarcasm_threshold, invert_sarcasm, breakdown, explain, annotate, language, taxonomy } = req.body;
     
     // Validate input
     if (!text || typeof text !== 'string') {
@@ -59,9 +63,43 @@ module.exports = async function handler(req, res) {
       });
     }
     
+    // Without a language (or with "auto") it is detected from the text
+    const requestedLanguage = language === undefined || language === 'auto' ? null : normalizeLanguageCode(language);
+    if (language !== undefined && language !== 'auto' && !requestedLanguage) {
+      return res.status(400).json({
+        success: false,
+        error: 'language must be an ISO 639 language code or "auto"'
+      });
+    }
+    
+    const sarcasm = parseSarcasmThreshold(sarcasm_threshold);
+    if (sarcasm.error) {
+      return res.status(400).json({
+        success: false,
+        error: sarcasm.error
+      });
+    }
+    
+    // A built-in taxonomy name or an inline { name, labels } mapping
+    const resolvedTaxonomy = resolveTaxonomy(taxonomy);
+    if (resolvedTaxonomy.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedTaxonomy.error
+      });
+    }
+    
     // Run the emotion analysis
     const startTime = Date.now();
-    const emotionAnalysis = await emotionEngine.analyzeText(trimmedText);
+    const emotionAnalysis = await emotionEngine.analyzeText(trimmedText, {
+      sarcasmThreshold: sarcasm.threshold,
+      invertSarcasm: invert_sarcasm === true,
+      breakdown: breakdown === true,
+      explain: explain === true,
+      annotate,
+      language: requestedLanguage,
+      taxonomy: resolvedTaxonomy.taxonomy
+    });
     const processingTime = (Date.now() - startTime) / 1000;
     
     const wordCount = trimmedText.split(/\s+/).length;
@@ -80,7 +118,7 @@ module.exports = async function handler(req, res) {
         input_stats: {
           character_count: trimmedText.length,
           word_count: wordCount,
-          sentence_count: trimmedText.split(/[.!?]+/).filter(s => s.trim().length > 0).length
+          sentence_count: splitSentences(trimmedText).length
         },
         api_calls: {
           text_analysis_calls: textAnalysisCalls,
@@ -0,0 +1,81 @@
+// Annotated Text
+// Renders the analyzed text with its emotional words marked up, so the dashboard can show a result
+// without re-tokenizing: every word that counted toward the result is wrapped with its emotion, and
+// intensity modifiers, negated and sarcasm-inverted words get their own classes.
+//
+//   html    <span class="emotion emotion-anger negated" data-emotion="anger" data-confidence="0.62">hate</span>
+//   markup  [hate]{.anger .negated}  (Pandoc bracketed spans)
+//
+// Spans come from the start/end offsets tokenizer.attachOffsets() puts on each word analysis.
+
+const ANNOTATION_FORMATS = ['html', 'markup'];
+
+// Same confidence cut-off calculateOverallEmotion uses to decide which words count
+const SCORING_CONFIDENCE = 0.25;
+
+function escapeHtml(value) {
+    return value.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Backslash-escape the characters that would open or close Pandoc markup
+function escapeMarkup(value) {
+    return value.replace(/[\\[\]{}*_`]/g, '\\$&');
+}
+
+// Classes for a word analysis, or null when it isn't worth marking
+function getAnnotationClasses(wordAnalysis) {
+    if (wordAnalysis.is_modifier) return ['modifier'];
+    if (!wordAnalysis.found || wordAnalysis.confidence <= SCORING_CONFIDENCE || wordAnalysis.emotion === 'neutral') {
+        return null;
+    }
+
+    const classes = [wordAnalysis.emotion];
+    if (wordAnalysis.negated) classes.push('negated');
+    if (wordAnalysis.sarcasm_inverted) classes.push('sarcastic');
+    if (wordAnalysis.intensity_multiplier > 1) classes.push('intensified');
+    return classes;
+}
+
+function renderSpan(format, content, wordAnalysis, classes) {
+    if (format === 'markup') {
+        return `[${escapeMarkup(content)}]{${classes.map(name => `.${name}`).join(' ')}}`;
+    }
+
+    const [kind, ...flags] = classes;
+    const className = kind === 'modifier' ? ['modifier', ...flags] : ['emotion', `emotion-${kind}`, ...flags];
+    const data = kind === 'modifier' ? '' :
+        ` data-emotion="${kind}" data-confidence="${Number(wordAnalysis.confidence.toFixed(3))}"`;
+    return `<span class="${className.join(' ')}"${data}>${escapeHtml(content)}</span>`;
+}
+
+// The text with its emotional words marked up in format ('html' or 'markup'); everything between
+// them is copied through (HTML-escaped for html)
+function renderAnnotatedText(text, wordAnalyses, format = 'html') {
+    const escape = format === 'markup' ? escapeMarkup : escapeHtml;
+    const marked = wordAnalyses
+        .map(wordAnalysis => ({ wordAnalysis, classes: getAnnotationClasses(wordAnalysis) }))
+        .filter(({ wordAnalysis, classes }) => classes && wordAnalysis.start !== undefined)
+        .sort((a, b) => a.wordAnalysis.start - b.wordAnalysis.start);
+
+    let output = '';
+    let cursor = 0;
+    for (const { wordAnalysis, classes } of marked) {
+        if (wordAnalysis.start < cursor) continue;
+        output += escape(text.slice(cursor, wordAnalysis.start));
+        output += renderSpan(format, text.slice(wordAnalysis.start, wordAnalysis.end), wordAnalysis, classes);
+        cursor = wordAnalysis.end;
+    }
+    return output + escape(text.slice(cursor));
+}
+
+// Normalize a requested annotation format: true means html; anything unrecognized is null
+function parseAnnotationFormat(value) {
+    if (value === true || value === 'true') return 'html';
+    return ANNOTATION_FORMATS.includes(value) ? value : null;
+}
+
+module.exports = {
+    renderAnnotatedText,
+    parseAnnotationFormat,
+    ANNOTATION_FORMATS
+};
@@ -0,0 +1,240 @@
+// Confidence Calibration
+// The engines' `confidence` is the top share of an amplified, pattern-boosted weight distribution,
+// not a probability, so 0.6 on a two-word text and 0.6 on a paragraph don't mean the same thing.
+// A calibration model fitted on labeled texts (npm run fit-calibration) maps the raw emotion
+// distribution to calibrated probabilities, either with one temperature for the whole distribution
+// or with an isotonic curve per emotion. calibrateResult() adds those, an uncertainty score and an
+// abstain flag to an analysis result.
+//
+// The model is read from CALIBRATION_MODEL (default calibration/model.json). Without one the raw
+// distribution is passed through unchanged and only the abstain rules apply. A model only applies to
+// the engine it was fitted on ("json" or "postgres" in its engine field): the JSON engine's context
+// pattern boosts give it a different distribution, so another engine's model would miscalibrate.
+
+const fs = require('fs');
+const path = require('path');
+const { EMOTIONS } = require('./enrichment-validator');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', 'calibration', 'model.json');
+
+// When a result is too weak to act on. Models may carry their own thresholds.
+const DEFAULT_ABSTAIN = {
+    min_coverage: 0.1, // share of tokens that matched an emotional lexicon entry
+    min_confidence: 0.3, // calibrated probability of the reported emotion
+    max_uncertainty: 0.95 // normalized entropy of the calibrated distribution
+};
+
+// Keeps log() finite for emotions a model or distribution rates at zero
+const MIN_PROBABILITY = 1e-4;
+
+const IDENTITY_MODEL = { method: 'none', abstain: DEFAULT_ABSTAIN };
+
+// Engines a model can be fitted on
+const CALIBRATION_ENGINES = ['json', 'postgres'];
+
+function normalize(values) {
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return total > 0 ? values.map(value => value / total) : values.map(() => 1 / values.length);
+}
+
+// Entropy of a distribution divided by its maximum: 0 when certain, 1 when uniform
+function normalizedEntropy(probabilities) {
+    const entropy = probabilities.reduce((sum, p) => (p > 0 ? sum - p * Math.log(p) : sum), 0);
+    return entropy / Math.log(probabilities.length);
+}
+
+// Softmax of log-probabilities divided by the temperature; T > 1 flattens, T < 1 sharpens
+function applyTemperature(probabilities, temperature) {
+    const logits = probabilities.map(p => Math.log(Math.max(p, MIN_PROBABILITY)) / temperature);
+    const max = Math.max(...logits);
+    return normalize(logits.map(logit => Math.exp(logit - max)));
+}
+
+// Piecewise-linear lookup on an isotonic curve { x, y } (sorted x), clamped at both ends
+function interpolate(curve, value) {
+    const { x, y } = curve;
+    if (value <= x[0]) return y[0];
+    if (value >= x[x.length - 1]) return y[y.length - 1];
+    let i = 1;
+    while (x[i] < value) i++;
+    const t = (value - x[i - 1]) / (x[i] - x[i - 1]);
+    return y[i - 1] + t * (y[i] - y[i - 1]);
+}
+
+// Map a raw emotion distribution ({ joy: 0.4, ... }) through the model; returns the same shape
+function applyCalibration(model, emotions) {
+    const raw = EMOTIONS.map(emotion => emotions[emotion] ?? 0);
+    let calibrated;
+    if (model.method === 'temperature') {
+        calibrated = applyTemperature(raw, model.temperature);
+    } else if (model.method === 'isotonic') {
+        calibrated = normalize(EMOTIONS.map((emotion, i) =>
+            Math.max(interpolate(model.curves[emotion], raw[i]), MIN_PROBABILITY)));
+    } else {
+        calibrated = normalize(raw);
+    }
+    return Object.fromEntries(EMOTIONS.map((emotion, i) => [emotion, calibrated[i]]));
+}
+
+// Fields added to a result: calibrated_emotions, calibrated_confidence (of the reported emotion;
+// null for neutral results), uncertainty (0-1), abstain and abstain_reasons, and the calibration method used.
+// model comes from getCalibrationModel(engine) for the engine that produced the result.
+function calibrateResult(result, model = IDENTITY_MODEL) {
+    const calibrated = applyCalibration(model, result.emotions);
+    const thresholds = { ...DEFAULT_ABSTAIN, ...model.abstain };
+    const confidence = calibrated[result.overall_emotion] ?? null;
+    const uncertainty = normalizedEntropy(Object.values(calibrated));
+
+    const reasons = [];
+    if (result.analyzed_words === 0) {
+        reasons.push('no_emotional_words');
+    } else {
+        if (result.coverage < thresholds.min_coverage) reasons.push('low_coverage');
+        if (confidence < thresholds.min_confidence) reasons.push('low_confidence');
+        if (uncertainty > thresholds.max_uncertainty) reasons.push('high_uncertainty');
+    }
+
+    return {
+        calibrated_emotions: calibrated,
+        calibrated_confidence: confidence,
+        uncertainty,
+        abstain: reasons.length > 0,
+        abstain_reasons: reasons,
+        calibration_method: model.method
+    };
+}
+
+// Fit a single temperature by minimizing the negative log-likelihood of the gold labels.
+// samples: [{ emotions, label }]. Golden-section search over log T in [0.05, 20].
+function fitTemperature(samples) {
+    const loss = logT => negativeLogLikelihood(samples, emotions =>
+        applyCalibration({ method: 'temperature', temperature: Math.exp(logT) }, emotions));
+
+    let low = Math.log(0.05);
+    let high = Math.log(20);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    for (let i = 0; i < 60; i++) {
+        const a = high - ratio * (high - low);
+        const b = low + ratio * (high - low);
+        if (loss(a) < loss(b)) high = b; else low = a;
+    }
+    return { method: 'temperature', temperature: Number(Math.exp((low + high) / 2).toFixed(4)) };
+}
+
+// Pool-adjacent-violators: the non-decreasing fit of outcomes (0/1) ordered by score.
+// Returns the curve as block midpoints { x, y }.
+function isotonicCurve(points) {
+    const sorted = [...points].sort((a, b) => a.score - b.score);
+    const blocks = [];
+    for (const { score, outcome } of sorted) {
+        blocks.push({ sumX: score, sumY: outcome, count: 1 });
+        while (blocks.length > 1 &&
+            blocks[blocks.length - 2].sumY / blocks[blocks.length - 2].count >= blocks[blocks.length - 1].sumY / blocks[blocks.length - 1].count) {
+            const last = blocks.pop();
+            const previous = blocks[blocks.length - 1];
+            previous.sumX += last.sumX;
+            previous.sumY += last.sumY;
+            previous.count += last.count;
+        }
+    }
+
+    const round = value => Number(value.toFixed(4));
+    const x = blocks.map(block => round(block.sumX / block.count));
+    const y = blocks.map(block => round(block.sumY / block.count));
+    // A single block is a flat curve; give interpolate() two points
+    if (x.length === 1) {
+        x.push(x[0] + 1);
+        y.push(y[0]);
+    }
+    return { x, y };
+}
+
+// One isotonic curve per emotion, mapping its raw share to how often it was the gold label
+function fitIsotonic(samples) {
+    const curves = {};
+    for (const emotion of EMOTIONS) {
+        curves[emotion] = isotonicCurve(samples.map(sample => ({
+            score: sample.emotions[emotion] ?? 0,
+            outcome: sample.label === emotion ? 1 : 0
+        })));
+    }
+    return { method: 'isotonic', curves };
+}
+
+// Fit a model from [{ emotions, label }] with label one of EMOTIONS; other labels (neutral) are skipped
+function fitCalibrationModel(samples, { method = 'temperature', abstain = {} } = {}) {
+    const usable = samples.filter(sample => EMOTIONS.includes(sample.label));
+    if (usable.length === 0) {
+        throw new Error('No samples labeled with one of the emotions');
+    }
+
+    const fitted = method === 'isotonic' ? fitIsotonic(usable) : fitTemperature(usable);
+    return {
+        ...fitted,
+        abstain: { ...DEFAULT_ABSTAIN, ...abstain },
+        samples: usable.length,
+        fitted_at: new Date().toISOString()
+    };
+}
+
+function negativeLogLikelihood(samples, calibrate) {
+    const total = samples.reduce((sum, sample) =>
+        sum - Math.log(Math.max(calibrate(sample.emotions)[sample.label], MIN_PROBABILITY)), 0);
+    return total / samples.length;
+}
+
+// Expected calibration error: the gap between confidence and accuracy of the top emotion,
+// averaged over equal-width confidence bins weighted by how many samples fall in each
+function expectedCalibrationError(samples, calibrate, bins = 10) {
+    const buckets = Array.from({ length: bins }, () => ({ confidence: 0, correct: 0, count: 0 }));
+    for (const sample of samples) {
+        const probabilities = calibrate(sample.emotions);
+        const top = EMOTIONS.reduce((a, b) => (probabilities[a] >= probabilities[b] ? a : b));
+        const bucket = buckets[Math.min(bins - 1, Math.floor(probabilities[top] * bins))];
+        bucket.confidence += probabilities[top];
+        bucket.correct += top === sample.label ? 1 : 0;
+        bucket.count++;
+    }
+    return buckets.reduce((sum, bucket) => (bucket.count > 0
+        ? sum + Math.abs(bucket.confidence - bucket.correct) / samples.length
+        : sum), 0);
+}
+
+const cachedModels = new Map(); // engine -> model
+
+// The deployment's model for an engine ('json' or 'postgres'), loaded once. A missing or unreadable
+// file, or a model fitted on another engine, means no calibration.
+function getCalibrationModel(engine) {
+    if (cachedModels.has(engine)) return cachedModels.get(engine);
+
+    const modelPath = process.env.CALIBRATION_MODEL || DEFAULT_MODEL_PATH;
+    let model = IDENTITY_MODEL;
+    try {
+        const loaded = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+        if (loaded.engine === engine) {
+            model = loaded;
+        } else {
+            console.error(`Calibration model ${modelPath} was fitted on the ${loaded.engine || 'unknown'} engine, ` +
+                `not ${engine}; serving uncalibrated`);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Could not load calibration model ${modelPath}:`, error.message);
+        }
+    }
+    cachedModels.set(engine, model);
+    return model;
+}
+
+module.exports = {
+    calibrateResult,
+    applyCalibration,
+    fitCalibrationModel,
+    getCalibrationModel,
+    negativeLogLikelihood,
+    expectedCalibrationError,
+    normalizedEntropy,
+    DEFAULT_MODEL_PATH,
+    DEFAULT_ABSTAIN,
+    CALIBRATION_ENGINES
+};
@@ -0,0 +1,57 @@
+// Emoji & Emoticons
+// Recognizes Unicode emoji (including ZWJ sequences, flags and skin-tone variants) and ASCII faces
+// like :) xD <3, and normalizes them to the keys used in words/emoji.json and the words table.
+
+// One emoji: a flag, or a pictograph with optional presentation selector and skin tone,
+// joined to further pictographs by zero-width joiners. (c), (r) and tm are pictographic but not emoji here.
+const EMOJI_SEQUENCE = '(?:\\p{Regional_Indicator}{2}|(?![\\u00A9\\u00AE\\u2122])\\p{Extended_Pictographic}[\\uFE0E\\uFE0F]?\\p{Emoji_Modifier}?(?:\\u200D\\p{Extended_Pictographic}[\\uFE0E\\uFE0F]?\\p{Emoji_Modifier}?)*)';
+
+const EMOJI_PATTERN = new RegExp(`^${EMOJI_SEQUENCE}$`, 'u');
+
+// ASCII emoticons, lowercased (":D" and "XD" are looked up as ":d" and "xd")
+const EMOTICONS = new Set([
+    ':)', ':-)', '=)', ':]', '(:', ':d', ':-d', '=d', 'xd', ';)', ';-)', ':p', ':-p', ';p', 'xp',
+    '^_^', '^^', ':3', ':*', ':-*', '<3', '</3', ':(', ':-(', '=(', ':[', '):', ":'(", ":'-(",
+    'd:', 't_t', ';_;', ':/', ':-/', ':\\', ':|', ':-|', '-_-', '>:(', '>:-(', ':@', ':o', ':-o',
+    'o_o', 'o.o', 'o_0', '0_o', ':s', 'xo', 'xoxo'
+]);
+
+// Skin-tone modifiers and presentation selectors don't change the emotion
+const VARIANT_PATTERN = /[\u{1F3FB}-\u{1F3FF}\uFE0E\uFE0F]/gu;
+
+function isEmojiSequence(token) {
+    return EMOJI_PATTERN.test(token);
+}
+
+// Strip skin tones and presentation selectors: "👍🏽" -> "👍", "❤️" -> "❤"
+function normalizeEmoji(sequence) {
+    return sequence.replace(VARIANT_PATTERN, '');
+}
+
+// Lexicon key for a token that is entirely an emoji or emoticon, otherwise null
+function getEmojiKey(token) {
+    if (isEmojiSequence(token)) return normalizeEmoji(token);
+
+    const lower = token.toLowerCase();
+    return EMOTICONS.has(lower) ? lower : null;
+}
+
+function isEmojiKey(key) {
+    return EMOTICONS.has(key) || isEmojiSequence(key);
+}
+
+// Keys to try in order: the full sequence, then the first pictograph of a ZWJ sequence ("😮‍💨" -> "😮")
+function getEmojiLookupKeys(key) {
+    const base = key.split('\u200D')[0];
+    return base !== key ? [key, base] : [key];
+}
+
+module.exports = {
+    EMOJI_SEQUENCE,
+    EMOTICONS,
+    isEmojiSequence,
+    normalizeEmoji,
+    getEmojiKey,
+    isEmojiKey,
+    getEmojiLookupKeys
+};
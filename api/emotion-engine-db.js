@@ -3,15 +3,64 @@
 // WITH FULL DEBUG OUTPUT IN RESPONSE
 
 const { Pool } = require('pg');
+const { applyNegation } = require('./negation');
+const { applyIntensity } = require('./intensity');
+const { detectSarcasm, applySarcasmInversion } = require('./sarcasm');
+const { calculateSocialAxes, calculateToxicity } = require('./social-signals');
+const { buildPhraseIndex, addToPhraseIndex, segmentTokens, mergeCandidatePhrases } = require('./phrases');
+const { tokenize, cleanToken, attachOffsets } = require('./tokenizer');
+const { getEmojiKey, isEmojiKey, getEmojiLookupKeys } = require('./emoji');
+const { getLookupCandidates, createFuzzyBudget, isMidSentenceName, CHAT_SPELLINGS } = require('./lemmatizer');
+const { applyClauseWeights, buildSentenceBreakdown } = require('./sentences');
+const { LRUCache } = require('./lru-cache');
+const { createEnrichmentProvider, getEnrichmentConfig, requestEnrichment, requestTranslation } = require('./enrichment');
+const { getReviewExclusion } = require('./lexicon-review');
+const { EMOTIONS } = require('./enrichment-validator');
+const { entryToColumnValues, STATS_COLUMNS } = require('./lexicon-entry');
+const { DEFAULT_LANGUAGE, resolveLanguage, isStopword, getLanguageName } = require('./language');
+const { calibrateResult, getCalibrationModel } = require('./calibration');
+const { applyTaxonomy } = require('./taxonomy');
+const { renderAnnotatedText, parseAnnotationFormat } = require('./annotation');
+const { explainResult } = require('./explanation');
+
+// Most unknown words enriched per batch request, shared across its items
+const BATCH_ENRICHMENT_LIMIT = parseInt(process.env.BATCH_ENRICHMENT_LIMIT) || 25;
+
+// Most lexicon entries kept in memory; least recently used entries are evicted first
+const WORD_CACHE_SIZE = parseInt(process.env.WORD_CACHE_SIZE) || 10000;
+
+// Postgres channel instances use to tell each other which lexicon words changed
+const LEXICON_CHANNEL = 'lexicon_changes';
+const MAX_NOTIFY_WORDS = 100;
+const CACHE_SYNC_RETRY_MS = 5000;
+
+// Published lexicon versions kept loaded at once, each with its own word cache
+const MAX_LOADED_VERSIONS = 4;
+
+// Organizations whose custom lexicon layer is kept loaded at once
+const ORG_LAYER_CACHE_SIZE = 100;
+
+// Columns left out of version snapshots so entries compare equal unless their content changed
+const SNAPSHOT_EXCLUDED_COLUMNS = ['id', 'created_at', 'updated_at'];
+const SNAPSHOT_ENTRY = `to_jsonb(words) ${SNAPSHOT_EXCLUDED_COLUMNS.map(column => `- '${column}'`).join(' ')}`;
 
 class EmotionEngine {
     constructor() {
-        this.wordCache = new Map();
-        this.deepseekApiKey = process.env.DEEPSEEK_API_KEY;
+        this.wordCache = new LRUCache(WORD_CACHE_SIZE); // word -> lexicon entry, or null if not in the database
+        this.fallbackCache = new LRUCache(WORD_CACHE_SIZE); // unknown word -> its lemma/fuzzy match, or null
+        this.phraseIndex = buildPhraseIndex([]);
+        this.languageLexicons = new Map(); // language -> live lexicon for languages other than English
+        this.lexiconLanguages = new Set([DEFAULT_LANGUAGE]); // languages with words in the words table
+        this.versionLexicons = new LRUCache(MAX_LOADED_VERSIONS); // "version:language" -> { version, language, wordCache, fallbackCache, phraseIndex }
+        this.knownVersions = new Set(); // version ids confirmed to exist; versions are never deleted
+        this.orgLayers = new LRUCache(ORG_LAYER_CACHE_SIZE); // org id -> Map of language -> { orgId, language, words, phrases, phraseIndexes }
+        this.enrichmentProvider = createEnrichmentProvider();
+        this.maxEnrichmentWords = getEnrichmentConfig().maxWords;
         this.dbConnected = false;
         this.dbError = null;
         this.dbWordCount = 0;
         this.initAttempted = false;
+        this.syncClient = null; // Connection listening for lexicon changes from other instances
         
         // PostgreSQL connection pool
         this.pool = new Pool({
@@ -20,14 +69,14 @@ class EmotionEngine {
             user: process.env.DB_USER || 'db',
             password: process.env.DB_PASSWORD,
             database: process.env.DB_NAME || 'db',
-            ssl: { rejectUnauthorized: false },
+            ssl: process.env.DB_SSL === 'false' ? false : { rejectUnauthorized: false },
             max: 20,
             idleTimeoutMillis: 30000,
             connectionTimeoutMillis: 10000,
         });
         
         // Test connection AND auto-setup on startup
-        this.initializeDatabase();
+        this.ready = this.initializeDatabase();
     }
     
     async initializeDatabase() {
@@ -50,6 +99,14 @@ class EmotionEngine {
             this.dbError = null;
             console.log(`✅ Database connected! ${this.dbWordCount} words in database`);
             
+            await this.loadPhraseIndex();
+            console.log(`   ${this.phraseIndex.phrases.size} multi-word phrases indexed`);
+            
+            await this.loadLexiconLanguages();
+            console.log(`   Lexicon languages: ${[...this.lexiconLanguages].join(', ')}`);
+            
+            await this.startCacheSync();
+            
             if (this.dbWordCount === 0) {
                 console.log('⚠️  Database is empty! Run: npm run migrate-words');
             }
@@ -66,7 +123,8 @@ class EmotionEngine {
         const createWordsTable = `
             CREATE TABLE IF NOT EXISTS words (
                 id SERIAL PRIMARY KEY,
-                word VARCHAR(255) UNIQUE NOT NULL,
+                word VARCHAR(255) NOT NULL,
+                language VARCHAR(10) NOT NULL DEFAULT 'en',
                 pos TEXT[],
                 valence DECIMAL(5,4) NOT NULL DEFAULT 0.5,
                 arousal DECIMAL(5,4) NOT NULL DEFAULT 0.5,
@@ -81,11 +139,51 @@ class EmotionEngine {
                 emotion_disgust DECIMAL(5,4) NOT NULL DEFAULT 0.125,
                 sentiment_polarity VARCHAR(20) DEFAULT 'neutral',
                 sentiment_strength DECIMAL(5,4) DEFAULT 0.5,
+                good_bad DECIMAL(5,4) DEFAULT 0.0,
+                warmth_cold DECIMAL(5,4) DEFAULT 0.0,
+                competence_incompetence DECIMAL(5,4) DEFAULT 0.0,
+                active_passive DECIMAL(5,4) DEFAULT 0.0,
+                toxicity DECIMAL(5,4) DEFAULT 0.0,
+                negation_flip_probability DECIMAL(5,4) DEFAULT 0.0,
+                sarcasm_flip_probability DECIMAL(5,4) DEFAULT 0.0,
+                enrichment_provider VARCHAR(50),
+                enrichment_model VARCHAR(100),
+                enrichment_confidence DECIMAL(5,4),
+                created_by_request VARCHAR(100),
+                review_status VARCHAR(20) NOT NULL DEFAULT 'approved',
+                reviewed_by VARCHAR(100),
+                reviewed_at TIMESTAMP,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `;
         
+        // Older deployments created the words table without the social axis, toxicity, dynamics and provenance columns
+        const addLexiconColumns = `
+            ALTER TABLE words
+                ADD COLUMN IF NOT EXISTS good_bad DECIMAL(5,4) DEFAULT 0.0,
+                ADD COLUMN IF NOT EXISTS warmth_cold DECIMAL(5,4) DEFAULT 0.0,
+                ADD COLUMN IF NOT EXISTS competence_incompetence DECIMAL(5,4) DEFAULT 0.0,
+                ADD COLUMN IF NOT EXISTS active_passive DECIMAL(5,4) DEFAULT 0.0,
+                ADD COLUMN IF NOT EXISTS toxicity DECIMAL(5,4) DEFAULT 0.0,
+                ADD COLUMN IF NOT EXISTS negation_flip_probability DECIMAL(5,4) DEFAULT 0.0,
+                ADD COLUMN IF NOT EXISTS sarcasm_flip_probability DECIMAL(5,4) DEFAULT 0.0,
+                ADD COLUMN IF NOT EXISTS enrichment_provider VARCHAR(50),
+                ADD COLUMN IF NOT EXISTS enrichment_model VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS enrichment_confidence DECIMAL(5,4),
+                ADD COLUMN IF NOT EXISTS created_by_request VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) NOT NULL DEFAULT 'approved',
+                ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en'
+        `;
+        
+        // Words are unique per language; older deployments had a unique constraint on word alone
+        const migrateWordsKey = `
+            ALTER TABLE words DROP CONSTRAINT IF EXISTS words_word_key;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_words_word_language ON words(word, language)
+        `;
+        
         const createLogsTable = `
             CREATE TABLE IF NOT EXISTS api_processing_logs (
                 id SERIAL PRIMARY KEY,
@@ -106,203 +204,817 @@ class EmotionEngine {
             )
         `;
         
+        // LLM enrichments that failed validation, kept for inspection instead of entering the lexicon
+        const createQuarantineTable = `
+            CREATE TABLE IF NOT EXISTS enrichment_quarantine (
+                id SERIAL PRIMARY KEY,
+                word VARCHAR(255) NOT NULL,
+                provider VARCHAR(50),
+                model VARCHAR(100),
+                raw_response TEXT,
+                errors JSONB,
+                attempts INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+        
+        // Every manual change to the lexicon, with the entry before and after.
+        // Older deployments audited without a language; their changes were to English words.
+        const createAuditTable = `
+            CREATE TABLE IF NOT EXISTS lexicon_audit (
+                id SERIAL PRIMARY KEY,
+                word VARCHAR(255) NOT NULL,
+                language VARCHAR(10) NOT NULL DEFAULT 'en',
+                action VARCHAR(20) NOT NULL,
+                actor VARCHAR(100),
+                before JSONB,
+                after JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            ALTER TABLE lexicon_audit ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en'
+        `;
+        
+        // Published lexicon versions: immutable snapshots of the words table, one JSONB row per word
+        const createVersionTables = `
+            CREATE TABLE IF NOT EXISTS lexicon_versions (
+                id SERIAL PRIMARY KEY,
+                description TEXT,
+                word_count INTEGER,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS lexicon_version_words (
+                version_id INTEGER NOT NULL REFERENCES lexicon_versions(id),
+                language VARCHAR(10) NOT NULL DEFAULT 'en',
+                word VARCHAR(255) NOT NULL,
+                entry JSONB NOT NULL
+            );
+            ALTER TABLE lexicon_version_words ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+            ALTER TABLE lexicon_version_words DROP CONSTRAINT IF EXISTS lexicon_version_words_pkey;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_version_words_key ON lexicon_version_words(version_id, language, word)
+        `;
+        
+        // Organization-scoped overrides and additions layered over the global lexicon of one language.
+        // Older deployments keyed it by (org_id, word) alone; their words are English.
+        const createOrgLexiconTable = `
+            CREATE TABLE IF NOT EXISTS org_lexicon (
+                org_id VARCHAR(50) NOT NULL,
+                language VARCHAR(10) NOT NULL DEFAULT 'en',
+                word VARCHAR(255) NOT NULL,
+                entry JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            ALTER TABLE org_lexicon ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+            ALTER TABLE org_lexicon DROP CONSTRAINT IF EXISTS org_lexicon_pkey;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_org_lexicon_key ON org_lexicon(org_id, language, word)
+        `;
+        
         try {
             await this.pool.query(createWordsTable);
+            await this.pool.query(addLexiconColumns);
+            await this.pool.query(migrateWordsKey);
             await this.pool.query(createLogsTable);
+            await this.pool.query(createQuarantineTable);
+            await this.pool.query(createAuditTable);
+            await this.pool.query(createVersionTables);
+            await this.pool.query(createOrgLexiconTable);
             console.log('   ✅ Database tables verified/created');
         } catch (error) {
             console.error('   ⚠️  Could not create tables:', error.message);
         }
     }
     
-    async getWordData(word) {
-        const cleanWord = word.toLowerCase();
-        
-        // Check memory cache first
-        if (this.wordCache.has(cleanWord)) {
-            return { data: this.wordCache.get(cleanWord), source: 'memory_cache' };
+    // Multi-word entries share the words table; keep their keys in memory for longest-match lookup
+    async loadPhraseIndex(language = DEFAULT_LANGUAGE) {
+        const result = await this.pool.query(
+            `SELECT word FROM words WHERE word LIKE '% %' AND language = $1`,
+            [language]
+        );
+        const phraseIndex = buildPhraseIndex(result.rows.map(row => row.word));
+        if (language === DEFAULT_LANGUAGE) {
+            this.phraseIndex = phraseIndex;
+        } else if (this.languageLexicons.has(language)) {
+            this.languageLexicons.get(language).phraseIndex = phraseIndex;
+        }
+        return phraseIndex;
+    }
+    
+    // Languages other than English are scored against their own lexicon once it has any words
+    async loadLexiconLanguages() {
+        const result = await this.pool.query('SELECT DISTINCT language FROM words');
+        this.lexiconLanguages = new Set([DEFAULT_LANGUAGE, ...result.rows.map(row => row.language)]);
+    }
+    
+    // Convert a words table row to the lexicon entry shape used by the JSON engine
+    rowToEmotionData(row) {
+        return {
+            pos: row.pos || ['noun'],
+            vad: {
+                valence: parseFloat(row.valence),
+                arousal: parseFloat(row.arousal),
+                dominance: parseFloat(row.dominance)
+            },
+            emotion_probs: {
+                joy: parseFloat(row.emotion_joy),
+                trust: parseFloat(row.emotion_trust),
+                anticipation: parseFloat(row.emotion_anticipation),
+                surprise: parseFloat(row.emotion_surprise),
+                anger: parseFloat(row.emotion_anger),
+                fear: parseFloat(row.emotion_fear),
+                sadness: parseFloat(row.emotion_sadness),
+                disgust: parseFloat(row.emotion_disgust)
+            },
+            sentiment: {
+                polarity: row.sentiment_polarity,
+                strength: parseFloat(row.sentiment_strength)
+            },
+            social_axes: {
+                good_bad: parseFloat(row.good_bad) || 0,
+                warmth_cold: parseFloat(row.warmth_cold) || 0,
+                competence_incompetence: parseFloat(row.competence_incompetence) || 0,
+                active_passive: parseFloat(row.active_passive) || 0
+            },
+            toxicity: parseFloat(row.toxicity) || 0,
+            dynamics: {
+                negation_flip_probability: parseFloat(row.negation_flip_probability) || 0,
+                sarcasm_flip_probability: parseFloat(row.sarcasm_flip_probability) || 0
+            },
+            enrichment: row.enrichment_provider
+                ? {
+                    provider: row.enrichment_provider,
+                    model: row.enrichment_model,
+                    confidence: row.enrichment_confidence !== null && row.enrichment_confidence !== undefined
+                        ? parseFloat(row.enrichment_confidence)
+                        : null,
+                    request_id: row.created_by_request || null
+                }
+                : null,
+            review_status: row.review_status || 'approved'
+        };
+    }
+    
+    // The live lexicon, or the snapshot of a published version, as the lookup state analysis runs against:
+    // { version, language, wordCache, fallbackCache, phraseIndex } with version null for the live words table.
+    // Versions are immutable, so their caches never need invalidating.
+    async getLexicon(version = null, language = DEFAULT_LANGUAGE) {
+        if (version === null || version === undefined) {
+            if (language === DEFAULT_LANGUAGE) {
+                return { version: null, language, wordCache: this.wordCache, fallbackCache: this.fallbackCache, phraseIndex: this.phraseIndex };
+            }
+            let lexicon = this.languageLexicons.get(language);
+            if (!lexicon) {
+                lexicon = {
+                    version: null,
+                    language,
+                    wordCache: new LRUCache(WORD_CACHE_SIZE),
+                    fallbackCache: new LRUCache(WORD_CACHE_SIZE),
+                    phraseIndex: buildPhraseIndex([])
+                };
+                this.languageLexicons.set(language, lexicon);
+                await this.loadPhraseIndex(language);
+            }
+            return lexicon;
         }
         
-        // Try database
-        try {
+        const key = `${version}:${language}`;
+        let lexicon = this.versionLexicons.get(key);
+        if (!lexicon) {
             const result = await this.pool.query(
-                'SELECT * FROM words WHERE LOWER(word) = $1',
-                [cleanWord]
+                `SELECT word FROM lexicon_version_words WHERE version_id = $1 AND language = $2 AND word LIKE '% %'`,
+                [version, language]
             );
-            
-            if (result.rows.length > 0) {
-                const row = result.rows[0];
-                const emotionData = {
-                    vad: {
-                        valence: parseFloat(row.valence),
-                        arousal: parseFloat(row.arousal),
-                        dominance: parseFloat(row.dominance)
-                    },
-                    emotion_probs: {
-                        joy: parseFloat(row.emotion_joy),
-                        trust: parseFloat(row.emotion_trust),
-                        anticipation: parseFloat(row.emotion_anticipation),
-                        surprise: parseFloat(row.emotion_surprise),
-                        anger: parseFloat(row.emotion_anger),
-                        fear: parseFloat(row.emotion_fear),
-                        sadness: parseFloat(row.emotion_sadness),
-                        disgust: parseFloat(row.emotion_disgust)
-                    },
-                    sentiment: {
-                        polarity: row.sentiment_polarity,
-                        strength: parseFloat(row.sentiment_strength)
-                    }
+            lexicon = {
+                version,
+                language,
+                wordCache: new LRUCache(WORD_CACHE_SIZE),
+                fallbackCache: new LRUCache(WORD_CACHE_SIZE),
+                phraseIndex: buildPhraseIndex(result.rows.map(row => row.word))
+            };
+            this.versionLexicons.set(key, lexicon);
+        }
+        return lexicon;
+    }
+    
+    // An organization's custom lexicon for one language, loaded whole:
+    // { orgId, language, words: Map of word -> entry, phrases, phraseIndexes }.
+    // Returns null for requests without an organization, or if the layer can't be loaded.
+    async getOrgLayer(orgId, language = DEFAULT_LANGUAGE) {
+        if (!orgId) return null;
+        
+        let layers = this.orgLayers.get(orgId);
+        if (!layers) {
+            layers = new Map();
+            this.orgLayers.set(orgId, layers);
+        }
+        let layer = layers.get(language);
+        if (!layer) {
+            try {
+                const result = await this.pool.query(
+                    'SELECT word, entry FROM org_lexicon WHERE org_id = $1 AND language = $2',
+                    [orgId, language]
+                );
+                const words = new Map(result.rows.map(row => [row.word, this.orgEntryToEmotionData(row.entry)]));
+                layer = {
+                    orgId,
+                    language,
+                    words,
+                    phrases: [...words.keys()].filter(word => word.includes(' ')),
+                    phraseIndexes: new WeakMap() // base phrase index -> base plus the org's phrases
                 };
-                
-                // Add to memory cache
-                this.wordCache.set(cleanWord, emotionData);
-                return { data: emotionData, source: 'database' };
+                layers.set(language, layer);
+            } catch (error) {
+                console.error(`Could not load lexicon for org ${orgId}:`, error.message);
+                return null;
+            }
+        }
+        return layer;
+    }
+    
+    // Org entries are validated stats in the words/*.json format, always scored
+    orgEntryToEmotionData(entry) {
+        return { ...entry, enrichment: null, review_status: 'approved' };
+    }
+    
+    // The phrase index to segment with: the lexicon's own, plus any phrases the organization added
+    getPhraseIndex(lexicon, orgLayer = null) {
+        if (!orgLayer || orgLayer.phrases.length === 0) return lexicon.phraseIndex;
+        
+        let merged = orgLayer.phraseIndexes.get(lexicon.phraseIndex);
+        if (!merged) {
+            merged = buildPhraseIndex([...lexicon.phraseIndex.phrases, ...orgLayer.phrases]);
+            orgLayer.phraseIndexes.set(lexicon.phraseIndex, merged);
+        }
+        return merged;
+    }
+    
+    // words table rows (or their snapshots in a published version) for the given keys
+    async queryLexiconRows(lexicon, words) {
+        if (lexicon.version === null) {
+            const result = await this.pool.query(
+                'SELECT * FROM words WHERE word = ANY($1) AND language = $2',
+                [words, lexicon.language]
+            );
+            return result.rows;
+        }
+        const result = await this.pool.query(
+            'SELECT entry FROM lexicon_version_words WHERE version_id = $1 AND language = $2 AND word = ANY($3)',
+            [lexicon.version, lexicon.language, words]
+        );
+        return result.rows.map(row => row.entry);
+    }
+    
+    // Look up several lexicon words: cache hits are served from memory and every uncached word
+    // is fetched in one set-based query. Returns a Map of word -> { data, source } for the words found.
+    // With rememberMisses, words the database doesn't have are cached as null so they aren't re-queried.
+    async getWordsData(words, rememberMisses = false, lexicon = null) {
+        lexicon = lexicon || await this.getLexicon();
+        const found = new Map();
+        const missing = [];
+        for (const word of new Set(words)) {
+            const cached = lexicon.wordCache.get(word);
+            if (cached !== undefined) {
+                if (cached) found.set(word, { data: cached, source: 'memory_cache' });
+            } else {
+                missing.push(word);
+            }
+        }
+        if (missing.length === 0) return found;
+        
+        try {
+            for (const row of await this.queryLexiconRows(lexicon, missing)) {
+                const emotionData = this.rowToEmotionData(row);
+                lexicon.wordCache.set(row.word, emotionData);
+                found.set(row.word, { data: emotionData, source: 'database' });
+            }
+            if (rememberMisses) {
+                for (const word of missing) {
+                    if (!found.has(word)) lexicon.wordCache.set(word, null);
+                }
             }
-            
-            return { data: null, source: 'not_found' };
         } catch (error) {
-            console.error(`DB Error for "${cleanWord}":`, error.message);
-            return { data: null, source: 'db_error', error: error.message };
+            console.error('DB Error for bulk lookup:', error.message);
         }
+        return found;
     }
     
-    async analyzeText(text) {
-        const startTime = Date.now();
+    // Keys to try after an exact miss: the first pictograph of an emoji ZWJ sequence, or for
+    // single English words their lemmas and spelling corrections
+    getFallbackCandidates(cleanWord, allowFallback, language = DEFAULT_LANGUAGE, lookupOptions = {}) {
+        if (isEmojiKey(cleanWord)) {
+            return getEmojiLookupKeys(cleanWord).slice(1).map(word => ({ word, via: 'lemma' }));
+        }
+        if (allowFallback && language === DEFAULT_LANGUAGE &&
+            (CHAT_SPELLINGS[cleanWord] || this.isEmotionallySignificant(cleanWord))) {
+            return getLookupCandidates(cleanWord, lookupOptions);
+        }
+        return [];
+    }
+    
+    // Resolve analysis units to lexicon entries: one query for every uncached exact key, then one for
+    // the lemma/fuzzy candidates of all misses (emoji ZWJ sequences fall back to their first pictograph).
+    // Returns a Map of key -> { data, source, via, lexicon_word, layer } (via 'exact', 'lemma' or 'fuzzy';
+    // layer 'org' or 'global') or null. An organization layer is checked before the global lexicon at each step.
+    // Fallback outcomes are cached per key so a repeated misspelling doesn't re-probe its candidates.
+    // Keys that only occur as names (unit.name) aren't spell-corrected, and spelling candidates are
+    // capped per call by a fuzzy budget; lookups narrowed by either aren't cached.
+    async resolveWords(units, lexicon = null, orgLayer = null) {
+        lexicon = lexicon || await this.getLexicon();
+        const resolved = new Map();
+        const budget = createFuzzyBudget();
+        const spelledKeys = new Set(units.filter(unit => !unit.name).map(unit => unit.key));
+        const orgResolution = (word, via) => ({ data: orgLayer.words.get(word), source: 'org_lexicon', via, lexicon_word: word, layer: 'org' });
+        const globalKeys = units.map(unit => unit.key).filter(key => !orgLayer || !orgLayer.words.has(key));
+        const exact = await this.getWordsData(globalKeys, true, lexicon);
+        const fallbacks = new Map();
+        
+        for (const unit of units) {
+            if (resolved.has(unit.key)) continue;
+            if (orgLayer && orgLayer.words.has(unit.key)) {
+                resolved.set(unit.key, orgResolution(unit.key, 'exact'));
+                continue;
+            }
+            const entry = exact.get(unit.key);
+            if (entry) {
+                resolved.set(unit.key, { data: entry.data, source: entry.source, via: 'exact', lexicon_word: unit.key, layer: 'global' });
+                continue;
+            }
+            const spelling = spelledKeys.has(unit.key);
+            // Org fallbacks aren't cached: the shared fallback cache only holds global matches
+            const orgMatch = orgLayer && this.getFallbackCandidates(unit.key, unit.length === 1, lexicon.language, { spelling })
+                .find(candidate => orgLayer.words.has(candidate.word));
+            if (orgMatch) {
+                resolved.set(unit.key, orgResolution(orgMatch.word, orgMatch.via));
+                continue;
+            }
+            const cachedFallback = lexicon.fallbackCache.get(unit.key);
+            if (cachedFallback !== undefined && (spelling || cachedFallback?.via !== 'fuzzy')) {
+                resolved.set(unit.key, cachedFallback);
+                continue;
+            }
+            resolved.set(unit.key, null);
+            const candidates = this.getFallbackCandidates(unit.key, unit.length === 1, lexicon.language, { spelling, budget });
+            if (candidates.length > 0) {
+                fallbacks.set(unit.key, { candidates, cacheable: spelling && !budget.skipped.has(unit.key) });
+            }
+        }
         
-        const words = text.toLowerCase().split(/\s+/);
-        const cleanWords = words.map(word => word.replace(/[^a-zA-Z0-9]/g, ''));
+        if (fallbacks.size > 0) {
+            const candidateWords = new Set([...fallbacks.values()].flatMap(fallback => fallback.candidates).map(c => c.word));
+            const found = await this.getWordsData([...candidateWords], false, lexicon);
+            for (const [key, { candidates, cacheable }] of fallbacks) {
+                const match = candidates.find(c => found.has(c.word));
+                const entry = match && found.get(match.word);
+                const resolution = match ? { data: entry.data, source: entry.source, via: match.via, lexicon_word: match.word, layer: 'global' } : null;
+                resolved.set(key, resolution);
+                if (cacheable) lexicon.fallbackCache.set(key, resolution);
+            }
+        }
         
-        const wordAnalyses = [];
-        const unknownWords = [];
-        let wordsFromDeepSeek = 0;
+        return resolved;
+    }
+    
+    // Tokenize text and group tokens into analysis units, longest known phrase first ("over the moon")
+    segmentText(text, phraseIndex = this.phraseIndex, language = DEFAULT_LANGUAGE) {
+        const tokenSpans = tokenize(text, language);
+        const tokens = tokenSpans.map(span => span.text);
+        const words = tokens.map(token => token.toLowerCase());
+        // Emoji and emoticons keep their own lexicon key instead of being stripped to nothing
+        const cleanWords = words.map(word => getEmojiKey(word) || cleanToken(word));
+        const units = segmentTokens(cleanWords, phraseIndex);
+        // Capitalized words mid-sentence are likely names, which resolveWords doesn't spell-correct
+        for (const unit of units) {
+            if (unit.length === 1 && isMidSentenceName(tokens, unit.start)) unit.name = true;
+        }
         
-        // Analyze each word
-        for (let i = 0; i < cleanWords.length; i++) {
-            const originalWord = words[i];
-            const cleanWord = cleanWords[i];
-            
-            if (!cleanWord || cleanWord.length < 1) continue;
-            
-            const { data: emotionData, source, error } = await this.getWordData(cleanWord);
+        return { tokenSpans, tokens, words, units };
+    }
+    
+    // Build one word analysis entry per unit from the resolved lexicon matches.
+    // Unknown words followed by a particle are merged so they are enriched as phrases ("freaked out").
+    buildWordAnalyses(units, words, matches, options = {}) {
+        const wordAnalyses = units.map(unit => {
+            const originalWord = words.slice(unit.start, unit.start + unit.length).join(' ');
+            const cleanWord = unit.key;
+            const phraseFields = unit.length > 1 ? { token_count: unit.length, is_phrase: true } : {};
+            const match = matches.get(cleanWord);
+            const exclusion = match ? getReviewExclusion(match.data, options) : null;
             
-            if (emotionData) {
+            if (match && !exclusion) {
+                const emotionData = match.data;
                 const dominantEmotion = this.getDominantEmotion(emotionData.emotion_probs);
                 
-                wordAnalyses.push({
+                return {
                     word: originalWord,
                     clean_word: cleanWord,
+                    position: unit.start,
                     emotion: dominantEmotion.emotion,
                     confidence: dominantEmotion.confidence,
                     valence: emotionData.vad.valence,
                     arousal: emotionData.vad.arousal,
+                    dominance: emotionData.vad.dominance,
                     sentiment: emotionData.sentiment.polarity,
                     found: true,
-                    source: source,
-                    emotion_probs: emotionData.emotion_probs
-                });
-            } else {
-                unknownWords.push({
-                    word: originalWord,
-                    clean_word: cleanWord,
-                    index: i
-                });
+                    source: isEmojiKey(cleanWord) ? 'emoji' : match.source,
+                    matched_via: match.via,
+                    lexicon_word: match.lexicon_word,
+                    lexicon_layer: match.layer,
+                    emotion_probs: emotionData.emotion_probs,
+                    negation_flip_probability: emotionData.dynamics?.negation_flip_probability || 0,
+                    sarcasm_flip_probability: emotionData.dynamics?.sarcasm_flip_probability || 0,
+                    social_axes: emotionData.social_axes,
+                    toxicity: emotionData.toxicity || 0,
+                    ...phraseFields
+                };
+            }
+            
+            return {
+                word: originalWord,
+                clean_word: cleanWord,
+                position: unit.start,
+                emotion: 'neutral',
+                confidence: 0.125,
+                valence: 0.5,
+                arousal: 0.5,
+                dominance: 0.5,
+                sentiment: 'neutral',
+                found: false,
+                source: exclusion || 'not_found',
+                matched_via: null,
+                lexicon_word: null,
+                lexicon_layer: null,
+                ...(exclusion ? { review_status: exclusion } : {}),
+                ...phraseFields
+            };
+        });
+        
+        return mergeCandidatePhrases(wordAnalyses);
+    }
+    
+    // Score unknown words with the enrichment provider, save them to the live lexicon they were
+    // missing from and return a Map of word -> result. onWord(word, result) is called as each call
+    // finishes (result null when it failed); an aborted signal stops before the next word.
+    async enrichWords(cleanWords, requestId = null, lexicon = null, { signal = null, onWord = null } = {}) {
+        lexicon = lexicon || await this.getLexicon();
+        const enriched = new Map();
+        
+        for (const cleanWord of cleanWords) {
+            signal?.throwIfAborted();
+            try {
+                const enrichedResult = await this.enrichWord(cleanWord, requestId, lexicon.language, signal);
                 
-                wordAnalyses.push({
-                    word: originalWord,
-                    clean_word: cleanWord,
-                    emotion: 'neutral',
-                    confidence: 0.125,
-                    valence: 0.5,
-                    arousal: 0.5,
-                    sentiment: 'neutral',
-                    found: false,
-                    source: 'not_found'
-                });
+                if (enrichedResult) {
+                    // Cache it
+                    lexicon.wordCache.set(cleanWord, enrichedResult);
+                    
+                    // Save to database
+                    await this.saveWordToDatabase(cleanWord, enrichedResult, lexicon.language);
+                    addToPhraseIndex(lexicon.phraseIndex, cleanWord);
+                    
+                    enriched.set(cleanWord, enrichedResult);
+                }
+            } catch (error) {
+                // Silent fail for individual words
             }
+            if (onWord && !signal?.aborted) onWord(cleanWord, enriched.get(cleanWord) || null);
         }
         
-        // Process unknown words with DeepSeek
-        if (unknownWords.length > 0 && this.deepseekApiKey) {
-            const emotionalWords = unknownWords.filter(w => this.isEmotionallySignificant(w.clean_word));
-            const wordsToProcess = emotionalWords.length > 0 ? emotionalWords : unknownWords.slice(0, 1);
+        return enriched;
+    }
+    
+    // Pick the unknown words worth an enrichment call: emotionally significant ones, or failing that the first.
+    // Words held back by review are already in the lexicon and are never re-enriched.
+    selectWordsToEnrich(wordAnalyses, language = DEFAULT_LANGUAGE) {
+        const unknownWords = wordAnalyses.filter(w => !w.found && !w.review_status).map(w => w.clean_word);
+        const emotionalWords = unknownWords.filter(w => this.isEmotionallySignificant(w, language));
+        return [...new Set(emotionalWords.length > 0 ? emotionalWords : unknownWords.slice(0, 1))];
+    }
+    
+    // Fill enriched words into the analyses they appear in; returns how many entries were updated.
+    // New words are pending review, so they are left out for organizations that don't score those.
+    applyEnrichment(wordAnalyses, enriched, options = {}) {
+        let updated = 0;
+        for (let i = 0; i < wordAnalyses.length; i++) {
+            const enrichedResult = !wordAnalyses[i].found && enriched.get(wordAnalyses[i].clean_word);
+            if (!enrichedResult) continue;
             
-            for (const unknownWord of wordsToProcess.slice(0, 3)) {
-                try {
-                    const deepseekResult = await this.analyzeWordWithDeepSeek(unknownWord.clean_word);
-                    
-                    if (deepseekResult) {
-                        wordsFromDeepSeek++;
-                        
-                        // Cache it
-                        this.wordCache.set(unknownWord.clean_word, deepseekResult);
-                        
-                        // Save to database
-                        await this.saveWordToDatabase(unknownWord.clean_word, deepseekResult);
-                        
-                        // Update word analysis
-                        const wordIndex = wordAnalyses.findIndex(w => w.clean_word === unknownWord.clean_word);
-                        if (wordIndex !== -1) {
-                            const dominantEmotion = this.getDominantEmotion(deepseekResult.emotion_probs);
-                            wordAnalyses[wordIndex] = {
-                                ...wordAnalyses[wordIndex],
-                                emotion: dominantEmotion.emotion,
-                                confidence: dominantEmotion.confidence,
-                                valence: deepseekResult.vad.valence,
-                                arousal: deepseekResult.vad.arousal,
-                                sentiment: deepseekResult.sentiment.polarity,
-                                found: true,
-                                source: 'deepseek',
-                                emotion_probs: deepseekResult.emotion_probs
-                            };
-                        }
-                    }
-                } catch (error) {
-                    // Silent fail for individual words
-                }
+            const exclusion = getReviewExclusion(enrichedResult, options);
+            if (exclusion) {
+                wordAnalyses[i] = { ...wordAnalyses[i], source: exclusion, review_status: exclusion };
+                continue;
             }
+            
+            const dominantEmotion = this.getDominantEmotion(enrichedResult.emotion_probs);
+            wordAnalyses[i] = {
+                ...wordAnalyses[i],
+                emotion: dominantEmotion.emotion,
+                confidence: dominantEmotion.confidence,
+                valence: enrichedResult.vad.valence,
+                arousal: enrichedResult.vad.arousal,
+                dominance: enrichedResult.vad.dominance ?? 0.5,
+                sentiment: enrichedResult.sentiment.polarity,
+                found: true,
+                source: enrichedResult.enrichment.provider,
+                lexicon_layer: 'global',
+                emotion_probs: enrichedResult.emotion_probs
+            };
+            updated++;
+        }
+        return updated;
+    }
+    
+    // Run the contextual steps over resolved word analyses and aggregate them into a result
+    scoreWordAnalyses(text, wordAnalyses, segmented, options = {}) {
+        // Character offsets of each word and phrase in the scored text
+        attachOffsets(text, wordAnalyses, segmented.tokenSpans);
+        
+        // Flip or dampen words inside a negation scope ("not happy")
+        applyNegation(wordAnalyses);
+        
+        // Scale words after boosters/dampeners ("extremely angry") and surface cues (CAPS, "!!!")
+        applyIntensity(wordAnalyses, segmented.tokens);
+        
+        // Estimate sarcasm and, if asked, invert the positive words it applies to
+        const sarcasm = detectSarcasm(wordAnalyses, text, { threshold: options.sarcasmThreshold });
+        if (sarcasm.is_sarcastic && options.invertSarcasm) {
+            applySarcasmInversion(wordAnalyses, sarcasm);
         }
         
         // Calculate result
-        const result = this.calculateOverallEmotion(wordAnalyses, text);
+        // Clauses after "but" count more and concessions less, as in the sentence breakdown; the
+        // reported word analyses stay unweighted
+        const trace = options.explain ? {} : null;
+        const result = this.calculateOverallEmotion(applyClauseWeights(text, wordAnalyses, segmented.tokenSpans), text, trace);
+        result.word_analysis = wordAnalyses;
+        
+        // Calibrated probabilities, uncertainty and whether the result is too weak to act on
+        Object.assign(result, calibrateResult(result, getCalibrationModel('postgres')));
+        
+        // The distribution mapped onto another label set (Ekman, dyads, an organization's own)
+        if (options.taxonomy) {
+            result.taxonomy = applyTaxonomy(result, options.taxonomy);
+        }
+        result.sarcasm = sarcasm;
+        result.social_axes = calculateSocialAxes(wordAnalyses);
+        result.toxicity = calculateToxicity(wordAnalyses);
+        
+        // Score each sentence on its own and summarize the arc across them
+        if (options.breakdown) {
+            const breakdown = buildSentenceBreakdown(text, wordAnalyses, segmented.tokenSpans,
+                (analyses, sentenceText) => this.calculateOverallEmotion(analyses, sentenceText));
+            result.sentences = breakdown.sentences;
+            result.emotional_arc = breakdown.emotional_arc;
+        }
+        
+        // Per-token contributions behind the result, for justifying flags
+        if (trace) {
+            result.explanation = explainResult(result, wordAnalyses, trace);
+        }
+        
+        // The scored text with its emotional words marked up for direct rendering
+        const annotationFormat = parseAnnotationFormat(options.annotate);
+        if (annotationFormat) {
+            result.annotated = { format: annotationFormat, text: renderAnnotatedText(text, wordAnalyses, annotationFormat) };
+        }
+        
+        return result;
+    }
+    
+    // Pick the language to score a text in and the lexicon to score it against. Languages without
+    // a lexicon are translated into English through the enrichment provider; if that isn't possible,
+    // or the request is pinned to a version, the text is scored against the English lexicon as-is.
+    // Returns { language, lexicon, text, translation } with text the one to score.
+    async prepareLanguage(text, options = {}) {
+        const version = options.lexiconVersion ?? null;
+        const detected = resolveLanguage(text, options.language);
+        const language = { ...detected, lexicon: detected.code, translated: false };
+        if (this.lexiconLanguages.has(detected.code)) {
+            return { language, lexicon: await this.getLexicon(version, detected.code), text, translation: null };
+        }
+        
+        language.lexicon = DEFAULT_LANGUAGE;
+        const lexicon = await this.getLexicon(version);
+        const translated = this.enrichmentProvider && version === null
+            ? await requestTranslation(this.enrichmentProvider, text, detected.code, options.signal)
+            : null;
+        if (!translated) {
+            return { language, lexicon, text, translation: null };
+        }
+        
+        language.translated = true;
+        return {
+            language,
+            lexicon,
+            text: translated,
+            translation: { text: translated, provider: this.enrichmentProvider.name, model: this.enrichmentProvider.model }
+        };
+    }
+    
+    // options.sarcasmThreshold overrides SARCASM_THRESHOLD; options.invertSarcasm flips
+    // positive words when the text reads as sarcastic; options.breakdown adds per-sentence results;
+    // options.useUnreviewedWords: false skips learned words still pending review;
+    // options.requestId is recorded on any word learned while serving the request;
+    // options.lexiconVersion scores against a published lexicon version instead of the live words table.
+    // Pinned requests are never enriched, so the same text always gets the same result.
+    // options.orgId layers that organization's custom words over the lexicon.
+    // options.language skips language detection.
+    // options.explain adds the per-token contribution table and a rationale in explanation.
+    // options.taxonomy (resolved by taxonomy.resolveTaxonomy) adds the result mapped onto its labels.
+    // options.onProgress(event, data) streams 'language', 'tokens', 'enrichment' and 'sentence' events
+    // as the analysis runs; options.signal (an AbortSignal) cancels lookups and enrichment still to come.
+    // options.annotate ('html' or 'markup') adds the text with its emotional words marked up in annotated.
+    // Word, phrase and sentence start/end offsets are UTF-16 indices into the scored text (the
+    // translation when the text was translated).
+    async analyzeText(originalText, options = {}) {
+        const startTime = Date.now();
+        const { onProgress, signal } = options;
+        const { language, lexicon, text, translation } = await this.prepareLanguage(originalText, options);
+        signal?.throwIfAborted();
+        if (onProgress) onProgress('language', { language, translation });
+        
+        const orgLayer = await this.getOrgLayer(options.orgId, lexicon.language);
+        const segmented = this.segmentText(text, this.getPhraseIndex(lexicon, orgLayer), lexicon.language);
+        
+        // Look every unit up at once; single words fall back to lemmas and spelling fixes before enrichment
+        const matches = await this.resolveWords(segmented.units, lexicon, orgLayer);
+        signal?.throwIfAborted();
+        const wordAnalyses = this.buildWordAnalyses(segmented.units, segmented.words, matches, options);
+        if (onProgress) {
+            const preview = this.previewScore(text, wordAnalyses, segmented, options);
+            onProgress('tokens', {
+                tokens: preview.wordAnalyses.map(w => ({
+                    word: w.word, clean_word: w.clean_word, start: w.start, end: w.end,
+                    found: w.found, emotion: w.emotion, confidence: w.confidence, source: w.source
+                })),
+                unknown_words: wordAnalyses.filter(w => !w.found).length,
+                meter: preview.meter
+            });
+        }
+        
+        // Process unknown words with the enrichment provider
+        let wordsEnriched = 0;
+        if (this.enrichmentProvider && lexicon.version === null) {
+            const toEnrich = this.selectWordsToEnrich(wordAnalyses, lexicon.language).slice(0, this.maxEnrichmentWords);
+            // Streaming clients see each word as its call finishes, with the meter updated
+            const onWord = onProgress && ((word, enrichedResult) => {
+                if (enrichedResult) this.applyEnrichment(wordAnalyses, new Map([[word, enrichedResult]]), options);
+                const dominant = enrichedResult ? this.getDominantEmotion(enrichedResult.emotion_probs) : null;
+                onProgress('enrichment', {
+                    word,
+                    learned: enrichedResult !== null,
+                    emotion: dominant ? dominant.emotion : null,
+                    confidence: dominant ? dominant.confidence : null,
+                    meter: this.previewScore(text, wordAnalyses, segmented, options).meter
+                });
+            });
+            const enriched = await this.enrichWords(toEnrich, options.requestId, lexicon, { signal, onWord });
+            wordsEnriched = enriched.size;
+            this.applyEnrichment(wordAnalyses, enriched, options);
+        }
+        
+        // Streaming clients get every sentence's own result, breakdown or not
+        const result = this.scoreWordAnalyses(text, wordAnalyses, segmented,
+            onProgress ? { ...options, breakdown: true } : options);
+        if (onProgress) {
+            for (const sentence of result.sentences) onProgress('sentence', sentence);
+            if (!options.breakdown) {
+                delete result.sentences;
+                delete result.emotional_arc;
+            }
+        }
+        result.lexicon_version = lexicon.version ?? 'live';
+        result.language = language;
+        if (translation) result.translation = translation;
         const processingTime = Date.now() - startTime;
         
         // Log to database (async)
-        this.logProcessing(text, result, processingTime, wordsFromDeepSeek, wordsFromDeepSeek).catch(() => {});
+        this.logProcessing(originalText, result, processingTime, wordsEnriched, wordsEnriched).catch(() => {});
         
         return result;
     }
     
-    async saveWordToDatabase(word, emotionData) {
+    // The aggregate so far, for progress events: the contextual steps run on copies of the analyses so
+    // the real ones are only scored once. Returns { meter, wordAnalyses } with the scored copies.
+    previewScore(text, wordAnalyses, segmented, options = {}) {
+        const copies = wordAnalyses.map(w => ({ ...w }));
+        const preview = this.scoreWordAnalyses(text, copies, segmented, {
+            sarcasmThreshold: options.sarcasmThreshold,
+            invertSarcasm: options.invertSarcasm
+        });
+        return {
+            meter: {
+                overall_emotion: preview.overall_emotion,
+                confidence: preview.confidence,
+                emotions: preview.emotions,
+                vad: preview.vad,
+                sentiment: preview.sentiment
+            },
+            wordAnalyses: copies
+        };
+    }
+    
+    // Analyze many texts together: items are [{ id, text, language }] with language optional.
+    // Lexicon lookups share one set-based query per language and each unknown word is enriched at
+    // most once across all items. Returns [{ id, result }] or [{ id, error }] per item, in order;
+    // one bad item doesn't fail the rest.
+    async analyzeBatch(items, options = {}) {
+        const prepared = [];
+        for (const item of items) {
+            try {
+                const { language, lexicon, text, translation } = await this.prepareLanguage(item.text, {
+                    ...options,
+                    language: item.language || options.language
+                });
+                const orgLayer = await this.getOrgLayer(options.orgId, lexicon.language);
+                const segmented = this.segmentText(text, this.getPhraseIndex(lexicon, orgLayer), lexicon.language);
+                prepared.push({ ...item, language, lexicon, scoredText: text, translation, segmented });
+            } catch (error) {
+                prepared.push({ ...item, error: error.message });
+            }
+        }
+        
+        // Items scored against the same lexicon are looked up and enriched together
+        const groups = new Map();
+        for (const item of prepared.filter(item => !item.error)) {
+            if (!groups.has(item.lexicon.language)) groups.set(item.lexicon.language, []);
+            groups.get(item.lexicon.language).push(item);
+        }
+        
+        let enrichmentBudget = BATCH_ENRICHMENT_LIMIT;
+        for (const group of groups.values()) {
+            const lexicon = group[0].lexicon;
+            const orgLayer = await this.getOrgLayer(options.orgId, lexicon.language);
+            const matches = await this.resolveWords(group.flatMap(item => item.segmented.units), lexicon, orgLayer);
+            for (const item of group) {
+                item.wordAnalyses = this.buildWordAnalyses(item.segmented.units, item.segmented.words, matches, options);
+            }
+            
+            // Unknown words are enriched once for the whole batch
+            let enriched = new Map();
+            if (this.enrichmentProvider && lexicon.version === null && enrichmentBudget > 0) {
+                const toEnrich = [...new Set(group.flatMap(item => this.selectWordsToEnrich(item.wordAnalyses, lexicon.language)))]
+                    .slice(0, enrichmentBudget);
+                enrichmentBudget -= toEnrich.length;
+                enriched = await this.enrichWords(toEnrich, options.requestId, lexicon);
+            }
+            for (const item of group) item.enriched = enriched;
+        }
+        
+        return prepared.map(item => {
+            if (item.error) return { id: item.id, error: item.error };
+            
+            const startTime = Date.now();
+            try {
+                const wordsEnriched = this.applyEnrichment(item.wordAnalyses, item.enriched, options);
+                const result = this.scoreWordAnalyses(item.scoredText, item.wordAnalyses, item.segmented, options);
+                result.lexicon_version = item.lexicon.version ?? 'live';
+                result.language = item.language;
+                if (item.translation) result.translation = item.translation;
+                this.logProcessing(item.text, result, Date.now() - startTime, wordsEnriched, 0).catch(() => {});
+                return { id: item.id, result };
+            } catch (error) {
+                return { id: item.id, error: error.message };
+            }
+        });
+    }
+    
+    // Learned words are inserted for review and never overwrite an existing entry, curated or learned
+    async saveWordToDatabase(word, emotionData, language = DEFAULT_LANGUAGE) {
         try {
-            await this.pool.query(`
+            const result = await this.pool.query(`
                 INSERT INTO words (
-                    word, valence, arousal, dominance,
+                    word, language, valence, arousal, dominance,
                     emotion_joy, emotion_trust, emotion_anticipation, emotion_surprise,
                     emotion_anger, emotion_fear, emotion_sadness, emotion_disgust,
-                    sentiment_polarity, sentiment_strength
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-                ON CONFLICT (word) DO UPDATE SET
-                    valence = $2, arousal = $3, dominance = $4,
-                    emotion_joy = $5, emotion_trust = $6, emotion_anticipation = $7, emotion_surprise = $8,
-                    emotion_anger = $9, emotion_fear = $10, emotion_sadness = $11, emotion_disgust = $12,
-                    sentiment_polarity = $13, sentiment_strength = $14,
-                    updated_at = CURRENT_TIMESTAMP
+                    sentiment_polarity, sentiment_strength,
+                    enrichment_provider, enrichment_model, enrichment_confidence, created_by_request, review_status
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+                ON CONFLICT (word, language) DO NOTHING
             `, [
                 word,
-                emotionData.vad?.valence || 0.5,
-                emotionData.vad?.arousal || 0.5,
-                emotionData.vad?.dominance || 0.5,
-                emotionData.emotion_probs?.joy || 0.125,
-                emotionData.emotion_probs?.trust || 0.125,
-                emotionData.emotion_probs?.anticipation || 0.125,
-                emotionData.emotion_probs?.surprise || 0.125,
-                emotionData.emotion_probs?.anger || 0.125,
-                emotionData.emotion_probs?.fear || 0.125,
-                emotionData.emotion_probs?.sadness || 0.125,
-                emotionData.emotion_probs?.disgust || 0.125,
-                emotionData.sentiment?.polarity || 'neutral',
-                emotionData.sentiment?.strength || 0.5
+                language,
+                emotionData.vad?.valence ?? 0.5,
+                emotionData.vad?.arousal ?? 0.5,
+                emotionData.vad?.dominance ?? 0.5,
+                emotionData.emotion_probs?.joy ?? 0.125,
+                emotionData.emotion_probs?.trust ?? 0.125,
+                emotionData.emotion_probs?.anticipation ?? 0.125,
+                emotionData.emotion_probs?.surprise ?? 0.125,
+                emotionData.emotion_probs?.anger ?? 0.125,
+                emotionData.emotion_probs?.fear ?? 0.125,
+                emotionData.emotion_probs?.sadness ?? 0.125,
+                emotionData.emotion_probs?.disgust ?? 0.125,
+                emotionData.sentiment?.polarity ?? 'neutral',
+                emotionData.sentiment?.strength ?? 0.5,
+                emotionData.enrichment?.provider || null,
+                emotionData.enrichment?.model || null,
+                emotionData.enrichment?.confidence ?? null,
+                emotionData.enrichment?.request_id || null,
+                emotionData.review_status || 'pending_review'
             ]);
+            
+            // Other instances may have cached the word as unknown
+            if (result.rowCount > 0) await this.publishLexiconChange([word], language);
             return true;
         } catch (error) {
             console.error(`Save error for "${word}":`, error.message);
@@ -310,6 +1022,476 @@ class EmotionEngine {
         }
     }
     
+    // A full lexicon entry with provenance and review state, as the lexicon and review APIs return it
+    rowToLexiconEntry(row) {
+        const { pos, vad, emotion_probs, sentiment, social_axes, toxicity, dynamics, enrichment, review_status } =
+            this.rowToEmotionData(row);
+        return {
+            word: row.word,
+            language: row.language || DEFAULT_LANGUAGE,
+            stats: { pos, vad, emotion_probs, sentiment, social_axes, toxicity, dynamics },
+            enrichment,
+            review_status,
+            reviewed_by: row.reviewed_by || null,
+            reviewed_at: row.reviewed_at || null,
+            created_at: row.created_at || null,
+            updated_at: row.updated_at || null
+        };
+    }
+    
+    // Run fn(client) inside a transaction on one pooled connection
+    async withTransaction(fn) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await fn(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+    
+    // Audit trail: one row per change to a word of one language's lexicon, with the entry before and
+    // after (null when created/deleted)
+    async recordLexiconAudit(client, word, language, action, actor, before, after) {
+        await client.query(`
+            INSERT INTO lexicon_audit (word, language, action, actor, before, after)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [word, language, action, actor, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null]);
+    }
+    
+    async listLexiconAudit({ word = null, language = DEFAULT_LANGUAGE, limit = 50, offset = 0 } = {}) {
+        const result = await this.pool.query(`
+            SELECT * FROM lexicon_audit
+            WHERE language = $1 AND ($2::text IS NULL OR word = $2)
+            ORDER BY created_at DESC, id DESC
+            LIMIT $3 OFFSET $4
+        `, [language, word, limit, offset]);
+        return result.rows;
+    }
+    
+    async getLexiconEntry(word, language = DEFAULT_LANGUAGE) {
+        const result = await this.pool.query('SELECT * FROM words WHERE word = $1 AND language = $2', [word, language]);
+        return result.rows.length > 0 ? this.rowToLexiconEntry(result.rows[0]) : null;
+    }
+    
+    // Search one language's lexicon by key prefix, dominant emotion (optionally with a minimum probability)
+    // and VAD ranges. ranges: { valence: [min, max], ... } with either bound optional. Returns { words, total }.
+    async searchLexicon({ language = DEFAULT_LANGUAGE, prefix, emotion, minConfidence, ranges = {}, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+        const param = value => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+        
+        conditions.push(`language = ${param(language)}`);
+        if (prefix) {
+            conditions.push(`word LIKE ${param(prefix.replace(/[\\%_]/g, '\\$&') + '%')}`);
+        }
+        if (emotion) {
+            if (!EMOTIONS.includes(emotion)) throw new Error(`Unknown emotion: ${emotion}`);
+            const column = `emotion_${emotion}`;
+            conditions.push(`${column} = GREATEST(${EMOTIONS.map(e => `emotion_${e}`).join(', ')})`);
+            if (minConfidence !== undefined) conditions.push(`${column} >= ${param(minConfidence)}`);
+        }
+        for (const [dimension, [min, max]] of Object.entries(ranges)) {
+            if (!['valence', 'arousal', 'dominance'].includes(dimension)) throw new Error(`Unknown dimension: ${dimension}`);
+            if (min !== undefined) conditions.push(`${dimension} >= ${param(min)}`);
+            if (max !== undefined) conditions.push(`${dimension} <= ${param(max)}`);
+        }
+        
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const [result, count] = await Promise.all([
+            this.pool.query(`SELECT * FROM words ${where} ORDER BY word LIMIT ${param(limit)} OFFSET ${param(offset)}`, params),
+            this.pool.query(`SELECT COUNT(*) FROM words ${where}`, params.slice(0, params.length - 2))
+        ]);
+        
+        return {
+            words: result.rows.map(row => this.rowToLexiconEntry(row)),
+            total: parseInt(count.rows[0].count)
+        };
+    }
+    
+    // Insert or replace an entry within a transaction and audit it. Edited and imported entries
+    // count as curated: they are approved by the actor, and any enrichment provenance is kept.
+    async writeLexiconEntry(client, word, stats, actor, action, language = DEFAULT_LANGUAGE) {
+        const existing = await client.query('SELECT * FROM words WHERE word = $1 AND language = $2 FOR UPDATE', [word, language]);
+        const before = existing.rows.length > 0 ? this.rowToLexiconEntry(existing.rows[0]) : null;
+        
+        const values = entryToColumnValues(stats);
+        const placeholders = values.map((_, i) => `$${i + 3}`).join(', ');
+        const result = await client.query(`
+            INSERT INTO words (word, language, ${STATS_COLUMNS.join(', ')}, review_status, reviewed_by, reviewed_at)
+            VALUES ($1, $2, ${placeholders}, 'approved', $${values.length + 3}, CURRENT_TIMESTAMP)
+            ON CONFLICT (word, language) DO UPDATE SET
+                ${STATS_COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+                review_status = 'approved', reviewed_by = EXCLUDED.reviewed_by, reviewed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [word, language, ...values, actor]);
+        
+        const after = this.rowToLexiconEntry(result.rows[0]);
+        await this.recordLexiconAudit(client, word, language, action || (before ? 'update' : 'create'), actor, before, after);
+        return { entry: after, created: !before };
+    }
+    
+    // Create or replace one entry. stats must already be validated. Returns { entry, created }.
+    async upsertLexiconEntry(word, stats, actor, language = DEFAULT_LANGUAGE) {
+        const outcome = await this.withTransaction(client => this.writeLexiconEntry(client, word, stats, actor, null, language));
+        await this.publishLexiconChange([word], language);
+        return outcome;
+    }
+    
+    // Returns false if the word isn't in the lexicon
+    async deleteLexiconEntry(word, actor, language = DEFAULT_LANGUAGE) {
+        const deleted = await this.withTransaction(async client => {
+            const result = await client.query('DELETE FROM words WHERE word = $1 AND language = $2 RETURNING *', [word, language]);
+            if (result.rows.length === 0) return false;
+            
+            await this.recordLexiconAudit(client, word, language, 'delete', actor, this.rowToLexiconEntry(result.rows[0]), null);
+            return true;
+        });
+        
+        if (deleted) await this.publishLexiconChange([word], language);
+        return deleted;
+    }
+    
+    // Import validated [{ word, stats }] into one language in one transaction: all entries are written
+    // or none are. Returns { imported, created, updated }.
+    async importLexicon(entries, actor, language = DEFAULT_LANGUAGE) {
+        const counts = await this.withTransaction(async client => {
+            let created = 0;
+            for (const { word, stats } of entries) {
+                const outcome = await this.writeLexiconEntry(client, word, stats, actor, 'import', language);
+                if (outcome.created) created++;
+            }
+            return { imported: entries.length, created, updated: entries.length - created };
+        });
+        
+        await this.publishLexiconChange(entries.map(entry => entry.word), language);
+        return counts;
+    }
+    
+    // Entries in the words/*.json format, ordered by word. Learned words keep their provenance.
+    async exportLexicon({ prefix, language = DEFAULT_LANGUAGE } = {}) {
+        const result = prefix
+            ? await this.pool.query(
+                `SELECT * FROM words WHERE language = $1 AND word LIKE $2 ORDER BY word`,
+                [language, prefix.replace(/[\\%_]/g, '\\$&') + '%']
+            )
+            : await this.pool.query('SELECT * FROM words WHERE language = $1 ORDER BY word', [language]);
+        
+        return result.rows.map(row => {
+            const { word, stats, enrichment, review_status } = this.rowToLexiconEntry(row);
+            return { word, stats: enrichment ? { ...stats, enrichment, review_status } : stats };
+        });
+    }
+    
+    // Publish the current words table as a new immutable lexicon version. The copy is a single
+    // statement, so it sees one consistent state of the table. Returns the version row.
+    async publishLexiconVersion({ description = null, actor = null } = {}) {
+        const version = await this.withTransaction(async client => {
+            const created = await client.query(
+                'INSERT INTO lexicon_versions (description, created_by) VALUES ($1, $2) RETURNING id',
+                [description, actor]
+            );
+            const id = created.rows[0].id;
+            const copied = await client.query(`
+                INSERT INTO lexicon_version_words (version_id, language, word, entry)
+                SELECT $1, language, word, ${SNAPSHOT_ENTRY} FROM words
+            `, [id]);
+            const result = await client.query(
+                'UPDATE lexicon_versions SET word_count = $2 WHERE id = $1 RETURNING *',
+                [id, copied.rowCount]
+            );
+            return result.rows[0];
+        });
+        
+        this.knownVersions.add(version.id);
+        return version;
+    }
+    
+    async listLexiconVersions({ limit = 50, offset = 0 } = {}) {
+        const result = await this.pool.query(
+            'SELECT * FROM lexicon_versions ORDER BY id DESC LIMIT $1 OFFSET $2',
+            [limit, offset]
+        );
+        return result.rows;
+    }
+    
+    async lexiconVersionExists(version) {
+        if (this.knownVersions.has(version)) return true;
+        
+        const result = await this.pool.query('SELECT 1 FROM lexicon_versions WHERE id = $1', [version]);
+        if (result.rows.length === 0) return false;
+        this.knownVersions.add(version);
+        return true;
+    }
+    
+    // Words added, changed or removed going from one version to another (null for the live table).
+    // Returns { added, changed, removed, totals }; each list is cut to limit, totals count everything.
+    async diffLexiconVersions(from, to, { limit = 1000 } = {}) {
+        const params = [];
+        const snapshot = version => {
+            if (version === null) return `SELECT language, word, ${SNAPSHOT_ENTRY} AS entry FROM words`;
+            params.push(version);
+            return `SELECT language, word, entry FROM lexicon_version_words WHERE version_id = $${params.length}`;
+        };
+        
+        const result = await this.pool.query(`
+            SELECT COALESCE(a.language, b.language) AS language, COALESCE(a.word, b.word) AS word,
+                a.entry AS before, b.entry AS after
+            FROM (${snapshot(from)}) a
+            FULL OUTER JOIN (${snapshot(to)}) b ON a.language = b.language AND a.word = b.word
+            WHERE a.entry IS DISTINCT FROM b.entry
+            ORDER BY 1, 2
+        `, params);
+        
+        const added = [];
+        const changed = [];
+        const removed = [];
+        for (const { language, word, before, after } of result.rows) {
+            if (!before) {
+                added.push({ word, language, after: this.rowToLexiconEntry(after) });
+            } else if (!after) {
+                removed.push({ word, language, before: this.rowToLexiconEntry(before) });
+            } else {
+                const fields = Object.keys({ ...before, ...after })
+                    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+                changed.push({ word, language, fields, before: this.rowToLexiconEntry(before), after: this.rowToLexiconEntry(after) });
+            }
+        }
+        
+        return {
+            added: added.slice(0, limit),
+            changed: changed.slice(0, limit),
+            removed: removed.slice(0, limit),
+            totals: { added: added.length, changed: changed.length, removed: removed.length }
+        };
+    }
+    
+    // An organization's custom words in a language as [{ word, language, stats, created_at, updated_at }], ordered by word
+    async listOrgLexicon(orgId, language = DEFAULT_LANGUAGE) {
+        const result = await this.pool.query(
+            'SELECT * FROM org_lexicon WHERE org_id = $1 AND language = $2 ORDER BY word',
+            [orgId, language]
+        );
+        return result.rows.map(row => this.rowToOrgLexiconEntry(row));
+    }
+    
+    async getOrgLexiconEntry(orgId, word, language = DEFAULT_LANGUAGE) {
+        const result = await this.pool.query(
+            'SELECT * FROM org_lexicon WHERE org_id = $1 AND language = $2 AND word = $3',
+            [orgId, language, word]
+        );
+        return result.rows.length > 0 ? this.rowToOrgLexiconEntry(result.rows[0]) : null;
+    }
+    
+    // All of an organization's words, across languages (the ORG_LEXICON_MAX_WORDS limit)
+    async countOrgLexicon(orgId) {
+        const result = await this.pool.query('SELECT COUNT(*) FROM org_lexicon WHERE org_id = $1', [orgId]);
+        return parseInt(result.rows[0].count);
+    }
+    
+    // Create or replace an organization's word; stats must already be validated. Returns { entry, created }.
+    async upsertOrgLexiconEntry(orgId, word, stats, language = DEFAULT_LANGUAGE) {
+        const result = await this.pool.query(`
+            INSERT INTO org_lexicon (org_id, language, word, entry)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (org_id, language, word) DO UPDATE SET entry = EXCLUDED.entry, updated_at = CURRENT_TIMESTAMP
+            RETURNING *, (xmax = 0) AS inserted
+        `, [orgId, language, word, JSON.stringify(stats)]);
+        
+        await this.publishOrgLexiconChange(orgId);
+        return { entry: this.rowToOrgLexiconEntry(result.rows[0]), created: result.rows[0].inserted };
+    }
+    
+    // Returns false if the organization has no such word
+    async deleteOrgLexiconEntry(orgId, word, language = DEFAULT_LANGUAGE) {
+        const result = await this.pool.query(
+            'DELETE FROM org_lexicon WHERE org_id = $1 AND language = $2 AND word = $3',
+            [orgId, language, word]
+        );
+        if (result.rowCount === 0) return false;
+        
+        await this.publishOrgLexiconChange(orgId);
+        return true;
+    }
+    
+    rowToOrgLexiconEntry(row) {
+        return {
+            word: row.word,
+            language: row.language || DEFAULT_LANGUAGE,
+            stats: row.entry,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+    
+    // Learned words for the review queue, newest first. status 'all' lists every review state;
+    // language null lists every language.
+    async listLearnedWords({ status = 'pending_review', language = null, limit = 50, offset = 0 } = {}) {
+        const statusFilter = status === 'all' ? null : status;
+        const [result, count] = await Promise.all([
+            this.pool.query(`
+                SELECT * FROM words
+                WHERE enrichment_provider IS NOT NULL AND ($1::text IS NULL OR review_status = $1)
+                    AND ($2::text IS NULL OR language = $2)
+                ORDER BY created_at DESC
+                LIMIT $3 OFFSET $4
+            `, [statusFilter, language, limit, offset]),
+            this.pool.query(`
+                SELECT COUNT(*) FROM words
+                WHERE enrichment_provider IS NOT NULL AND ($1::text IS NULL OR review_status = $1)
+                    AND ($2::text IS NULL OR language = $2)
+            `, [statusFilter, language])
+        ]);
+        
+        return {
+            words: result.rows.map(row => this.rowToLexiconEntry(row)),
+            total: parseInt(count.rows[0].count)
+        };
+    }
+    
+    // Record a review decision on a learned word. When stats (already validated) are given they
+    // replace the word's scores. Returns the updated word, or null if there is no such learned word.
+    async reviewLearnedWord(word, status, reviewer, stats = null, language = DEFAULT_LANGUAGE) {
+        const params = [word, language, status, reviewer];
+        let setScores = '';
+        if (stats) {
+            params.push(stats.vad.valence, stats.vad.arousal, stats.vad.dominance,
+                ...EMOTIONS.map(emotion => stats.emotion_probs[emotion]),
+                stats.sentiment.polarity, stats.sentiment.strength);
+            setScores = `,
+                    valence = $5, arousal = $6, dominance = $7,
+                    emotion_joy = $8, emotion_trust = $9, emotion_anticipation = $10, emotion_surprise = $11,
+                    emotion_anger = $12, emotion_fear = $13, emotion_sadness = $14, emotion_disgust = $15,
+                    sentiment_polarity = $16, sentiment_strength = $17`;
+        }
+        
+        const updated = await this.withTransaction(async client => {
+            const existing = await client.query(
+                'SELECT * FROM words WHERE word = $1 AND language = $2 AND enrichment_provider IS NOT NULL FOR UPDATE',
+                [word, language]
+            );
+            if (existing.rows.length === 0) return null;
+            
+            const result = await client.query(`
+                UPDATE words SET
+                    review_status = $3, reviewed_by = $4, reviewed_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP${setScores}
+                WHERE word = $1 AND language = $2
+                RETURNING *
+            `, params);
+            
+            const after = this.rowToLexiconEntry(result.rows[0]);
+            const action = stats ? 'edit' : status === 'rejected' ? 'reject' : 'approve';
+            await this.recordLexiconAudit(client, word, language, action, reviewer, this.rowToLexiconEntry(existing.rows[0]), after);
+            return after;
+        });
+        
+        if (updated) await this.publishLexiconChange([word], language);
+        return updated;
+    }
+    
+    // Listen for lexicon changes made by any instance, so no cached entry outlives an edit.
+    // Holds one pooled connection; set LEXICON_CACHE_SYNC=false to run without it.
+    async startCacheSync() {
+        if (process.env.LEXICON_CACHE_SYNC === 'false' || this.syncClient) return;
+        
+        try {
+            const client = await this.pool.connect();
+            client.on('notification', message => this.applyLexiconChange(message.payload));
+            client.on('error', error => {
+                console.error('Lexicon cache sync lost:', error.message);
+                this.syncClient = null;
+                client.release(true);
+                // Changes may have been missed while disconnected
+                this.applyLexiconChange(JSON.stringify({ all: true }));
+                setTimeout(() => this.startCacheSync(), CACHE_SYNC_RETRY_MS).unref();
+            });
+            await client.query(`LISTEN ${LEXICON_CHANNEL}`);
+            this.syncClient = client;
+        } catch (error) {
+            console.error('Could not start lexicon cache sync:', error.message);
+        }
+    }
+    
+    // Drop changed words from the in-memory caches of their language. Fallback matches may point at a
+    // word from any number of misspellings, so that cache is cleared wholesale; phrase changes reload
+    // the phrase index. An { org } change only drops that organization's layer, which is reloaded whole on next use.
+    applyLexiconChange(payload) {
+        let change;
+        try {
+            change = JSON.parse(payload);
+        } catch (error) {
+            change = { all: true };
+        }
+        
+        if (change.org) {
+            this.orgLayers.delete(change.org);
+            return;
+        }
+        
+        if (change.all) {
+            this.orgLayers.clear();
+            this.languageLexicons.clear();
+            this.wordCache.clear();
+            this.fallbackCache.clear();
+            this.loadPhraseIndex().catch(error => console.error('Phrase index reload failed:', error.message));
+            this.loadLexiconLanguages().catch(error => console.error('Lexicon language reload failed:', error.message));
+            return;
+        }
+        
+        const language = change.language || DEFAULT_LANGUAGE;
+        const words = change.words || [];
+        this.lexiconLanguages.add(language);
+        const lexicon = language === DEFAULT_LANGUAGE ? this : this.languageLexicons.get(language);
+        if (!lexicon) return;
+        
+        for (const word of words) lexicon.wordCache.delete(word);
+        lexicon.fallbackCache.clear();
+        
+        if (words.some(word => word.includes(' '))) {
+            this.loadPhraseIndex(language).catch(error => console.error('Phrase index reload failed:', error.message));
+        }
+    }
+    
+    // Invalidate changed words here and on every other instance. NOTIFY payloads are capped at
+    // 8000 bytes, so large changes ask every instance to drop its whole cache instead.
+    async publishLexiconChange(words, language = DEFAULT_LANGUAGE) {
+        await this.broadcastLexiconChange(words.length > MAX_NOTIFY_WORDS ? { all: true } : { words, language });
+    }
+    
+    async publishOrgLexiconChange(orgId) {
+        await this.broadcastLexiconChange({ org: orgId });
+    }
+    
+    async broadcastLexiconChange(change) {
+        const payload = JSON.stringify(change);
+        this.applyLexiconChange(payload);
+        try {
+            await this.pool.query('SELECT pg_notify($1, $2)', [LEXICON_CHANNEL, payload]);
+        } catch (error) {
+            console.error('Lexicon change notification failed:', error.message);
+        }
+    }
+    
+    // Release the cache sync connection and close the pool
+    async close() {
+        if (this.syncClient) {
+            const client = this.syncClient;
+            this.syncClient = null;
+            client.release(true);
+        }
+        await this.pool.end();
+    }
+    
     async logProcessing(text, result, processingTime, deepseekCalls, newWordsAdded) {
         try {
             await this.pool.query(`
@@ -341,7 +1523,12 @@ class EmotionEngine {
         return { emotion: maxEmotion, confidence: maxConfidence };
     }
     
-    isEmotionallySignificant(word) {
+    isEmotionallySignificant(word, language = DEFAULT_LANGUAGE) {
+        // Other languages only have their detection stopwords to go on
+        if (language !== DEFAULT_LANGUAGE) {
+            return !isStopword(word, language) && [...word].length >= 2 && !/^\d+$/.test(word);
+        }
+        
         const neutralWords = new Set([
             'i', 'me', 'my', 'mine', 'myself', 'you', 'your', 'yours', 'yourself',
             'he', 'she', 'it', 'his', 'her', 'its', 'him', 'we', 'us', 'our',
@@ -353,47 +1540,73 @@ class EmotionEngine {
         return !neutralWords.has(word.toLowerCase()) && word.length >= 3 && !/^\d+$/.test(word);
     }
     
-    async analyzeWordWithDeepSeek(word) {
-        if (!this.deepseekApiKey) return null;
-        
-        const prompt = `Analyze the word "${word}" for emotions. Return ONLY this JSON:
+    buildEnrichmentPrompt(word, language = DEFAULT_LANGUAGE) {
+        const languageName = language !== DEFAULT_LANGUAGE ? `${getLanguageName(language)} ` : '';
+        return `Analyze the ${languageName}${word.includes(' ') ? 'phrase' : 'word'} "${word}" for emotions. Return ONLY this JSON:
 {
   "emotion_probs": {"joy": 0.125, "trust": 0.125, "anticipation": 0.125, "surprise": 0.125, "anger": 0.125, "fear": 0.125, "sadness": 0.125, "disgust": 0.125},
   "vad": {"valence": 0.5, "arousal": 0.5, "dominance": 0.5},
-  "sentiment": {"polarity": "neutral", "strength": 0.5}
+  "sentiment": {"polarity": "neutral", "strength": 0.5},
+  "confidence": 0.8
 }
-For emotional words, give primary emotion 0.4-0.7. emotion_probs must sum to 1.0.`;
-
-        try {
-            const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.deepseekApiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'deepseek-chat',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.0,
-                    max_tokens: 500
-                })
-            });
-            
-            if (response.ok) {
-                const result = await response.json();
-                let content = result.choices[0].message.content.trim();
-                content = content.replace(/```json/g, '').replace(/```/g, '').trim();
-                return JSON.parse(content);
+For emotional words, give primary emotion 0.4-0.7. emotion_probs must sum to 1.0. confidence (0-1) is how sure you are.`;
+    }
+    
+    // Score an unknown word with the configured provider, tagging the result with where it came from.
+    // Responses that still fail validation after the corrective retry are quarantined, not learned.
+    // signal aborts the provider call when the client has gone away.
+    async enrichWord(word, requestId = null, language = DEFAULT_LANGUAGE, signal = null) {
+        if (!this.enrichmentProvider) return null;
+        
+        const outcome = await requestEnrichment(this.enrichmentProvider, word, this.buildEnrichmentPrompt(word, language), { signal });
+        if (!outcome.result) {
+            if (outcome.response !== null) {
+                await this.quarantineWord(word, outcome);
             }
             return null;
+        }
+        
+        const { confidence, ...stats } = outcome.result;
+        return {
+            ...stats,
+            review_status: 'pending_review',
+            enrichment: {
+                provider: this.enrichmentProvider.name,
+                model: this.enrichmentProvider.model,
+                confidence,
+                request_id: requestId
+            }
+        };
+    }
+    
+    async quarantineWord(word, outcome) {
+        try {
+            await this.pool.query(`
+                INSERT INTO enrichment_quarantine (word, provider, model, raw_response, errors, attempts)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [
+                word,
+                this.enrichmentProvider.name,
+                this.enrichmentProvider.model,
+                outcome.response,
+                JSON.stringify(outcome.errors),
+                outcome.attempts
+            ]);
+            console.warn(`⚠️  Quarantined enrichment for "${word}"`);
         } catch (error) {
-            console.error(`DeepSeek error for "${word}":`, error.message);
-            return null;
+            console.error(`Quarantine error for "${word}":`, error.message);
         }
     }
     
-    calculateOverallEmotion(wordAnalyses, text) {
-        const confidentWords = wordAnalyses.filter(w => w.found && w.confidence > 0.25);
+    // trace, when given, collects each word's contribution for explainResult(). This engine applies
+    // no context pattern boosts, so trace.boosts stays empty.
+    calculateOverallEmotion(wordAnalyses, text, trace = null) {
+        const confidentWords = wordAnalyses.filter(w => w.found && w.confidence > 0.25 && !w.is_modifier);
+        if (trace) {
+            trace.confidenceThreshold = 0.25;
+            trace.contributions = [];
+            trace.boosts = [];
+        }
         
         if (confidentWords.length === 0) {
             return {
@@ -414,10 +1627,14 @@ For emotional words, give primary emotion 0.4-0.7. emotion_probs must sum to 1.0
         for (const wordData of confidentWords) {
             const probs = wordData.emotion_probs || {};
             const amp = wordData.confidence > 0.5 ? 3.0 : wordData.confidence > 0.3 ? 2.5 : 2.0;
+            const multiplier = wordData.intensity_multiplier || 1.0;
+            const weights = {};
             for (const emotion of Object.keys(emotionWeights)) {
                 const base = probs[emotion] || 0.125;
-                emotionWeights[emotion] += emotion === wordData.emotion ? base * amp : base;
+                weights[emotion] = emotion === wordData.emotion ? base * amp * multiplier : base;
+                emotionWeights[emotion] += weights[emotion];
             }
+            if (trace) trace.contributions.push({ wordData, amplification: amp, weights });
         }
         
         const total = Object.values(emotionWeights).reduce((a, b) => a + b, 0);
@@ -428,14 +1645,18 @@ For emotional words, give primary emotion 0.4-0.7. emotion_probs must sum to 1.0
         
         const dominantEmotion = Object.keys(emotions).reduce((a, b) => emotions[a] > emotions[b] ? a : b);
         
+        // Intensity already stretched each word's valence and arousal (applyIntensity), so only
+        // clause weights from the sentence breakdown weight the averages
+        const totalWeight = confidentWords.reduce((s, w) => s + (w.clause_weight || 1.0), 0);
         const vad = {
-            valence: confidentWords.reduce((s, w) => s + w.valence, 0) / confidentWords.length,
-            arousal: confidentWords.reduce((s, w) => s + w.arousal, 0) / confidentWords.length,
-            dominance: 0.5
+            valence: confidentWords.reduce((s, w) => s + w.valence * (w.clause_weight || 1.0), 0) / totalWeight,
+            arousal: confidentWords.reduce((s, w) => s + w.arousal * (w.clause_weight || 1.0), 0) / totalWeight,
+            dominance: confidentWords.reduce((s, w) => s + (w.dominance ?? 0.5) * (w.clause_weight || 1.0), 0) / totalWeight
         };
         
-        const pos = confidentWords.filter(w => w.sentiment === 'positive').length;
-        const neg = confidentWords.filter(w => w.sentiment === 'negative').length;
+        const pos = confidentWords.filter(w => w.sentiment === 'positive').reduce((s, w) => s + (w.intensity_multiplier || 1.0), 0);
+        const neg = confidentWords.filter(w => w.sentiment === 'negative').reduce((s, w) => s + (w.intensity_multiplier || 1.0), 0);
+        const strength = confidentWords.reduce((s, w) => s + Math.min(w.confidence * (w.intensity_multiplier || 1.0), 1.0), 0) / confidentWords.length;
         
         return {
             overall_emotion: dominantEmotion,
@@ -446,7 +1667,7 @@ For emotional words, give primary emotion 0.4-0.7. emotion_probs must sum to 1.0
             analyzed_words: confidentWords.length,
             coverage: confidentWords.length / wordAnalyses.length,
             vad,
-            sentiment: { polarity: pos > neg ? 'positive' : neg > pos ? 'negative' : 'neutral', strength: 0.5 }
+            sentiment: { polarity: pos > neg ? 'positive' : neg > pos ? 'negative' : 'neutral', strength }
         };
     }
     
@@ -455,16 +1676,24 @@ For emotional words, give primary emotion 0.4-0.7. emotion_probs must sum to 1.0
             const result = await this.pool.query('SELECT COUNT(*) FROM words');
             return {
                 total_words: parseInt(result.rows[0].count),
+                languages: [...this.lexiconLanguages],
                 database_type: 'PostgreSQL',
                 database_connected: this.dbConnected,
-                deepseek_available: !!this.deepseekApiKey
+                deepseek_available: !!this.enrichmentProvider,
+                enrichment_provider: this.enrichmentProvider ? this.enrichmentProvider.name : null,
+                word_cache: this.wordCache.stats(),
+                fallback_cache: this.fallbackCache.stats()
             };
         } catch (error) {
             return {
                 total_words: 0,
+                languages: [...this.lexiconLanguages],
                 database_type: 'PostgreSQL',
                 database_connected: false,
-                deepseek_available: !!this.deepseekApiKey,
+                deepseek_available: !!this.enrichmentProvider,
+                enrichment_provider: this.enrichmentProvider ? this.enrichmentProvider.name : null,
+                word_cache: this.wordCache.stats(),
+                fallback_cache: this.fallbackCache.stats(),
                 error: error.message
             };
         }
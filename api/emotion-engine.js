@@ -3,97 +3,225 @@
 
 const fs = require('fs');
 const path = require('path');
+const { applyNegation } = require('./negation');
+const { applyIntensity } = require('./intensity');
+const { detectSarcasm, applySarcasmInversion } = require('./sarcasm');
+const { calculateSocialAxes, calculateToxicity } = require('./social-signals');
+const { buildPhraseIndex, addToPhraseIndex, segmentTokens, mergeCandidatePhrases } = require('./phrases');
+const { tokenize, cleanToken, attachOffsets } = require('./tokenizer');
+const { getEmojiKey, isEmojiKey, getEmojiLookupKeys } = require('./emoji');
+const { getLookupCandidates, createFuzzyBudget, isMidSentenceName, CHAT_SPELLINGS } = require('./lemmatizer');
+const { applyClauseWeights, buildSentenceBreakdown } = require('./sentences');
+const { createEnrichmentProvider, getEnrichmentConfig, requestEnrichment, requestTranslation } = require('./enrichment');
+const { getReviewExclusion } = require('./lexicon-review');
+const { DEFAULT_LANGUAGE, resolveLanguage, isStopword, getLanguageName, getLexiconDirectory, getLexiconFileName, listLexiconLanguages } = require('./language');
+const { calibrateResult, getCalibrationModel } = require('./calibration');
+const { applyTaxonomy } = require('./taxonomy');
+const { renderAnnotatedText, parseAnnotationFormat } = require('./annotation');
+const { explainResult, findPatternMatches } = require('./explanation');
 
 class EmotionEngine {
-    constructor() {
-        this.wordCache = new Map();
-        this.fileCache = new Map(); // Lazy load word files
-        this.deepseekApiKey = process.env.DEEPSEEK_API_KEY;
-        this.wordsDir = path.join(process.cwd(), 'words');
-        this.initialized = false;
+    // options.wordsDir and options.enrichmentProvider override the deployment's lexicon directory and
+    // provider; options.readOnly keeps learned words in memory instead of writing them to the lexicon
+    constructor(options = {}) {
+        this.lexicons = new Map(); // language -> { language, dir, wordCache, fileCache, phraseIndex, initialized }
+        this.languages = null; // Languages with a lexicon directory, listed on first use
+        this.enrichmentProvider = options.enrichmentProvider !== undefined ? options.enrichmentProvider : createEnrichmentProvider();
+        this.maxEnrichmentWords = getEnrichmentConfig().maxWords;
+        this.wordsDir = options.wordsDir || path.join(process.cwd(), 'words');
+        this.quarantineFile = path.join(process.cwd(), 'enrichment-quarantine.json'); // Enrichments that failed validation
+        this.readOnly = options.readOnly === true;
+    }
+    
+    // The lexicon for a language: English in words/, others in words-<code>/. Word files load lazily.
+    getLexicon(language = DEFAULT_LANGUAGE) {
+        if (!this.lexicons.has(language)) {
+            this.lexicons.set(language, {
+                language,
+                dir: getLexiconDirectory(this.wordsDir, language),
+                wordCache: new Map(),
+                fileCache: new Map(),
+                phraseIndex: null, // Built from phrases.json on first use
+                initialized: false
+            });
+        }
+        return this.lexicons.get(language);
+    }
+    
+    getLanguages() {
+        if (!this.languages) this.languages = listLexiconLanguages(this.wordsDir);
+        return this.languages;
+    }
+    
+    hasLexicon(language) {
+        return this.getLanguages().includes(language);
     }
     
     // Lazy initialization - only load when needed
-    ensureInitialized() {
-        if (this.initialized) return;
+    ensureInitialized(lexicon = this.getLexicon()) {
+        if (lexicon.initialized) return;
         
         try {
-            const files = fs.readdirSync(this.wordsDir).filter(f => f.endsWith('.json'));
+            const files = fs.readdirSync(lexicon.dir).filter(f => f.endsWith('.json'));
             // Store file list for lazy loading
             for (const file of files) {
                 const letter = file.replace('.json', '');
-                this.fileCache.set(letter, path.join(this.wordsDir, file));
+                lexicon.fileCache.set(letter, path.join(lexicon.dir, file));
             }
-            this.initialized = true;
+            lexicon.initialized = true;
         } catch (error) {
-            console.error('Error initializing word database:', error.message);
-            this.initialized = true; // Mark as initialized even on error
+            console.error(`Error initializing ${lexicon.language} word database:`, error.message);
+            lexicon.initialized = true; // Mark as initialized even on error
         }
     }
     
+    // Multi-word phrases live in phrases.json; load them all up front so
+    // tokens can be matched against them before single-word lookup
+    getPhraseIndex(lexicon = this.getLexicon()) {
+        this.ensureInitialized(lexicon);
+        if (lexicon.phraseIndex) return lexicon.phraseIndex;
+        
+        lexicon.phraseIndex = buildPhraseIndex([]);
+        const filePath = lexicon.fileCache.get('phrases');
+        if (!filePath) return lexicon.phraseIndex;
+        
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            for (const entry of data.words || []) {
+                if (entry.word && entry.stats) {
+                    lexicon.wordCache.set(entry.word.normalize('NFC').toLowerCase(), entry.stats);
+                    addToPhraseIndex(lexicon.phraseIndex, entry.word);
+                }
+            }
+        } catch (error) {
+            console.error('Error loading phrases:', error.message);
+        }
+        
+        return lexicon.phraseIndex;
+    }
+    
     // Load word data on-demand
-    getWordData(word) {
-        this.ensureInitialized();
+    getWordData(word, lexicon = this.getLexicon()) {
+        this.ensureInitialized(lexicon);
         
         const cleanWord = word.toLowerCase();
         
         // Check cache first
-        if (this.wordCache.has(cleanWord)) {
-            return this.wordCache.get(cleanWord);
+        if (lexicon.wordCache.has(cleanWord)) {
+            return lexicon.wordCache.get(cleanWord);
         }
         
         // Determine which file to load
-        const firstChar = cleanWord[0];
-        let fileName = firstChar;
-        
-        // Handle special cases
-        if (/\d/.test(firstChar)) {
-            fileName = 'numbers';
-        } else if (!/[a-z]/.test(firstChar)) {
-            fileName = 'symbols';
-        }
+        const fileName = getLexiconFileName(cleanWord).replace('.json', '');
         
-        const filePath = this.fileCache.get(fileName);
+        const filePath = lexicon.fileCache.get(fileName);
         if (!filePath) return null;
         
         // Load file if not in cache
-        if (!this.fileCache.has(fileName + '_loaded')) {
+        if (!lexicon.fileCache.has(fileName + '_loaded')) {
             try {
                 const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
                 if (data.words && Array.isArray(data.words)) {
                     for (const wordEntry of data.words) {
                         if (wordEntry.word && wordEntry.stats) {
-                            this.wordCache.set(wordEntry.word.toLowerCase(), wordEntry.stats);
+                            lexicon.wordCache.set(wordEntry.word.normalize('NFC').toLowerCase(), wordEntry.stats);
                         }
                     }
                 }
-                this.fileCache.set(fileName + '_loaded', true);
+                lexicon.fileCache.set(fileName + '_loaded', true);
             } catch (error) {
                 return null;
             }
         }
         
-        return this.wordCache.get(cleanWord) || null;
+        return lexicon.wordCache.get(cleanWord) || null;
+    }
+    
+    // Find the lexicon entry for a word: exact first, then (if allowed) its lemmas and spelling
+    // corrections, or for emoji the first pictograph of a ZWJ sequence. Lemmas are English-only.
+    // lookupOptions ({ spelling, budget }) narrow spelling correction as in getLookupCandidates.
+    // Returns { data, via, lexicon_word } with via 'exact', 'lemma' or 'fuzzy', or null.
+    resolveWord(cleanWord, allowFallback = true, lexicon = this.getLexicon(), lookupOptions = {}) {
+        const candidates = [{ word: cleanWord, via: 'exact' }];
+        if (isEmojiKey(cleanWord)) {
+            candidates.push(...getEmojiLookupKeys(cleanWord).slice(1).map(word => ({ word, via: 'lemma' })));
+        } else if (allowFallback && lexicon.language === DEFAULT_LANGUAGE &&
+            (CHAT_SPELLINGS[cleanWord] || this.isEmotionallySignificant(cleanWord))) {
+            candidates.push(...getLookupCandidates(cleanWord, lookupOptions));
+        }
+        
+        for (const candidate of candidates) {
+            const data = this.getWordData(candidate.word, lexicon);
+            if (data) return { data, via: candidate.via, lexicon_word: candidate.word };
+        }
+        return null;
     }
     
-    async analyzeText(text) {
-        const words = text.toLowerCase().split(/\s+/);
-        const cleanWords = words.map(word => word.replace(/[^a-zA-Z0-9]/g, ''));
+    // Pick the language to score a text in and the text to score. Languages without a lexicon are
+    // translated into English through the enrichment provider; if that isn't possible the text is
+    // scored against the English lexicon as-is. Returns { language, lexicon, text, translation }.
+    async prepareLanguage(text, options = {}) {
+        const detected = resolveLanguage(text, options.language);
+        const language = { ...detected, lexicon: detected.code, translated: false };
+        if (this.hasLexicon(detected.code)) {
+            return { language, lexicon: this.getLexicon(detected.code), text, translation: null };
+        }
         
-        // Analyze each word
-        const wordAnalyses = [];
-        const unknownWords = [];
+        language.lexicon = DEFAULT_LANGUAGE;
+        const translated = this.enrichmentProvider
+            ? await requestTranslation(this.enrichmentProvider, text, detected.code)
+            : null;
+        if (!translated) {
+            return { language, lexicon: this.getLexicon(), text, translation: null };
+        }
         
-        for (let i = 0; i < cleanWords.length; i++) {
-            const originalWord = words[i];
-            const cleanWord = cleanWords[i];
-            
-            if (!cleanWord || cleanWord.length < 1) {
-                continue;
-            }
+        language.translated = true;
+        return {
+            language,
+            lexicon: this.getLexicon(),
+            text: translated,
+            translation: { text: translated, provider: this.enrichmentProvider.name, model: this.enrichmentProvider.model }
+        };
+    }
+    
+    // options.sarcasmThreshold overrides SARCASM_THRESHOLD; options.invertSarcasm flips
+    // positive words when the text reads as sarcastic; options.breakdown adds per-sentence results;
+    // options.useUnreviewedWords: false skips learned words still pending review;
+    // options.requestId is recorded on any word learned while serving the request;
+    // options.language skips language detection; options.explain adds the contribution table in explanation
+    // options.taxonomy (resolved by taxonomy.resolveTaxonomy) adds the result mapped onto its labels;
+    // options.annotate ('html' or 'markup') adds the marked-up text in annotated. Word, phrase and sentence
+    // start/end offsets are UTF-16 indices into the scored text (the translation if it was translated).
+    async analyzeText(originalText, options = {}) {
+        const { language, lexicon, text, translation } = await this.prepareLanguage(originalText, options);
+        const tokenSpans = tokenize(text, lexicon.language);
+        const tokens = tokenSpans.map(span => span.text);
+        const words = tokens.map(token => token.toLowerCase());
+        // Emoji and emoticons keep their own lexicon key instead of being stripped to nothing
+        const cleanWords = words.map(word => getEmojiKey(word) || cleanToken(word));
+        
+        // Group tokens into analysis units, longest known phrase first ("over the moon")
+        const units = segmentTokens(cleanWords, this.getPhraseIndex(lexicon));
+        
+        // Analyze each word or phrase
+        let wordAnalyses = [];
+        const fuzzyBudget = createFuzzyBudget();
+        
+        for (const unit of units) {
+            const i = unit.start;
+            const originalWord = words.slice(unit.start, unit.start + unit.length).join(' ');
+            const cleanWord = unit.key;
+            const phraseFields = unit.length > 1 ? { token_count: unit.length, is_phrase: true } : {};
             
-            // Get word data using lazy loading
-            const emotionData = this.getWordData(cleanWord);
+            // Get word data using lazy loading, falling back to lemmas and spelling fixes for single words.
+            // Capitalized words mid-sentence are likely names and aren't spell-corrected ("Mike" isn't "make").
+            const isEmoji = isEmojiKey(cleanWord);
+            const match = this.resolveWord(cleanWord, unit.length === 1, lexicon, {
+                spelling: !isMidSentenceName(tokens, i),
+                budget: fuzzyBudget
+            });
+            const exclusion = match ? getReviewExclusion(match.data, options) : null;
+            const emotionData = match && !exclusion ? match.data : null;
             
             if (emotionData) {
                 // Use real emotion data from database
@@ -102,56 +230,73 @@ class EmotionEngine {
                 wordAnalyses.push({
                     word: originalWord,
                     clean_word: cleanWord,
+                    position: i,
                     emotion: dominantEmotion.emotion,
                     confidence: dominantEmotion.confidence,
                     valence: emotionData.vad.valence,
                     arousal: emotionData.vad.arousal,
+                    dominance: emotionData.vad.dominance,
                     sentiment: emotionData.sentiment.polarity,
                     found: true,
-                    source: 'database',
-                    emotion_probs: emotionData.emotion_probs
+                    source: isEmoji ? 'emoji' : 'database',
+                    matched_via: match.via,
+                    lexicon_word: match.lexicon_word,
+                    emotion_probs: emotionData.emotion_probs,
+                    negation_flip_probability: emotionData.dynamics?.negation_flip_probability || 0,
+                    sarcasm_flip_probability: emotionData.dynamics?.sarcasm_flip_probability || 0,
+                    social_axes: emotionData.social_axes,
+                    toxicity: emotionData.toxicity || 0,
+                    ...phraseFields
                 });
             } else {
-                // Word not in database - will need DeepSeek
-                unknownWords.push({
-                    word: originalWord,
-                    clean_word: cleanWord,
-                    index: i
-                });
-                
+                // Word not in database - will need enrichment
                 // Add placeholder for now
                 wordAnalyses.push({
                     word: originalWord,
                     clean_word: cleanWord,
+                    position: i,
                     emotion: 'neutral',
                     confidence: 0.125,
                     valence: 0.5,
                     arousal: 0.5,
+                    dominance: 0.5,
                     sentiment: 'neutral',
                     found: false,
-                    source: 'unknown'
+                    source: exclusion || 'unknown',
+                    matched_via: null,
+                    lexicon_word: null,
+                    ...(exclusion ? { review_status: exclusion } : {}),
+                    ...phraseFields
                 });
             }
         }
         
-        // Process unknown words with DeepSeek if we have an API key
-        if (unknownWords.length > 0 && this.deepseekApiKey) {
-            // Prioritize emotionally significant words for DeepSeek processing
-            const emotionalWords = unknownWords.filter(word => this.isEmotionallySignificant(word.clean_word));
+        // Unknown words followed by a particle are enriched as phrases ("freaked out").
+        // Words held back by review are already in the lexicon and are never re-enriched.
+        wordAnalyses = mergeCandidatePhrases(wordAnalyses);
+        const unknownWords = wordAnalyses
+            .filter(w => !w.found && !w.review_status)
+            .map(w => ({ word: w.word, clean_word: w.clean_word, index: w.position }));
+        
+        // Process unknown words with the enrichment provider, if one is configured
+        if (unknownWords.length > 0 && this.enrichmentProvider) {
+            // Prioritize emotionally significant words for enrichment
+            const emotionalWords = unknownWords.filter(word => this.isEmotionallySignificant(word.clean_word, lexicon.language));
             const wordsToProcess = emotionalWords.length > 0 ? emotionalWords : unknownWords.slice(0, 1);
             
-            // Process up to 3 words efficiently
-            const processPromises = wordsToProcess.slice(0, 3).map(async (unknownWord) => {
+            // Process up to the deployment's per-request limit in parallel
+            const processPromises = wordsToProcess.slice(0, this.maxEnrichmentWords).map(async (unknownWord) => {
                 try {
-                    const deepseekResult = await this.analyzeWordWithDeepSeek(unknownWord.clean_word);
-                    if (deepseekResult) {
+                    const enrichedResult = await this.enrichWord(unknownWord.clean_word, options.requestId, lexicon.language);
+                    if (enrichedResult) {
                         // Cache this result for future use
-                        this.wordCache.set(unknownWord.clean_word, deepseekResult);
+                        lexicon.wordCache.set(unknownWord.clean_word, enrichedResult);
                         
                         // Save to disk for persistence
-                        await this.saveWordToFile(unknownWord.clean_word, deepseekResult);
+                        if (!this.readOnly) await this.saveWordToFile(unknownWord.clean_word, enrichedResult, lexicon);
+                        addToPhraseIndex(this.getPhraseIndex(lexicon), unknownWord.clean_word);
                         
-                        return { word: unknownWord.clean_word, result: deepseekResult };
+                        return { word: unknownWord.clean_word, result: enrichedResult };
                     }
                 } catch (error) {
                     // Silent fail for optimization
@@ -159,14 +304,18 @@ class EmotionEngine {
                 return null;
             });
             
-            // Wait for all DeepSeek calls in parallel
+            // Wait for all enrichment calls in parallel
             const results = await Promise.all(processPromises);
             
             // Update word analyses with results
             for (const result of results) {
                 if (result) {
                     const wordIndex = wordAnalyses.findIndex(w => w.clean_word === result.word);
-                    if (wordIndex !== -1) {
+                    const exclusion = getReviewExclusion(result.result, options);
+                    if (wordIndex !== -1 && exclusion) {
+                        // Learned but pending review, and this caller doesn't score unreviewed words
+                        wordAnalyses[wordIndex] = { ...wordAnalyses[wordIndex], source: exclusion, review_status: exclusion };
+                    } else if (wordIndex !== -1) {
                         const dominantEmotion = this.getDominantEmotion(result.result.emotion_probs);
                         wordAnalyses[wordIndex] = {
                             ...wordAnalyses[wordIndex],
@@ -174,9 +323,10 @@ class EmotionEngine {
                             confidence: dominantEmotion.confidence,
                             valence: result.result.vad.valence,
                             arousal: result.result.vad.arousal,
+                            dominance: result.result.vad.dominance ?? 0.5,
                             sentiment: result.result.sentiment.polarity,
                             found: true,
-                            source: 'deepseek',
+                            source: result.result.enrichment.provider,
                             emotion_probs: result.result.emotion_probs
                         };
                     }
@@ -184,8 +334,61 @@ class EmotionEngine {
             }
         }
         
+        // Character offsets of each word and phrase in the scored text
+        attachOffsets(text, wordAnalyses, tokenSpans);
+        
+        // Flip or dampen words inside a negation scope ("not happy")
+        applyNegation(wordAnalyses);
+        
+        // Scale words after boosters/dampeners ("extremely angry") and surface cues (CAPS, "!!!")
+        applyIntensity(wordAnalyses, tokens);
+        
+        // Estimate sarcasm and, if asked, invert the positive words it applies to
+        const sarcasm = detectSarcasm(wordAnalyses, text, { threshold: options.sarcasmThreshold });
+        if (sarcasm.is_sarcastic && options.invertSarcasm) {
+            applySarcasmInversion(wordAnalyses, sarcasm);
+        }
+        
         // Calculate overall emotion from word analyses (like original system)
-        return this.calculateOverallEmotion(wordAnalyses, text);
+        // Clauses after "but" count more and concessions less, as in the sentence breakdown; the
+        // reported word analyses stay unweighted
+        const trace = options.explain ? {} : null;
+        const result = this.calculateOverallEmotion(applyClauseWeights(text, wordAnalyses, tokenSpans), text, trace);
+        result.word_analysis = wordAnalyses;
+        
+        // Calibrated probabilities, uncertainty and whether the result is too weak to act on
+        Object.assign(result, calibrateResult(result, getCalibrationModel('json')));
+        
+        // The distribution mapped onto another label set (Ekman, dyads, an organization's own)
+        if (options.taxonomy) {
+            result.taxonomy = applyTaxonomy(result, options.taxonomy);
+        }
+        result.sarcasm = sarcasm;
+        result.social_axes = calculateSocialAxes(wordAnalyses);
+        result.toxicity = calculateToxicity(wordAnalyses);
+        
+        // Score each sentence on its own and summarize the arc across them
+        if (options.breakdown) {
+            const breakdown = buildSentenceBreakdown(text, wordAnalyses, tokenSpans,
+                (analyses, sentenceText) => this.calculateOverallEmotion(analyses, sentenceText));
+            result.sentences = breakdown.sentences;
+            result.emotional_arc = breakdown.emotional_arc;
+        }
+        
+        // Per-token contributions and pattern boosts behind the result, for justifying flags
+        if (trace) {
+            result.explanation = explainResult(result, wordAnalyses, trace);
+        }
+        
+        // The scored text with its emotional words marked up for direct rendering
+        const annotationFormat = parseAnnotationFormat(options.annotate);
+        if (annotationFormat) {
+            result.annotated = { format: annotationFormat, text: renderAnnotatedText(text, wordAnalyses, annotationFormat) };
+        }
+        
+        result.language = language;
+        if (translation) result.translation = translation;
+        return result;
     }
     
     getDominantEmotion(emotionProbs) {
@@ -202,7 +405,12 @@ class EmotionEngine {
         return { emotion: maxEmotion, confidence: maxConfidence };
     }
     
-    isEmotionallySignificant(word) {
+    isEmotionallySignificant(word, language = DEFAULT_LANGUAGE) {
+        // Other languages only have their detection stopwords to go on
+        if (language !== DEFAULT_LANGUAGE) {
+            return !isStopword(word, language) && [...word].length >= 2 && !/^\d+$/.test(word);
+        }
+        
         // Skip common neutral words that are unlikely to be emotional
         const neutralWords = new Set([
             'i', 'me', 'my', 'mine', 'myself',
@@ -251,12 +459,9 @@ class EmotionEngine {
         return true;
     }
     
-    async analyzeWordWithDeepSeek(word) {
-        if (!this.deepseekApiKey) {
-            return null;
-        }
-        
-        const prompt = `Analyze the word "${word}" for its emotional connotations and psychological impact.
+    buildEnrichmentPrompt(word, language = DEFAULT_LANGUAGE) {
+        const languageName = language !== DEFAULT_LANGUAGE ? `${getLanguageName(language)} ` : '';
+        return `Analyze the ${languageName}${word.includes(' ') ? 'phrase' : 'word'} "${word}" for its emotional connotations and psychological impact.
 
 GOAL: Create ACCURATE and DISTINCTIVE emotion predictions that clearly differentiate between emotions.
 
@@ -296,61 +501,83 @@ Based on your analysis, provide the emotion data in this exact JSON format:
   "sentiment": {
     "polarity": "neutral",
     "strength": 0.5
-  }
+  },
+  "confidence": 0.8
 }
 
 Rules:
 - emotion_probs must sum to 1.0
 - vad values: 0.0 to 1.0 (valence: negative to positive, arousal: calm to energetic, dominance: submissive to dominant)
+- confidence: 0.0 to 1.0, how sure you are of this analysis (low for slang, names or words you don't recognize)
 - Return ONLY the JSON, no explanation`;
-
+    }
+    
+    // Score an unknown word with the configured provider, tagging the result with where it came from.
+    // Responses that still fail validation after the corrective retry are quarantined, not learned.
+    async enrichWord(word, requestId = null, language = DEFAULT_LANGUAGE) {
+        if (!this.enrichmentProvider) {
+            return null;
+        }
+        
+        const outcome = await requestEnrichment(this.enrichmentProvider, word, this.buildEnrichmentPrompt(word, language), {
+            temperature: 0.1,
+            maxTokens: 800
+        });
+        
+        if (!outcome.result) {
+            if (outcome.response !== null && !this.readOnly) {
+                this.quarantineWord(word, outcome);
+            }
+            return null;
+        }
+        
+        const { confidence, ...stats } = outcome.result;
+        return {
+            ...stats,
+            review_status: 'pending_review',
+            enrichment: {
+                provider: this.enrichmentProvider.name,
+                model: this.enrichmentProvider.model,
+                confidence,
+                request_id: requestId
+            }
+        };
+    }
+    
+    quarantineWord(word, outcome) {
         try {
-            const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.deepseekApiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'deepseek-chat',
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.1,
-                    max_tokens: 800
-                })
-            });
-            
-            if (response.ok) {
-                const result = await response.json();
-                let content = result.choices[0].message.content.trim();
-                
-                // Clean response
-                if (content.startsWith('```json')) {
-                    content = content.replace('```json', '').replace('```', '').trim();
-                } else if (content.startsWith('```')) {
-                    const lines = content.split('\n');
-                    for (const line of lines) {
-                        if (line.trim().startsWith('{"emotion_probs"')) {
-                            content = line.trim();
-                            break;
-                        }
-                    }
-                }
-                
-                return JSON.parse(content);
-                
-            } else {
-                return null;
+            let data = { entries: [] };
+            if (fs.existsSync(this.quarantineFile)) {
+                data = JSON.parse(fs.readFileSync(this.quarantineFile, 'utf8'));
             }
             
+            data.entries.push({
+                word,
+                provider: this.enrichmentProvider.name,
+                model: this.enrichmentProvider.model,
+                raw_response: outcome.response,
+                errors: outcome.errors,
+                attempts: outcome.attempts,
+                created_at: new Date().toISOString()
+            });
+            
+            fs.writeFileSync(this.quarantineFile, JSON.stringify(data, null, 2), 'utf8');
+            console.warn(`⚠️  Quarantined enrichment for "${word}"`);
         } catch (error) {
-            return null;
+            console.error(`Error quarantining "${word}":`, error.message);
         }
     }
     
-    calculateOverallEmotion(wordAnalyses, text) {
+    // trace, when given, collects each word's contribution and the pattern boosts for explainResult()
+    calculateOverallEmotion(wordAnalyses, text, trace = null) {
         // Filter to only confident words (like original system)
         const CONFIDENCE_THRESHOLD = 0.25;
-        const confidentWords = wordAnalyses.filter(w => w.found && w.confidence > CONFIDENCE_THRESHOLD);
+        if (trace) {
+            trace.confidenceThreshold = CONFIDENCE_THRESHOLD;
+            trace.contributions = [];
+            trace.boosts = [];
+        }
+        const confidentWords = wordAnalyses.filter(w => w.found && w.confidence > CONFIDENCE_THRESHOLD && !w.is_modifier);
         
         if (confidentWords.length === 0) {
             // No confident words - return neutral (like original)
@@ -376,12 +603,23 @@ Rules:
                 amplification = 2.0; // Moderate emotional word
             }
             
+            const baseAmplification = amplification;
+            
+            // Boosters ("very") and dampeners ("slightly") scale the amplification
+            amplification *= wordData.intensity_multiplier || 1.0;
+            
             // Add weighted scores
+            const weights = {};
             for (const emotion of Object.keys(emotionWeights)) {
                 const baseScore = emotionProbs[emotion] || 0.125;
                 const weightedScore = emotion === wordData.emotion ? 
                     baseScore * amplification : baseScore;
                 emotionWeights[emotion] += weightedScore;
+                weights[emotion] = weightedScore;
+            }
+            
+            if (trace) {
+                trace.contributions.push({ wordData, amplification: baseAmplification, weights });
             }
         }
         
@@ -401,7 +639,7 @@ Rules:
         }
         
         // Apply context adjustments (like original system)
-        const adjustedEmotions = this.applyContextAdjustments(emotions, confidentWords, text);
+        const adjustedEmotions = this.applyContextAdjustments(emotions, confidentWords, text, trace);
         
         // Get dominant emotion
         const dominantEmotion = Object.keys(adjustedEmotions).reduce((a, b) => 
@@ -447,11 +685,15 @@ Rules:
         return defaultProbs;
     }
     
-    applyContextAdjustments(emotions, confidentWords, text) {
+    // trace.boosts, when given, records each boosted emotion with the pattern occurrences behind it
+    applyContextAdjustments(emotions, confidentWords, text, trace = null) {
         // Apply context patterns (like original system)
         const textLower = text.toLowerCase();
         const adjustedEmotions = { ...emotions };
         
+        // Negated or sarcasm-inverted words ("not happy") must not boost the emotion they were flipped away from
+        const negatedWords = new Set(confidentWords.filter(w => w.negated || w.sarcasm_inverted).map(w => w.clean_word));
+        
         // Context patterns that boost specific emotions
         const contextPatterns = {
             anger: [['hate', 'angry', 'mad', 'furious'], ['damn', 'shit', 'stupid']],
@@ -461,22 +703,34 @@ Rules:
             surprise: [['wow', 'omg', 'incredible', 'shocking'], ['sudden', 'unexpected']],
             disgust: [['gross', 'disgusting', 'nasty', 'awful'], ['sick', 'yuck']],
             trust: [['trust', 'reliable', 'honest', 'faithful'], ['sure', 'certain']],
-            anticipation: [['excited', 'can\'t wait', 'looking forward'], ['hope', 'expect']]
+            anticipation: [['excited'], ['hope', 'expect']]
         };
         
         // Apply pattern-based boosts
         for (const [emotion, patternGroups] of Object.entries(contextPatterns)) {
             let boostFactor = 0.0;
+            const matchedPatterns = [];
             
             for (const patterns of patternGroups) {
-                const matches = patterns.filter(pattern => textLower.includes(pattern)).length;
-                if (matches > 0) {
-                    boostFactor += matches * 0.15;
+                const matched = patterns.filter(pattern => textLower.includes(pattern) && !negatedWords.has(pattern));
+                if (matched.length > 0) {
+                    boostFactor += matched.length * 0.15;
+                    matchedPatterns.push(...matched);
                 }
             }
             
             if (boostFactor > 0) {
+                const before = adjustedEmotions[emotion];
                 adjustedEmotions[emotion] = Math.min(adjustedEmotions[emotion] + boostFactor, 0.8);
+                
+                if (trace) {
+                    trace.boosts.push({
+                        emotion,
+                        boost: boostFactor,
+                        applied: adjustedEmotions[emotion] - before,
+                        matches: matchedPatterns.flatMap(pattern => findPatternMatches(text, pattern))
+                    });
+                }
             }
         }
         
@@ -497,17 +751,22 @@ Rules:
         }
         
         const vad = { valence: 0, arousal: 0, dominance: 0 };
+        let totalWeight = 0;
         
+        // Intensity already stretched each word's valence and arousal (applyIntensity), so only
+        // clause weights from the sentence breakdown weight the averages
         for (const word of confidentWords) {
-            vad.valence += word.valence || 0.5;
-            vad.arousal += word.arousal || 0.5;
-            vad.dominance += (word.dominance || 0.5);
+            const weight = word.clause_weight || 1.0;
+            vad.valence += (word.valence ?? 0.5) * weight;
+            vad.arousal += (word.arousal ?? 0.5) * weight;
+            vad.dominance += (word.dominance ?? 0.5) * weight;
+            totalWeight += weight;
         }
         
         return {
-            valence: vad.valence / confidentWords.length,
-            arousal: vad.arousal / confidentWords.length,
-            dominance: vad.dominance / confidentWords.length
+            valence: vad.valence / totalWeight,
+            arousal: vad.arousal / totalWeight,
+            dominance: vad.dominance / totalWeight
         };
     }
     
@@ -521,10 +780,11 @@ Rules:
         let strengthSum = 0;
         
         for (const word of confidentWords) {
-            if (word.sentiment === 'positive') positiveCount++;
-            else if (word.sentiment === 'negative') negativeCount++;
+            const multiplier = word.intensity_multiplier || 1.0;
+            if (word.sentiment === 'positive') positiveCount += multiplier;
+            else if (word.sentiment === 'negative') negativeCount += multiplier;
             
-            strengthSum += word.confidence || 0.5;
+            strengthSum += Math.min((word.confidence || 0.5) * multiplier, 1.0);
         }
         
         let polarity = 'neutral';
@@ -556,29 +816,21 @@ Rules:
     }
     
     getDatabaseStats() {
-        this.ensureInitialized();
+        const lexicon = this.getLexicon();
+        this.ensureInitialized(lexicon);
         return {
-            total_words: this.wordCache.size,
-            available_files: this.fileCache.size,
-            deepseek_available: !!this.deepseekApiKey
+            total_words: lexicon.wordCache.size,
+            available_files: lexicon.fileCache.size,
+            languages: this.getLanguages(),
+            deepseek_available: !!this.enrichmentProvider,
+            enrichment_provider: this.enrichmentProvider ? this.enrichmentProvider.name : null
         };
     }
     
-    getFilenameForWord(word) {
-        const firstChar = word[0].toLowerCase();
-        if (/[a-z]/.test(firstChar)) {
-            return `${firstChar}.json`;
-        } else if (/\d/.test(firstChar)) {
-            return 'numbers.json';
-        } else {
-            return 'symbols.json';
-        }
-    }
-    
-    async saveWordToFile(word, emotionData) {
+    async saveWordToFile(word, emotionData, lexicon = this.getLexicon()) {
         try {
-            const filename = this.getFilenameForWord(word);
-            const filepath = path.join(this.wordsDir, filename);
+            const filename = getLexiconFileName(word);
+            const filepath = path.join(lexicon.dir, filename);
             
             // Read existing data
             let data = { words: [] };
@@ -620,7 +872,9 @@ Rules:
                     dynamics: {
                         negation_flip_probability: 0.0,
                         sarcasm_flip_probability: 0.0
-                    }
+                    },
+                    enrichment: emotionData.enrichment || null,
+                    review_status: emotionData.review_status || 'pending_review'
                 }
             };
             
@@ -648,4 +902,4 @@ Rules:
 // Global instance
 const emotionEngine = new EmotionEngine();
 
-module.exports = { emotionEngine };
+module.exports = { emotionEngine, EmotionEngine };
@@ -0,0 +1,134 @@
+// Enrichment Result Validation
+// Checks an LLM word enrichment against the lexicon entry schema before it can reach the lexicon.
+// Small numeric drift is repaired (probabilities renormalized, VAD and strength clamped);
+// structural problems (missing emotions, non-numeric values, unknown polarity) are errors.
+
+const EMOTIONS = ['joy', 'trust', 'anticipation', 'surprise', 'anger', 'fear', 'sadness', 'disgust'];
+const POLARITIES = ['positive', 'negative', 'neutral'];
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+// Returns { valid, errors, warnings, normalized }. normalized is only set when valid.
+function validateEnrichment(raw) {
+    const errors = [];
+    const warnings = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { valid: false, errors: ['response is not a JSON object'], warnings, normalized: null };
+    }
+
+    // emotion_probs: all eight emotions, non-negative numbers, renormalized to sum to 1
+    const emotionProbs = {};
+    if (!raw.emotion_probs || typeof raw.emotion_probs !== 'object') {
+        errors.push('emotion_probs is missing');
+    } else {
+        for (const emotion of EMOTIONS) {
+            const value = raw.emotion_probs[emotion];
+            if (!isNumber(value)) {
+                errors.push(`emotion_probs.${emotion} is missing or not a number`);
+            } else if (value < 0) {
+                errors.push(`emotion_probs.${emotion} is negative`);
+            } else {
+                emotionProbs[emotion] = value;
+            }
+        }
+
+        const extra = Object.keys(raw.emotion_probs).filter(key => !EMOTIONS.includes(key));
+        if (extra.length > 0) warnings.push(`ignored unknown emotions: ${extra.join(', ')}`);
+
+        if (Object.keys(emotionProbs).length === EMOTIONS.length) {
+            const total = EMOTIONS.reduce((sum, emotion) => sum + emotionProbs[emotion], 0);
+            if (total <= 0) {
+                errors.push('emotion_probs are all zero');
+            } else if (Math.abs(total - 1) > 0.001) {
+                warnings.push(`emotion_probs summed to ${total.toFixed(3)}, renormalized`);
+                for (const emotion of EMOTIONS) emotionProbs[emotion] /= total;
+            }
+        }
+    }
+
+    // vad: valence and arousal required, dominance defaults to neutral; all clamped to 0-1
+    const vad = {};
+    if (!raw.vad || typeof raw.vad !== 'object') {
+        errors.push('vad is missing');
+    } else {
+        for (const dimension of ['valence', 'arousal', 'dominance']) {
+            let value = raw.vad[dimension];
+            if (value === undefined && dimension === 'dominance') {
+                warnings.push('vad.dominance missing, defaulted to 0.5');
+                value = 0.5;
+            }
+            if (!isNumber(value)) {
+                errors.push(`vad.${dimension} is missing or not a number`);
+                continue;
+            }
+            if (value < 0 || value > 1) warnings.push(`vad.${dimension} ${value} clamped to 0-1`);
+            vad[dimension] = clamp01(value);
+        }
+    }
+
+    // sentiment: a known polarity, strength clamped to 0-1
+    const sentiment = {};
+    const polarity = typeof raw.sentiment?.polarity === 'string' ? raw.sentiment.polarity.trim().toLowerCase() : null;
+    if (!POLARITIES.includes(polarity)) {
+        errors.push(`sentiment.polarity must be one of ${POLARITIES.join(', ')}`);
+    } else {
+        sentiment.polarity = polarity;
+    }
+    const strength = raw.sentiment?.strength;
+    if (strength === undefined) {
+        sentiment.strength = 0.5;
+    } else if (!isNumber(strength)) {
+        errors.push('sentiment.strength is not a number');
+    } else {
+        if (strength < 0 || strength > 1) warnings.push(`sentiment.strength ${strength} clamped to 0-1`);
+        sentiment.strength = clamp01(strength);
+    }
+
+    // confidence: the model's own certainty, optional, clamped to 0-1
+    let confidence = null;
+    if (raw.confidence !== undefined && raw.confidence !== null) {
+        if (!isNumber(raw.confidence)) {
+            warnings.push('confidence is not a number, ignored');
+        } else {
+            confidence = clamp01(raw.confidence);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, warnings, normalized: null };
+    }
+
+    return {
+        valid: true,
+        errors,
+        warnings,
+        normalized: { emotion_probs: emotionProbs, vad, sentiment, confidence }
+    };
+}
+
+// Follow-up prompt asking the model to fix the problems found in its previous answer
+function buildCorrectivePrompt(prompt, previousResponse, errors) {
+    return `${prompt}
+
+Your previous response was rejected:
+${previousResponse}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON with all eight emotions in emotion_probs (summing to 1.0), vad values between 0.0 and 1.0, and sentiment.polarity set to positive, negative or neutral.`;
+}
+
+module.exports = {
+    validateEnrichment,
+    buildCorrectivePrompt,
+    EMOTIONS,
+    POLARITIES
+};
@@ -0,0 +1,239 @@
+// Unknown-Word Enrichment Providers
+// Scores words missing from the lexicon with an LLM. Every provider exposes
+// { name, model, complete(prompt, options) } resolving to the raw completion text;
+// requestEnrichment() parses and validates it before anything reaches the lexicon.
+// requestTranslation() uses the same providers to translate texts in languages without a lexicon.
+//
+// Configured per deployment:
+//   ENRICHMENT_PROVIDER    deepseek | openai | mock | none (default: deepseek when DEEPSEEK_API_KEY is set)
+//   ENRICHMENT_BASE_URL    OpenAI-compatible endpoint, e.g. http://localhost:11434/v1
+//   ENRICHMENT_API_KEY     key for the OpenAI-compatible endpoint
+//   ENRICHMENT_MODEL       model name (deepseek-chat for DeepSeek)
+//   ENRICHMENT_TIMEOUT_MS  per-call timeout (default 10000)
+//   ENRICHMENT_MAX_WORDS   unknown words enriched per request (default 3)
+
+const { validateEnrichment, buildCorrectivePrompt, EMOTIONS } = require('./enrichment-validator');
+const { getLanguageName } = require('./language');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_WORDS = 3;
+
+// The first request plus one retry with a corrective prompt
+const MAX_ATTEMPTS = 2;
+
+// Pull the JSON object out of a chat completion, tolerating ```json fences and surrounding prose
+function parseCompletion(content) {
+    const cleaned = content.trim().replace(/```json/g, '').replace(/```/g, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('No JSON object in completion');
+    }
+    return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+// Any endpoint speaking the OpenAI chat completions API (OpenAI, DeepSeek, vLLM, Ollama...)
+class OpenAICompatibleProvider {
+    constructor({ name = 'openai', baseUrl, apiKey, model, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    // Throws when the endpoint can't be reached, times out, is aborted through signal or answers with an error status
+    async complete(prompt, { temperature = 0.0, maxTokens = 500, signal = null } = {}) {
+        const timeout = AbortSignal.timeout(this.timeoutMs);
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature,
+                max_tokens: maxTokens
+            }),
+            signal: signal ? AbortSignal.any([timeout, signal]) : timeout
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        return result.choices[0].message.content;
+    }
+}
+
+class DeepSeekProvider extends OpenAICompatibleProvider {
+    constructor({ apiKey, model = 'deepseek-chat', timeoutMs }) {
+        super({ name: 'deepseek', baseUrl: 'https://api.deepseek.com/v1', apiKey, model, timeoutMs });
+    }
+}
+
+const TRANSLATION_PROMPT_PREFIX = 'Translate the following';
+
+// Typical valence/arousal/dominance for each emotion, used by the mock provider
+const EMOTION_VAD = {
+    joy: [0.85, 0.65, 0.65], trust: [0.75, 0.4, 0.6], anticipation: [0.65, 0.6, 0.55], surprise: [0.55, 0.8, 0.45],
+    anger: [0.15, 0.85, 0.7], fear: [0.15, 0.8, 0.2], sadness: [0.15, 0.3, 0.25], disgust: [0.15, 0.55, 0.55]
+};
+
+// 32-bit FNV-1a, so the same word always gets the same mock scores
+function hashWord(word) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+        hash ^= word.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// Deterministic offline stand-in: derives plausible stats from a hash of the word.
+// No network, no key - for tests, evaluation runs and offline development.
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.model = 'mock-hash-v1';
+    }
+
+    // The mock ignores the prompt wording and scores the quoted word in it
+    async complete(prompt) {
+        if (prompt.startsWith(TRANSLATION_PROMPT_PREFIX)) {
+            // Translations come back unchanged: the mock has no languages
+            return prompt.slice(prompt.indexOf('\n\n') + 2);
+        }
+
+        const match = prompt.match(/"([^"]+)"/);
+        return JSON.stringify(this.scoreWord(match ? match[1] : prompt));
+    }
+
+    scoreWord(word) {
+        const hash = hashWord(word);
+        const primary = EMOTIONS[hash % EMOTIONS.length];
+        const primaryProb = 0.4 + ((hash >>> 3) % 30) / 100;
+        const remaining = (1 - primaryProb) / (EMOTIONS.length - 1);
+
+        const emotionProbs = {};
+        for (const emotion of EMOTIONS) {
+            emotionProbs[emotion] = emotion === primary ? primaryProb : remaining;
+        }
+
+        const [valence, arousal, dominance] = EMOTION_VAD[primary];
+        return {
+            emotion_probs: emotionProbs,
+            vad: { valence, arousal, dominance },
+            sentiment: {
+                polarity: valence >= 0.6 ? 'positive' : valence <= 0.4 ? 'negative' : 'neutral',
+                strength: Math.abs(valence - 0.5) * 2
+            },
+            confidence: primaryProb
+        };
+    }
+}
+
+// Ask the provider to score a word, validate the answer and retry once with a corrective prompt.
+// Returns { result, errors, warnings, response, attempts }: result is the normalized entry, or null
+// with the errors and the last raw response (response is null when the provider was never reached).
+async function requestEnrichment(provider, word, prompt, options = {}) {
+    let currentPrompt = prompt;
+    let response = null;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        let content;
+        try {
+            content = await provider.complete(currentPrompt, options);
+        } catch (error) {
+            console.error(`Enrichment error (${provider.name}) for "${word}":`, error.message);
+            return { result: null, errors: errors.concat(error.message), warnings: [], response, attempts: attempt };
+        }
+        response = content;
+
+        let parsed = null;
+        try {
+            parsed = parseCompletion(content);
+        } catch (error) {
+            errors = [`response is not valid JSON: ${error.message}`];
+        }
+
+        if (parsed) {
+            const validation = validateEnrichment(parsed);
+            if (validation.valid) {
+                return { result: validation.normalized, errors: [], warnings: validation.warnings, response, attempts: attempt };
+            }
+            errors = validation.errors;
+        }
+
+        currentPrompt = buildCorrectivePrompt(prompt, content, errors);
+    }
+
+    console.warn(`Enrichment for "${word}" failed validation after ${MAX_ATTEMPTS} attempts: ${errors.join('; ')}`);
+    return { result: null, errors, warnings: [], response, attempts: MAX_ATTEMPTS };
+}
+
+function buildTranslationPrompt(text, language) {
+    return `${TRANSLATION_PROMPT_PREFIX} ${getLanguageName(language)} text into English, keeping its tone, emoji and punctuation. Return ONLY the translation.
+
+${text}`;
+}
+
+// Translate a text into English so it can be scored against the English lexicon.
+// Returns the translation, or null if the provider failed or returned nothing. signal aborts the call.
+async function requestTranslation(provider, text, language, signal = null) {
+    try {
+        const translation = (await provider.complete(buildTranslationPrompt(text, language), {
+            maxTokens: Math.min(4000, text.length * 2 + 100),
+            signal
+        })).trim();
+        return translation || null;
+    } catch (error) {
+        console.error(`Translation error (${provider.name}) from ${language}:`, error.message);
+        return null;
+    }
+}
+
+function getEnrichmentConfig(env = process.env) {
+    const provider = (env.ENRICHMENT_PROVIDER || (env.DEEPSEEK_API_KEY ? 'deepseek' : 'none')).toLowerCase();
+    const maxWords = parseInt(env.ENRICHMENT_MAX_WORDS);
+    return {
+        provider,
+        baseUrl: env.ENRICHMENT_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: provider === 'deepseek' ? env.DEEPSEEK_API_KEY : env.ENRICHMENT_API_KEY,
+        model: env.ENRICHMENT_MODEL,
+        timeoutMs: parseInt(env.ENRICHMENT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        maxWords: Number.isNaN(maxWords) ? DEFAULT_MAX_WORDS : maxWords
+    };
+}
+
+// Build the configured provider, or null when enrichment is off or missing its key
+function createEnrichmentProvider(config = getEnrichmentConfig()) {
+    switch (config.provider) {
+        case 'deepseek':
+            return config.apiKey ? new DeepSeekProvider(config) : null;
+        case 'openai':
+            return new OpenAICompatibleProvider({ ...config, model: config.model || 'gpt-4o-mini' });
+        case 'mock':
+            return new MockProvider();
+        case 'none':
+            return null;
+        default:
+            console.warn(`Unknown ENRICHMENT_PROVIDER "${config.provider}", enrichment disabled`);
+            return null;
+    }
+}
+
+module.exports = {
+    OpenAICompatibleProvider,
+    DeepSeekProvider,
+    MockProvider,
+    getEnrichmentConfig,
+    createEnrichmentProvider,
+    requestEnrichment,
+    requestTranslation,
+    parseCompletion
+};
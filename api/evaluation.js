@@ -0,0 +1,223 @@
+// Offline Evaluation
+// Scores engine results against labeled datasets so changes to the scoring, the context
+// adjustments or the lexicon can be measured instead of eyeballed. Datasets are JSONL, one example
+// per line: { "text", "emotion", "vad": { "valence", "arousal", "dominance" }, "sentiment" } with
+// emotion one of the eight emotions or "neutral"; vad and sentiment are optional.
+//
+// evaluate.js at the repository root runs configurations through the engine and writes the report.
+
+const fs = require('fs');
+const { EMOTIONS } = require('./enrichment-validator');
+
+const LABELS = [...EMOTIONS, 'neutral'];
+const VAD_DIMENSIONS = ['valence', 'arousal', 'dominance'];
+
+// Parse a JSONL dataset; throws with the file and line number of the first bad example
+function readLabeledDataset(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line, index) => ({ line, number: index + 1 }))
+        .filter(({ line }) => line.trim())
+        .map(({ line, number }) => {
+            let example;
+            try {
+                example = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${file}:${number}: ${error.message}`);
+            }
+            if (typeof example.text !== 'string' || !example.text.trim()) {
+                throw new Error(`${file}:${number}: missing text`);
+            }
+            if (!LABELS.includes(example.emotion)) {
+                throw new Error(`${file}:${number}: emotion must be one of ${LABELS.join(', ')}`);
+            }
+            return example;
+        });
+}
+
+function round(value, digits = 4) {
+    return value === null || Number.isNaN(value) ? null : Number(value.toFixed(digits));
+}
+
+// Pearson correlation, or null when either side has no variance
+function pearson(xs, ys) {
+    if (xs.length < 2) return null;
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < xs.length; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Metrics for one configuration: examples and their analysis results, in the same order.
+// Macro-F1 averages the labels that occur in the gold data.
+function computeMetrics(examples, results) {
+    const confusion = Object.fromEntries(LABELS.map(gold => [gold, Object.fromEntries(LABELS.map(p => [p, 0]))]));
+    let correct = 0;
+    for (let i = 0; i < examples.length; i++) {
+        const predicted = LABELS.includes(results[i].overall_emotion) ? results[i].overall_emotion : 'neutral';
+        confusion[examples[i].emotion][predicted]++;
+        if (predicted === examples[i].emotion) correct++;
+    }
+
+    const perLabel = {};
+    for (const label of LABELS) {
+        const truePositives = confusion[label][label];
+        const predictedCount = LABELS.reduce((sum, gold) => sum + confusion[gold][label], 0);
+        const support = LABELS.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+        const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+        const recall = support > 0 ? truePositives / support : 0;
+        perLabel[label] = {
+            precision: round(precision),
+            recall: round(recall),
+            f1: round(precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0),
+            support
+        };
+    }
+    const present = LABELS.filter(label => perLabel[label].support > 0);
+    const macroF1 = present.reduce((sum, label) => sum + perLabel[label].f1, 0) / (present.length || 1);
+
+    const vadCorrelation = {};
+    for (const dimension of VAD_DIMENSIONS) {
+        const pairs = examples
+            .map((example, i) => [example.vad?.[dimension], results[i].vad?.[dimension]])
+            .filter(([gold, predicted]) => typeof gold === 'number' && typeof predicted === 'number');
+        vadCorrelation[dimension] = round(pearson(pairs.map(p => p[0]), pairs.map(p => p[1])));
+    }
+
+    const withSentiment = examples.map((example, i) => [example.sentiment, results[i].sentiment?.polarity])
+        .filter(([gold]) => gold);
+    const sentimentAccuracy = withSentiment.length > 0
+        ? withSentiment.filter(([gold, predicted]) => gold === predicted).length / withSentiment.length
+        : null;
+
+    const coverages = results.map(result => result.coverage || 0);
+    const abstained = results.filter(result => result.abstain).length;
+    const answered = examples.map((example, i) => [example.emotion, results[i]]).filter(([, result]) => !result.abstain);
+    const answeredCorrect = answered.filter(([gold, result]) => result.overall_emotion === gold).length;
+
+    return {
+        examples: examples.length,
+        accuracy: round(correct / (examples.length || 1)),
+        macro_f1: round(macroF1),
+        per_emotion: perLabel,
+        confusion_matrix: { labels: LABELS, rows: LABELS.map(gold => LABELS.map(predicted => confusion[gold][predicted])) },
+        vad_correlation: vadCorrelation,
+        sentiment_accuracy: round(sentimentAccuracy),
+        coverage: {
+            mean: round(coverages.reduce((a, b) => a + b, 0) / (coverages.length || 1)),
+            median: round(median(coverages)),
+            no_emotional_words: results.filter(result => !result.analyzed_words).length,
+            words_found: results.reduce((sum, result) => sum + (result.word_analysis || []).filter(w => w.found).length, 0),
+            words_total: results.reduce((sum, result) => sum + (result.word_count || 0), 0)
+        },
+        abstention: {
+            rate: round(abstained / (examples.length || 1)),
+            accuracy_when_answered: round(answered.length > 0 ? answeredCorrect / answered.length : null)
+        }
+    };
+}
+
+// Candidate minus baseline for the headline numbers
+function compareMetrics(baseline, candidate) {
+    const delta = (a, b) => (a === null || b === null ? null : round(b - a));
+    return {
+        accuracy: delta(baseline.accuracy, candidate.accuracy),
+        macro_f1: delta(baseline.macro_f1, candidate.macro_f1),
+        sentiment_accuracy: delta(baseline.sentiment_accuracy, candidate.sentiment_accuracy),
+        coverage_mean: delta(baseline.coverage.mean, candidate.coverage.mean),
+        abstention_rate: delta(baseline.abstention.rate, candidate.abstention.rate),
+        vad_correlation: Object.fromEntries(VAD_DIMENSIONS.map(dimension =>
+            [dimension, delta(baseline.vad_correlation[dimension], candidate.vad_correlation[dimension])])),
+        per_emotion_f1: Object.fromEntries(LABELS.map(label =>
+            [label, delta(baseline.per_emotion[label].f1, candidate.per_emotion[label].f1)]))
+    };
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function formatNumber(value) {
+    return value === null || value === undefined ? '–' : value.toFixed(3);
+}
+
+function renderConfusionMatrix(matrix) {
+    const header = matrix.labels.map(label => `<th>${label}</th>`).join('');
+    const rows = matrix.rows.map((row, i) => {
+        const cells = row.map((count, j) => `<td class="${i === j ? 'hit' : count > 0 ? 'miss' : ''}">${count}</td>`).join('');
+        return `<tr><th>${matrix.labels[i]}</th>${cells}</tr>`;
+    }).join('\n');
+    return `<table class="matrix"><tr><th>gold \\ predicted</th>${header}</tr>\n${rows}</table>`;
+}
+
+// A self-contained HTML page with the summary side by side and each run's details
+function renderHtmlReport(report) {
+    const runs = report.runs;
+    const summaryRows = [
+        ['Accuracy', run => run.metrics.accuracy],
+        ['Macro-F1', run => run.metrics.macro_f1],
+        ['Sentiment accuracy', run => run.metrics.sentiment_accuracy],
+        ['Valence r', run => run.metrics.vad_correlation.valence],
+        ['Arousal r', run => run.metrics.vad_correlation.arousal],
+        ['Dominance r', run => run.metrics.vad_correlation.dominance],
+        ['Mean coverage', run => run.metrics.coverage.mean],
+        ['Abstention rate', run => run.metrics.abstention.rate]
+    ].map(([name, value]) => `<tr><th>${name}</th>${runs.map(run => `<td>${formatNumber(value(run))}</td>`).join('')}</tr>`).join('\n');
+
+    const details = runs.map(run => {
+        const perEmotion = LABELS.map(label => {
+            const stats = run.metrics.per_emotion[label];
+            return `<tr><th>${label}</th><td>${formatNumber(stats.precision)}</td><td>${formatNumber(stats.recall)}</td><td>${formatNumber(stats.f1)}</td><td>${stats.support}</td></tr>`;
+        }).join('\n');
+        return `<section>
+<h2>${escapeHtml(run.config.name)}</h2>
+<pre>${escapeHtml(JSON.stringify(run.config, null, 2))}</pre>
+<table><tr><th></th><th>precision</th><th>recall</th><th>F1</th><th>support</th></tr>
+${perEmotion}</table>
+${renderConfusionMatrix(run.metrics.confusion_matrix)}
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Emotion evaluation - ${escapeHtml(report.dataset)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: right; }
+th { background: #f5f5f5; }
+td.hit { background: #d9f2d9; }
+td.miss { background: #fbe3e3; }
+pre { background: #f8f8f8; padding: 0.5rem; }
+</style></head>
+<body>
+<h1>Emotion evaluation</h1>
+<p>${escapeHtml(report.dataset)} &middot; ${report.examples} examples &middot; ${escapeHtml(report.created_at)}</p>
+<table><tr><th></th>${runs.map(run => `<th>${escapeHtml(run.config.name)}</th>`).join('')}</tr>
+${summaryRows}</table>
+${details}
+</body></html>
+`;
+}
+
+module.exports = {
+    readLabeledDataset,
+    computeMetrics,
+    compareMetrics,
+    renderHtmlReport,
+    pearson,
+    LABELS
+};
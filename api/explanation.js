@@ -0,0 +1,139 @@
+// Result Explanations
+// Breaks an analysis down into what moved it: for every scored token the weight it added to each
+// emotion and the amplification behind it, the context pattern boosts with the text they matched,
+// and a one-paragraph rationale. Moderators use it to justify automated flags.
+//
+// The engines fill a trace while aggregating (calculateOverallEmotion(wordAnalyses, text, trace))
+// so the explanation is exactly what was computed rather than a re-derivation of it.
+
+// Tokens listed by name in the rationale
+const RATIONALE_WORDS = 3;
+
+// Dominant probability of a flat distribution; words at or below it ("the", "it") aren't worth listing as ignored
+const NEUTRAL_CONFIDENCE = 0.13;
+
+function round(value, digits = 4) {
+    return Number(value.toFixed(digits));
+}
+
+function percent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+// Where a context pattern occurs in text: [{ pattern, text, start, end, word }] with offsets into
+// the original text and word the whole token it sits in ("mad" matches inside "made")
+function findPatternMatches(text, pattern) {
+    const lower = text.toLowerCase();
+    const matches = [];
+    for (let start = lower.indexOf(pattern); start !== -1; start = lower.indexOf(pattern, start + 1)) {
+        const end = start + pattern.length;
+        let wordStart = start;
+        let wordEnd = end;
+        while (wordStart > 0 && /[\p{L}\p{N}'_-]/u.test(text[wordStart - 1])) wordStart--;
+        while (wordEnd < text.length && /[\p{L}\p{N}'_-]/u.test(text[wordEnd])) wordEnd++;
+        matches.push({ pattern, text: text.slice(start, end), start, end, word: text.slice(wordStart, wordEnd) });
+    }
+    return matches;
+}
+
+// Why an emotional token in the lexicon didn't count toward the distribution
+function getIgnoredReason(wordData, confidenceThreshold) {
+    if (wordData.is_modifier) return 'modifier';
+    if (wordData.confidence > NEUTRAL_CONFIDENCE && wordData.confidence <= confidenceThreshold) return 'low_confidence';
+    return null;
+}
+
+function describeToken(contribution) {
+    const details = [];
+    if (contribution.intensity_cues.length > 0) {
+        details.push(`intensified by "${contribution.intensity_cues.join(' ')}"`);
+    }
+    if (contribution.negated_by) details.push(`negated by "${contribution.negated_by}"`);
+    if (contribution.sarcasm_inverted) details.push('inverted as sarcasm');
+    const suffix = details.length > 0 ? `, ${details.join(', ')}` : '';
+    return `"${contribution.clean_word}" (${contribution.emotion}, ${percent(contribution.share)} of the weight${suffix})`;
+}
+
+function buildRationale(result, contributions, boosts) {
+    if (contributions.length === 0) {
+        return 'No word in the text is in the lexicon with a confident emotion, so it is scored as neutral.';
+    }
+
+    const sentences = [];
+    const headline = result.calibrated_confidence ?? result.confidence;
+    const ranked = [...contributions].sort((a, b) => b.share - a.share);
+    const named = ranked.slice(0, RATIONALE_WORDS).map(describeToken);
+    const others = ranked.length - named.length;
+    sentences.push(`Scored as ${result.overall_emotion} (${percent(headline)}) from ` +
+        `${named.join(', ')}${others > 0 ? ` and ${others} other word${others === 1 ? '' : 's'}` : ''}.`);
+
+    const applied = boosts.filter(boost => boost.applied > 0);
+    if (applied.length > 0) {
+        sentences.push('Context patterns boosted ' + applied.map(boost =>
+            `${boost.emotion} by ${round(boost.applied, 2)} ("${[...new Set(boost.matches.map(m => m.word))].join('", "')}")`).join(' and ') + '.');
+    }
+
+    if (result.sarcasm && result.sarcasm.is_sarcastic) {
+        sentences.push(`The text reads as sarcastic (${percent(result.sarcasm.probability)})` +
+            `${result.sarcasm.inverted ? ' and its positive words were inverted' : ''}.`);
+    }
+    if (result.abstain) {
+        sentences.push(`Too weak to act on: ${result.abstain_reasons.join(', ').replace(/_/g, ' ')}.`);
+    }
+    return sentences.join(' ');
+}
+
+// Build result.explanation from the trace calculateOverallEmotion filled:
+// trace.contributions [{ wordData, amplification, weights }], trace.boosts, trace.confidenceThreshold
+function explainResult(result, wordAnalyses, trace) {
+    const totalWeight = (trace.contributions || []).reduce((sum, contribution) =>
+        sum + Object.values(contribution.weights).reduce((a, b) => a + b, 0), 0);
+
+    const contributions = (trace.contributions || []).map(({ wordData, amplification, weights }) => {
+        const tokenWeight = Object.values(weights).reduce((a, b) => a + b, 0);
+        const multiplier = wordData.intensity_multiplier || 1.0;
+        return {
+            word: wordData.word,
+            clean_word: wordData.clean_word,
+            position: wordData.position,
+            start: wordData.start,
+            end: wordData.end,
+            emotion: wordData.emotion,
+            word_confidence: round(wordData.confidence),
+            amplification: round(amplification),
+            intensity_multiplier: round(multiplier),
+            intensity_cues: wordData.intensity_cues || [],
+            clause_weight: wordData.clause_weight || 1.0,
+            effective_amplification: round(amplification * multiplier),
+            negated_by: wordData.negation ? wordData.negation.trigger : null,
+            sarcasm_inverted: wordData.sarcasm_inverted === true,
+            weights: Object.fromEntries(Object.entries(weights).map(([emotion, weight]) => [emotion, round(weight)])),
+            share: totalWeight > 0 ? round(tokenWeight / totalWeight) : 0
+        };
+    });
+
+    const ignored = wordAnalyses
+        .filter(wordData => wordData.found)
+        .map(wordData => ({ word: wordData.word, position: wordData.position, reason: getIgnoredReason(wordData, trace.confidenceThreshold) }))
+        .filter(entry => entry.reason);
+
+    const boosts = (trace.boosts || []).map(boost => ({
+        emotion: boost.emotion,
+        boost: round(boost.boost),
+        applied: round(boost.applied),
+        matches: boost.matches
+    }));
+
+    return {
+        contributions,
+        ignored,
+        total_weight: round(totalWeight),
+        pattern_boosts: boosts,
+        rationale: buildRationale(result, contributions, boosts)
+    };
+}
+
+module.exports = {
+    explainResult,
+    findPatternMatches
+};
@@ -0,0 +1,185 @@
+// Intensity Modifiers
+// Boosters ("very", "extremely") and dampeners ("slightly", "kind of") scale the word they modify.
+// ALL-CAPS, elongated words ("sooo") and exclamation runs count as intensity cues too.
+
+// Single-word modifiers and the multiplier they give the following emotional word
+const INTENSITY_MODIFIERS = {
+    // Boosters
+    'very': 1.5, 'extremely': 1.8, 'so': 1.4, 'really': 1.4, 'super': 1.5,
+    'incredibly': 1.8, 'absolutely': 1.7, 'totally': 1.5, 'completely': 1.6,
+    'utterly': 1.8, 'highly': 1.5, 'truly': 1.4, 'deeply': 1.6, 'terribly': 1.6,
+    'awfully': 1.5, 'insanely': 1.8, 'extraordinarily': 1.8, 'exceptionally': 1.7,
+    'especially': 1.3, 'particularly': 1.3, 'too': 1.3, 'most': 1.4, 'quite': 1.2,
+    'pretty': 1.2, 'seriously': 1.5, 'freaking': 1.6, 'damn': 1.5,
+    // Dampeners
+    'slightly': 0.5, 'somewhat': 0.6, 'fairly': 0.8, 'rather': 0.8, 'kinda': 0.6,
+    'sorta': 0.6, 'mildly': 0.5, 'moderately': 0.7, 'marginally': 0.5,
+    'partly': 0.6, 'partially': 0.6, 'relatively': 0.8, 'almost': 0.8, 'nearly': 0.8
+};
+
+// Multi-word modifiers, matched on consecutive clean words
+const MULTIWORD_MODIFIERS = {
+    'kind of': 0.6,
+    'sort of': 0.6,
+    'a bit': 0.6,
+    'a little': 0.6,
+    'a little bit': 0.5,
+    'a tad': 0.6,
+    'to some extent': 0.7,
+    'more or less': 0.7,
+    'so much': 1.5,
+    'way too': 1.6
+};
+
+const MAX_MULTIWORD_LENGTH = 3;
+
+// Modifiers only reach the next few tokens ("very, very happy" stacks, "very much so" does not)
+const MAX_MODIFIER_DISTANCE = 2;
+
+const CAPS_MULTIPLIER = 1.4;
+const ELONGATION_MULTIPLIER = 1.3;
+const EXCLAMATION_STEP = 0.1;
+const MAX_EXCLAMATION_MULTIPLIER = 1.5;
+
+// Combined multipliers are clamped so stacked cues can't dominate a whole text
+const MIN_MULTIPLIER = 0.25;
+const MAX_MULTIPLIER = 3.0;
+
+// Words whose dominant emotion is no stronger than this are treated as neutral
+const NEUTRAL_CONFIDENCE = 0.13;
+
+function collapseElongation(word) {
+    return word.replace(/(.)\1{2,}/g, '$1');
+}
+
+function isElongated(word) {
+    return /([a-z])\1{2,}/i.test(word);
+}
+
+function isAllCaps(rawWord) {
+    const letters = rawWord.replace(/[^a-zA-Z]/g, '');
+    return letters.length >= 2 && letters === letters.toUpperCase();
+}
+
+function getExclamationMultiplier(rawWord) {
+    const match = rawWord.match(/!+$/);
+    if (!match) return 1.0;
+    return Math.min(1.0 + match[0].length * EXCLAMATION_STEP, MAX_EXCLAMATION_MULTIPLIER);
+}
+
+function getModifierMultiplier(cleanWord) {
+    if (INTENSITY_MODIFIERS[cleanWord] !== undefined) return INTENSITY_MODIFIERS[cleanWord];
+
+    // "sooo" and "reallyyy" are still modifiers
+    const collapsed = collapseElongation(cleanWord);
+    if (INTENSITY_MODIFIERS[collapsed] !== undefined) return INTENSITY_MODIFIERS[collapsed] * ELONGATION_MULTIPLIER;
+
+    return null;
+}
+
+function isEmotional(wordAnalysis) {
+    return wordAnalysis.found && wordAnalysis.confidence > NEUTRAL_CONFIDENCE;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Find a multi-word modifier starting at index, longest match first
+function matchMultiwordModifier(wordAnalyses, index) {
+    for (let length = MAX_MULTIWORD_LENGTH; length >= 2; length--) {
+        if (index + length > wordAnalyses.length) continue;
+        const phrase = wordAnalyses.slice(index, index + length).map(w => w.clean_word).join(' ');
+        if (MULTIWORD_MODIFIERS[phrase] !== undefined) {
+            return { phrase, length, multiplier: MULTIWORD_MODIFIERS[phrase] };
+        }
+    }
+    return null;
+}
+
+// Apply the combined multiplier to a word analysis entry in place
+function intensifyWordAnalysis(wordAnalysis, multiplier, cues) {
+    const clamped = clamp(multiplier, MIN_MULTIPLIER, MAX_MULTIPLIER);
+
+    wordAnalysis.intensity_multiplier = clamped;
+    wordAnalysis.intensity_cues = cues;
+    if (clamped !== 1.0) {
+        wordAnalysis.valence = clamp(0.5 + (wordAnalysis.valence - 0.5) * clamped, 0, 1);
+        wordAnalysis.arousal = clamp(0.5 + (wordAnalysis.arousal - 0.5) * clamped, 0, 1);
+    }
+}
+
+// Walk the word analyses and give every entry an intensity_multiplier.
+// tokens holds the original-case tokens so ALL-CAPS can be detected; each
+// word analysis points into it through its position.
+function applyIntensity(wordAnalyses, tokens) {
+    let pending = null;
+
+    for (let i = 0; i < wordAnalyses.length; i++) {
+        const wordAnalysis = wordAnalyses[i];
+        const rawWord = (tokens && tokens[wordAnalysis.position]) || wordAnalysis.word || '';
+
+        // Modifier tokens don't score themselves, they scale what follows
+        const multiword = matchMultiwordModifier(wordAnalyses, i);
+        const modifier = multiword ? multiword.multiplier : getModifierMultiplier(wordAnalysis.clean_word);
+        const span = multiword ? multiword.length : 1;
+        const nextIsEmotional = wordAnalyses.slice(i + span, i + span + MAX_MODIFIER_DISTANCE).some(isEmotional);
+
+        if (modifier !== null && nextIsEmotional) {
+            const label = multiword ? multiword.phrase : wordAnalysis.clean_word;
+            let multiplier = modifier;
+            if (!multiword && isAllCaps(rawWord)) multiplier *= CAPS_MULTIPLIER;
+
+            for (let j = i; j < i + span; j++) {
+                wordAnalyses[j].is_modifier = true;
+                wordAnalyses[j].intensity_multiplier = 1.0;
+                wordAnalyses[j].intensity_cues = [];
+            }
+
+            pending = {
+                multiplier: (pending ? pending.multiplier : 1.0) * multiplier,
+                cues: (pending ? pending.cues : []).concat(label),
+                remaining: MAX_MODIFIER_DISTANCE
+            };
+            i += span - 1;
+            continue;
+        }
+
+        let multiplier = 1.0;
+        const cues = [];
+
+        if (isEmotional(wordAnalysis) && pending) {
+            multiplier *= pending.multiplier;
+            cues.push(...pending.cues);
+            pending = null;
+        } else if (pending) {
+            pending.remaining--;
+            if (pending.remaining <= 0) pending = null;
+        }
+
+        // "XD" is an emoticon, not shouting
+        if (wordAnalysis.source !== 'emoji' && isAllCaps(rawWord)) {
+            multiplier *= CAPS_MULTIPLIER;
+            cues.push('caps');
+        }
+        if (isElongated(wordAnalysis.word || '')) {
+            multiplier *= ELONGATION_MULTIPLIER;
+            cues.push('elongation');
+        }
+        const exclamation = getExclamationMultiplier(rawWord);
+        if (exclamation > 1.0) {
+            multiplier *= exclamation;
+            cues.push('exclamation');
+        }
+
+        intensifyWordAnalysis(wordAnalysis, multiplier, cues);
+    }
+
+    return wordAnalyses;
+}
+
+module.exports = {
+    applyIntensity,
+    INTENSITY_MODIFIERS,
+    MULTIWORD_MODIFIERS
+};
@@ -0,0 +1,177 @@
+// Language Detection
+// Picks the language of a text so it can be scored against that language's lexicon. Texts in a
+// script only one supported language uses (Hangul, Greek, Thai...) are identified by script; Latin
+// and Cyrillic texts by counting common function words. Short or ambiguous texts default to English:
+// another language needs at least two function-word hits and a clear lead over the others.
+//
+// English lives in words/ and the words table with language 'en'; other languages in words-<code>/
+// next to it and under their own code in the words table.
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, cleanToken } = require('./tokenizer');
+const { isEmojiKey } = require('./emoji');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = {
+    en: 'English', es: 'Spanish', fr: 'French', de: 'German', it: 'Italian', pt: 'Portuguese',
+    nl: 'Dutch', ru: 'Russian', uk: 'Ukrainian', el: 'Greek', ar: 'Arabic', he: 'Hebrew',
+    hi: 'Hindi', th: 'Thai', zh: 'Chinese', ja: 'Japanese', ko: 'Korean'
+};
+
+// Scripts that identify a single language. Kana is checked before Han, which Japanese also uses.
+const SCRIPT_LANGUAGES = [
+    ['ko', /\p{Script=Hangul}/u],
+    ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+    ['zh', /\p{Script=Han}/u],
+    ['el', /\p{Script=Greek}/u],
+    ['ar', /\p{Script=Arabic}/u],
+    ['he', /\p{Script=Hebrew}/u],
+    ['hi', /\p{Script=Devanagari}/u],
+    ['th', /\p{Script=Thai}/u]
+];
+
+// Frequent function words; a handful of these identifies most sentences
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'are', 'was', 'to', 'of', 'in', 'that', 'it', 'you', 'i', 'this', 'with', 'for', 'not', 'have', 'be', 'but', 'my', 'so', 'just', 'what', 'at', 'me',
+        'a', 'an', 'no', 'on', 'we', 'he', 'she', 'they', 'do', 'am', 'all', 'more', 'your', 'our', 'if', 'or', 'can', 'will', 'very', 'way', 'up', 'out', 'about', 'had', 'has'],
+    es: ['el', 'la', 'los', 'las', 'que', 'de', 'y', 'es', 'en', 'un', 'una', 'por', 'con', 'para', 'no', 'muy', 'pero', 'está', 'estoy', 'lo', 'me', 'mi', 'se', 'del', 'al'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'un', 'une', 'des', 'je', 'pas', 'que', 'qui', 'dans', 'pour', 'ce', 'très', 'mais', 'avec', 'suis', 'sur', 'du', 'au', 'vous', 'nous', 'il'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'ein', 'eine', 'zu', 'mit', 'sehr', 'aber', 'auf', 'für', 'es', 'den', 'dem', 'bin', 'war', 'sie', 'wir', 'auch', 'so', 'mein'],
+    it: ['il', 'lo', 'la', 'gli', 'che', 'di', 'e', 'è', 'non', 'un', 'una', 'per', 'con', 'sono', 'molto', 'ma', 'mi', 'del', 'della', 'questo', 'ho', 'ti', 'si', 'nel', 'io'],
+    pt: ['o', 'os', 'as', 'que', 'de', 'e', 'é', 'não', 'um', 'uma', 'para', 'com', 'muito', 'mas', 'eu', 'estou', 'do', 'da', 'em', 'meu', 'minha', 'você', 'isso', 'foi', 'tão'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'ik', 'van', 'dat', 'met', 'voor', 'zijn', 'maar', 'heel', 'op', 'je', 'we', 'ben', 'was', 'dit', 'te', 'naar', 'ook', 'mijn', 'er'],
+    ru: ['и', 'в', 'не', 'на', 'я', 'что', 'с', 'это', 'как', 'но', 'он', 'она', 'мы', 'вы', 'так', 'очень', 'был', 'мне', 'меня', 'все', 'по', 'за', 'у', 'же', 'ты'],
+    uk: ['і', 'в', 'не', 'на', 'я', 'що', 'з', 'це', 'як', 'але', 'він', 'вона', 'ми', 'ви', 'так', 'дуже', 'був', 'мені', 'мене', 'все', 'та', 'за', 'у', 'ж', 'ти']
+};
+
+// Below these a text is too weak evidence for a language other than English: one shared word
+// ("no", "la") must not send an English text to another lexicon
+const MIN_STOPWORD_HITS = 2;
+const MIN_DETECTION_CONFIDENCE = 0.25;
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Characters that only appear in one of the stopword languages
+const LETTER_HINTS = [
+    ['es', /[ñ¿¡]/u],
+    ['de', /ß/u],
+    ['pt', /[ãõ]/u],
+    ['uk', /[іїєґ]/u]
+];
+
+// Language codes are ISO 639-1/639-3 letters; returns the lowercased code or null
+function normalizeLanguageCode(value) {
+    if (typeof value !== 'string') return null;
+    const code = value.trim().toLowerCase();
+    return /^[a-z]{2,3}$/.test(code) ? code : null;
+}
+
+function getLanguageName(code) {
+    return LANGUAGE_NAMES[code] || code;
+}
+
+// Returns { language, confidence, method } with method 'script', 'stopwords' or 'default'
+function detectLanguage(text) {
+    const letters = [...text].filter(char => /\p{L}/u.test(char));
+    if (letters.length === 0) {
+        return { language: DEFAULT_LANGUAGE, confidence: 0, method: 'default' };
+    }
+
+    for (const [language, pattern] of SCRIPT_LANGUAGES) {
+        const count = letters.filter(char => pattern.test(char)).length;
+        // Japanese needs only some kana among its kanji
+        const share = language === 'ja' ? Math.min(1, count * 4 / letters.length) : count / letters.length;
+        if (share >= 0.5) {
+            return { language, confidence: Number(share.toFixed(3)), method: 'script' };
+        }
+    }
+
+    const words = tokenize(text).map(token => cleanToken(token.text)).filter(Boolean);
+    const scores = {};
+    for (const language of Object.keys(STOPWORD_SETS)) {
+        scores[language] = words.filter(word => STOPWORD_SETS[language].has(word)).length;
+    }
+    for (const [language, pattern] of LETTER_HINTS) {
+        if (pattern.test(text.toLowerCase())) scores[language] += 2;
+    }
+
+    // Ties go to the language listed first in STOPWORDS; the shared hits lower the confidence
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, bestScore] = ranked[0];
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    if (bestScore === 0) {
+        return { language: DEFAULT_LANGUAGE, confidence: 0, method: 'default' };
+    }
+
+    // Share of all stopword hits, discounted for texts with very few of them
+    const confidence = (bestScore / total) * Math.min(1, bestScore / 3);
+    if (best !== DEFAULT_LANGUAGE && (bestScore < MIN_STOPWORD_HITS || confidence < MIN_DETECTION_CONFIDENCE)) {
+        return { language: DEFAULT_LANGUAGE, confidence: 0, method: 'default' };
+    }
+    return { language: best, confidence: Number(confidence.toFixed(3)), method: 'stopwords' };
+}
+
+// The language to score a text in: the requested one if given, otherwise the detected one.
+// Returns { code, source, confidence } with source 'request' or the detection method.
+function resolveLanguage(text, requested = null) {
+    const code = normalizeLanguageCode(requested);
+    if (code) return { code, source: 'request', confidence: 1 };
+
+    const detected = detectLanguage(text);
+    return { code: detected.language, source: detected.method, confidence: detected.confidence };
+}
+
+function isStopword(word, language) {
+    return STOPWORD_SETS[language] ? STOPWORD_SETS[language].has(word) : false;
+}
+
+// Lexicon directory for a language: words/ for English, words-<code>/ beside it otherwise
+function getLexiconDirectory(wordsDir, language) {
+    return language === DEFAULT_LANGUAGE ? wordsDir : `${wordsDir}-${language}`;
+}
+
+// File a word belongs in within a lexicon directory: phrases.json, emoji.json, <letter>.json by its
+// first letter with accents stripped ("ánimo" and "ñoño" go in a.json and n.json), numbers.json,
+// or symbols.json for everything else
+function getLexiconFileName(word) {
+    if (word.includes(' ')) return 'phrases.json';
+    if (isEmojiKey(word)) return 'emoji.json';
+
+    const firstChar = word.normalize('NFD').replace(/\p{M}/gu, '').charAt(0).toLowerCase();
+    if (/[a-z]/.test(firstChar)) return `${firstChar}.json`;
+    return /\d/.test(firstChar) ? 'numbers.json' : 'symbols.json';
+}
+
+// Languages with a lexicon directory next to wordsDir (English included when wordsDir exists)
+function listLexiconLanguages(wordsDir) {
+    const languages = fs.existsSync(wordsDir) ? [DEFAULT_LANGUAGE] : [];
+    const prefix = `${path.basename(wordsDir)}-`;
+    try {
+        for (const entry of fs.readdirSync(path.dirname(wordsDir), { withFileTypes: true })) {
+            const code = entry.isDirectory() && entry.name.startsWith(prefix)
+                ? normalizeLanguageCode(entry.name.slice(prefix.length))
+                : null;
+            if (code) languages.push(code);
+        }
+    } catch (error) {
+        // No parent directory listing - English only
+    }
+    return languages;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGE_NAMES,
+    normalizeLanguageCode,
+    getLanguageName,
+    detectLanguage,
+    resolveLanguage,
+    isStopword,
+    getLexiconDirectory,
+    getLexiconFileName,
+    listLexiconLanguages
+};
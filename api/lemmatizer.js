@@ -0,0 +1,173 @@
+// Lemmatization & Fuzzy Matching
+// Generates lexicon keys to try when a token has no exact entry, so "hated", "happiest"
+// and "awsome" resolve to "hate", "happy" and "awesome" before falling back to DeepSeek.
+// Candidates come back in preference order; the engines use the first one the lexicon has.
+
+const { maskMarkup } = require('./tokenizer');
+
+// Irregular forms the suffix rules can't reach
+const IRREGULAR_FORMS = {
+    'better': 'good', 'best': 'good', 'worse': 'bad', 'worst': 'bad',
+    'felt': 'feel', 'lost': 'lose', 'fought': 'fight', 'broke': 'break', 'broken': 'break',
+    'wept': 'weep', 'fell': 'fall', 'fallen': 'fall', 'won': 'win',
+    'bought': 'buy', 'brought': 'bring', 'caught': 'catch', 'left': 'leave', 'meant': 'mean',
+    'shook': 'shake', 'shaken': 'shake', 'stole': 'steal', 'stolen': 'steal', 'forgot': 'forget',
+    'forgotten': 'forget', 'forgave': 'forgive', 'forgiven': 'forgive', 'hid': 'hide', 'hidden': 'hide',
+    'men': 'man', 'women': 'woman', 'children': 'child', 'people': 'person', 'lives': 'life'
+};
+
+// Suffix rules: [suffix, replacements to try in order, shortest stem (default 2)]. "hated" tries
+// "hate" before "hat", and "-s" comes before "-es" so "hates" tries "hate" before "hat".
+// A bare "-s" needs a three-letter stem so "has" and "was" don't become "ha" and "wa".
+const SUFFIX_RULES = [
+    ['iest', ['y']], ['ier', ['y']], ['ies', ['y']], ['ied', ['y']], ['ily', ['y']], ['iness', ['y']],
+    ['fully', ['ful']], ['ness', ['']], ['ment', ['']],
+    ['ing', ['e', '']], ['ed', ['e', '']], ['est', ['e', '']], ['er', ['e', '']],
+    ['ly', ['']], ['s', [''], 3], ['es', ['']]
+];
+
+// Words ending in "s" that aren't plurals or third-person forms ("news" isn't "new")
+const UNINFLECTED_WORDS = new Set([
+    'news', 'bus', 'gas', 'lens', 'series', 'species', 'means', 'chaos', 'bias', 'atlas', 'canvas',
+    'alias', 'iris', 'plus', 'minus', 'bonus', 'status', 'always', 'perhaps', 'thus', 'this', 'yes',
+    'its', 'his', 'hers', 'ours', 'yours', 'theirs', 'is', 'was', 'has', 'does', 'us', 'less', 'unless',
+    'mathematics', 'physics', 'politics', 'economics', 'ethics', 'measles', 'diabetes', 'herpes'
+]);
+
+// Common chat shorthand and misspellings
+const CHAT_SPELLINGS = {
+    'luv': 'love', 'lub': 'love', 'h8': 'hate', 'gr8': 'great', 'gud': 'good', 'gd': 'good',
+    'thx': 'thanks', 'thnx': 'thanks', 'ty': 'thanks', 'sry': 'sorry', 'srry': 'sorry', 'pls': 'please',
+    'plz': 'please', 'wtf': 'angry', 'omg': 'surprised', 'ffs': 'annoyed', 'smh': 'disappointed',
+    'awsome': 'awesome', 'awesom': 'awesome', 'amazin': 'amazing', 'happi': 'happy', 'hapy': 'happy',
+    'angery': 'angry', 'scard': 'scared', 'scarry': 'scary', 'definately': 'definitely', 'terible': 'terrible',
+    'horible': 'horrible', 'beautifull': 'beautiful', 'greatful': 'grateful', 'excitd': 'excited',
+    'dissapointed': 'disappointed', 'disapointed': 'disappointed', 'frustated': 'frustrated', 'jelous': 'jealous'
+};
+
+// Tokens shorter than this are too ambiguous to spell-correct ("ot" could be "to", "of", "it"...)
+const MIN_FUZZY_LENGTH = 4;
+
+// Single-edit candidates one request may look up in total: each miss has about 54 per letter, and a
+// long text's misses all go into one query. Misses past the budget only try lemmas and chat spellings.
+const MAX_EDIT_CANDIDATES = 2000;
+
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+function unique(words, exclude) {
+    return [...new Set(words)].filter(w => w && w !== exclude);
+}
+
+// "stopp" -> "stop" after stripping "ing"/"ed"
+function undouble(stem) {
+    return /([b-df-hj-np-tv-z])\1$/.test(stem) ? stem.slice(0, -1) : null;
+}
+
+// Base forms for an inflected word, most likely first
+function getLemmaCandidates(word) {
+    if (!/^[a-z]+$/.test(word)) return [];
+
+    const candidates = [];
+    if (IRREGULAR_FORMS[word]) candidates.push(IRREGULAR_FORMS[word]);
+    if (UNINFLECTED_WORDS.has(word)) return unique(candidates, word);
+
+    for (const [suffix, replacements, minStem = 2] of SUFFIX_RULES) {
+        if (!word.endsWith(suffix) || word.length - suffix.length < minStem) continue;
+
+        const stem = word.slice(0, -suffix.length);
+        for (const replacement of replacements) {
+            candidates.push(stem + replacement);
+        }
+        const single = undouble(stem);
+        if (single) candidates.push(single);
+    }
+
+    return unique(candidates, word);
+}
+
+// Collapse letters repeated 3+ times, to both two and one copies ("sooo" -> "soo", "so"; "gooood" -> "good", "god")
+function getElongationCandidates(word) {
+    if (!/(.)\1{2,}/.test(word)) return [];
+    return unique([word.replace(/(.)\1{2,}/g, '$1$1'), word.replace(/(.)\1{2,}/g, '$1')], word);
+}
+
+// Every string one edit away, keeping the first letter (typos rarely hit it and it keeps the
+// search inside one lexicon file). Ordered transposition, insertion, deletion, substitution.
+function getEditCandidates(word) {
+    if (word.length < MIN_FUZZY_LENGTH || !/^[a-z]+$/.test(word)) return [];
+
+    const transposes = [];
+    const inserts = [];
+    const deletes = [];
+    const replaces = [];
+
+    for (let i = 1; i <= word.length; i++) {
+        const head = word.slice(0, i);
+        const tail = word.slice(i);
+        if (tail.length > 1) transposes.push(head + tail[1] + tail[0] + tail.slice(2));
+        if (tail.length > 0) deletes.push(head + tail.slice(1));
+        for (const letter of LETTERS) {
+            inserts.push(head + letter + tail);
+            if (tail.length > 0) replaces.push(head + letter + tail.slice(1));
+        }
+    }
+
+    return unique(transposes.concat(inserts, deletes, replaces), word);
+}
+
+// Spelling-tolerant keys: chat shorthand, de-elongated forms (and their lemmas), then single edits.
+// With spelling: false only the chat shorthand; with edits: false no single edits.
+function getFuzzyCandidates(word, { spelling = true, edits = true } = {}) {
+    const candidates = [];
+    if (CHAT_SPELLINGS[word]) candidates.push(CHAT_SPELLINGS[word]);
+    if (!spelling) return unique(candidates, word);
+
+    for (const collapsed of getElongationCandidates(word)) {
+        candidates.push(collapsed, ...getLemmaCandidates(collapsed));
+    }
+
+    return unique(edits ? candidates.concat(getEditCandidates(word)) : candidates, word);
+}
+
+// A request's allowance of single-edit candidates, shared by all of its lookups; skipped holds the
+// words whose edits didn't fit
+function createFuzzyBudget(limit = MAX_EDIT_CANDIDATES) {
+    return { remaining: limit, skipped: new Set() };
+}
+
+// A capitalized word after a sentence's first ("met Mike today") is more likely a name than a typo.
+// tokens are the raw token texts.
+function isMidSentenceName(tokens, index) {
+    if (index === 0 || !/^[^\p{L}]*\p{Lu}\p{Ll}/u.test(maskMarkup(tokens[index]).trim())) return false;
+    return !/[.!?]["')\]]*$/.test(maskMarkup(tokens[index - 1]).trimEnd());
+}
+
+// All fallback keys for a word: [{ word, via }] with via 'lemma' or 'fuzzy', most preferred first.
+// Uninflected words are spelled right, so they get neither ("news" is one deletion from "new").
+// options.spelling: false (for names) skips spelling correction; options.budget (from createFuzzyBudget)
+// is charged for single edits, which are left out once it can't cover them.
+function getLookupCandidates(word, { spelling = true, budget = null } = {}) {
+    if (UNINFLECTED_WORDS.has(word)) return [];
+    const lemmas = getLemmaCandidates(word);
+    let edits = spelling && word.length >= MIN_FUZZY_LENGTH;
+    if (edits && budget) {
+        const cost = getEditCandidates(word).length;
+        edits = cost <= budget.remaining;
+        if (edits) budget.remaining -= cost; else budget.skipped.add(word);
+    }
+    const fuzzy = getFuzzyCandidates(word, { spelling, edits }).filter(w => !lemmas.includes(w));
+
+    return lemmas.map(w => ({ word: w, via: 'lemma' }))
+        .concat(fuzzy.map(w => ({ word: w, via: 'fuzzy' })));
+}
+
+module.exports = {
+    getLemmaCandidates,
+    getFuzzyCandidates,
+    getLookupCandidates,
+    createFuzzyBudget,
+    isMidSentenceName,
+    IRREGULAR_FORMS,
+    CHAT_SPELLINGS,
+    MAX_EDIT_CANDIDATES
+};
@@ -0,0 +1,117 @@
+// Lexicon CSV Format
+// Converts lexicon entries ({ word, stats } as in words/*.json) to and from CSV for bulk export/import.
+// One row per word with a header row; pos values are joined with "|". Fields are quoted per RFC 4180,
+// since keys such as ":," or phrases may contain commas or quotes.
+
+const { EMOTIONS } = require('./enrichment-validator');
+const { SOCIAL_AXES, DYNAMICS } = require('./lexicon-entry');
+
+const CSV_COLUMNS = [
+    'word', 'pos', 'valence', 'arousal', 'dominance',
+    ...EMOTIONS,
+    'sentiment_polarity', 'sentiment_strength',
+    ...SOCIAL_AXES, 'toxicity', ...DYNAMICS
+];
+
+function escapeField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Split CSV text into rows of fields, honoring quoted fields with embedded commas, quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+function entriesToCsv(entries) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const { word, stats } of entries) {
+        const values = [
+            word, (stats.pos || []).join('|'),
+            stats.vad.valence, stats.vad.arousal, stats.vad.dominance,
+            ...EMOTIONS.map(emotion => stats.emotion_probs[emotion]),
+            stats.sentiment.polarity, stats.sentiment.strength,
+            ...SOCIAL_AXES.map(axis => stats.social_axes?.[axis] ?? 0),
+            stats.toxicity ?? 0,
+            ...DYNAMICS.map(field => stats.dynamics?.[field] ?? 0)
+        ];
+        lines.push(values.map(escapeField).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Parse CSV into [{ word, stats, line }]. Numbers are converted but not validated; empty
+// optional cells are left out. Throws if the header lacks the word column.
+function csvToEntries(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('word')) {
+        throw new Error('CSV header must include a "word" column');
+    }
+
+    const toNumber = value => (value === undefined || value.trim() === '' ? undefined : Number(value));
+
+    return rows.map((cells, index) => {
+        const cell = {};
+        columns.forEach((name, i) => { cell[name] = cells[i]; });
+
+        const stats = {
+            vad: { valence: toNumber(cell.valence), arousal: toNumber(cell.arousal), dominance: toNumber(cell.dominance) },
+            emotion_probs: Object.fromEntries(EMOTIONS.map(emotion => [emotion, toNumber(cell[emotion])])),
+            sentiment: { polarity: cell.sentiment_polarity, strength: toNumber(cell.sentiment_strength) },
+            social_axes: Object.fromEntries(SOCIAL_AXES.map(axis => [axis, toNumber(cell[axis])])),
+            toxicity: toNumber(cell.toxicity),
+            dynamics: Object.fromEntries(DYNAMICS.map(field => [field, toNumber(cell[field])]))
+        };
+        if (cell.pos && cell.pos.trim()) stats.pos = cell.pos.split('|');
+
+        return { word: cell.word, stats, line: index + 2 };
+    });
+}
+
+module.exports = {
+    parseCsv,
+    entriesToCsv,
+    csvToEntries,
+    CSV_COLUMNS
+};
@@ -0,0 +1,110 @@
+// Lexicon Entry Schema
+// Validation and normalization for full lexicon entries in the words/*.json `stats` format,
+// used by the lexicon management API and bulk import. The emotion, VAD and sentiment rules are
+// the same ones applied to enrichment results; the remaining fields are optional with neutral defaults.
+
+const { validateEnrichment, EMOTIONS } = require('./enrichment-validator');
+const { getEmojiKey } = require('./emoji');
+const { normalizePhrase } = require('./phrases');
+
+const SOCIAL_AXES = ['good_bad', 'warmth_cold', 'competence_incompetence', 'active_passive'];
+const DYNAMICS = ['negation_flip_probability', 'sarcasm_flip_probability'];
+
+// Most characters in a key; matches the words.word column
+const MAX_KEY_LENGTH = 255;
+
+// The lookup key a word is stored under: emoji keep their normalized form, everything else is
+// lowercased alphanumeric tokens joined by single spaces, as the engines clean input text
+function normalizeLexiconKey(word) {
+    if (typeof word !== 'string') return '';
+    const trimmed = word.trim();
+    return getEmojiKey(trimmed) || normalizePhrase(trimmed);
+}
+
+function clampRange(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Check an optional numeric field, clamping it into range; returns the value or the default
+function optionalNumber(value, name, min, max, errors, warnings) {
+    if (value === undefined || value === null) return 0;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${name} is not a number`);
+        return 0;
+    }
+    if (value < min || value > max) warnings.push(`${name} ${value} clamped to ${min}-${max}`);
+    return clampRange(value, min, max);
+}
+
+// Returns { valid, errors, warnings, normalized } with normalized in the full stats format
+function validateLexiconEntry(stats) {
+    if (!stats || typeof stats !== 'object' || Array.isArray(stats)) {
+        return { valid: false, errors: ['stats must be an object'], warnings: [], normalized: null };
+    }
+
+    const core = validateEnrichment(stats);
+    const errors = [...core.errors];
+    const warnings = [...core.warnings];
+
+    let pos = ['noun'];
+    if (stats.pos !== undefined) {
+        if (!Array.isArray(stats.pos) || stats.pos.length === 0 || !stats.pos.every(p => typeof p === 'string' && p.trim())) {
+            errors.push('pos must be a non-empty array of strings');
+        } else {
+            pos = stats.pos.map(p => p.trim().toLowerCase());
+        }
+    }
+
+    const socialAxes = {};
+    for (const axis of SOCIAL_AXES) {
+        socialAxes[axis] = optionalNumber(stats.social_axes?.[axis], `social_axes.${axis}`, -1, 1, errors, warnings);
+    }
+
+    const toxicity = optionalNumber(stats.toxicity, 'toxicity', 0, 1, errors, warnings);
+
+    const dynamics = {};
+    for (const field of DYNAMICS) {
+        dynamics[field] = optionalNumber(stats.dynamics?.[field], `dynamics.${field}`, 0, 1, errors, warnings);
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, warnings, normalized: null };
+    }
+
+    const { emotion_probs, vad, sentiment } = core.normalized;
+    return {
+        valid: true,
+        errors,
+        warnings,
+        normalized: { pos, vad, emotion_probs, sentiment, social_axes: socialAxes, toxicity, dynamics }
+    };
+}
+
+// words table columns holding an entry's stats, in the order entryToColumnValues returns them
+const STATS_COLUMNS = [
+    'pos', 'valence', 'arousal', 'dominance',
+    ...EMOTIONS.map(emotion => `emotion_${emotion}`),
+    'sentiment_polarity', 'sentiment_strength',
+    ...SOCIAL_AXES, 'toxicity', ...DYNAMICS
+];
+
+function entryToColumnValues(stats) {
+    return [
+        stats.pos, stats.vad.valence, stats.vad.arousal, stats.vad.dominance,
+        ...EMOTIONS.map(emotion => stats.emotion_probs[emotion]),
+        stats.sentiment.polarity, stats.sentiment.strength,
+        ...SOCIAL_AXES.map(axis => stats.social_axes[axis]),
+        stats.toxicity,
+        ...DYNAMICS.map(field => stats.dynamics[field])
+    ];
+}
+
+module.exports = {
+    validateLexiconEntry,
+    normalizeLexiconKey,
+    entryToColumnValues,
+    STATS_COLUMNS,
+    SOCIAL_AXES,
+    DYNAMICS,
+    MAX_KEY_LENGTH
+};
@@ -0,0 +1,19 @@
+// Lexicon Review Status
+// Words learned from an enrichment provider enter the lexicon as 'pending_review' until an admin
+// approves, edits or rejects them. Curated words are 'approved'. Rejected words stay in the lexicon
+// so they aren't re-enriched, but are never scored; organizations can also opt out of pending words.
+
+const REVIEW_STATUSES = ['pending_review', 'approved', 'rejected'];
+
+// Why an entry must not be scored for this request ('pending_review' or 'rejected'), or null if it can be
+function getReviewExclusion(entry, { useUnreviewedWords = true } = {}) {
+    const status = entry.review_status || 'approved';
+    if (status === 'rejected') return 'rejected';
+    if (status === 'pending_review' && !useUnreviewedWords) return 'pending_review';
+    return null;
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    getReviewExclusion
+};
@@ -0,0 +1,75 @@
+// Bounded LRU Cache
+// Map-backed least-recently-used cache with hit/miss counters, used for lexicon lookups.
+// Map iteration order is insertion order, so re-inserting on access keeps the oldest entry first.
+
+class LRUCache {
+    constructor(maxSize = 10000) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    // Returns the cached value and marks it recently used, or undefined on a miss
+    get(key) {
+        if (!this.entries.has(key)) {
+            this.misses++;
+            return undefined;
+        }
+
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        this.hits++;
+        return value;
+    }
+
+    // Presence check that doesn't touch recency or the counters
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+        return this;
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            size: this.entries.size,
+            max_size: this.maxSize,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hit_rate: lookups > 0 ? this.hits / lookups : 0
+        };
+    }
+}
+
+module.exports = { LRUCache };
@@ -0,0 +1,204 @@
+// Negation Scope Detection
+// Flips or dampens words that fall inside the scope of a negation cue ("not happy", "never again")
+
+const { maskMarkup } = require('./tokenizer');
+
+// Cue words and how strongly they negate (1.0 = full negation, lower = partial)
+const NEGATION_CUES = {
+    'not': 1.0, 'no': 1.0, 'never': 1.0, 'none': 1.0, 'nothing': 1.0,
+    'nobody': 1.0, 'nowhere': 1.0, 'neither': 1.0, 'nor': 1.0,
+    'without': 1.0, 'cannot': 1.0, 'lack': 0.8, 'lacks': 0.8, 'lacking': 0.8,
+    'hardly': 0.6, 'barely': 0.6, 'scarcely': 0.6, 'rarely': 0.5, 'seldom': 0.5
+};
+
+// Contractions arrive without their apostrophe after cleaning ("don't" -> "dont")
+const NEGATED_CONTRACTIONS = new Set([
+    'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'wont', 'wouldnt',
+    'couldnt', 'shouldnt', 'cant', 'havent', 'hasnt', 'hadnt', 'aint', 'mustnt', 'neednt'
+]);
+
+// Words that close a negation scope ("not tired but happy" only negates "tired")
+const SCOPE_BREAKERS = new Set(['but', 'however', 'although', 'though', 'yet', 'except']);
+
+// Words that open a subordinate clause, which the negation doesn't reach ("not sad because it worked")
+const CLAUSE_OPENERS = new Set(['whether', 'if', 'because', 'since', 'which', 'who', 'when', 'while', 'where']);
+
+// Predicates that take a clause: the negation stops at them ("not sure this is good" leaves "good" alone)
+const CLAUSE_VERBS = new Set([
+    'sure', 'certain', 'convinced', 'think', 'thought', 'believe', 'believed', 'know', 'knew', 'say', 'said',
+    'guess', 'suppose', 'expect', 'realize', 'remember', 'understand', 'mean'
+]);
+
+// A subject followed by one of these starts a new clause ("... this is good")
+const CLAUSE_SUBJECTS = new Set(['this', 'that', 'it', 'he', 'she', 'they', 'we', 'you', 'i', 'there']);
+const FINITE_VERBS = new Set(['is', 'was', 'are', 'were', 'will', 'would', 'has', 'had', 'seems', 'looks', 'sounds']);
+
+// Comparatives praise or damn by comparison after a negator ("never been happier", "couldn't be
+// better"), so they are left as they are
+const IRREGULAR_COMPARATIVES = new Set(['better', 'worse']);
+
+const MAX_SCOPE_LENGTH = 4;
+
+// Words whose dominant emotion is no stronger than this are treated as neutral
+const NEUTRAL_CONFIDENCE = 0.13;
+
+// Words with no lexicon flip probability (0.0 is the lexicon default) use this instead
+const DEFAULT_FLIP_PROBABILITY = 0.6;
+
+// How far a dampened (non-flipped) word is pulled back towards neutral
+const DAMPEN_FACTOR = 0.5;
+
+// Plutchik opposites used when a word's emotion is flipped
+const OPPOSITE_EMOTIONS = {
+    joy: 'sadness', sadness: 'joy',
+    trust: 'disgust', disgust: 'trust',
+    anticipation: 'surprise', surprise: 'anticipation',
+    anger: 'fear', fear: 'anger'
+};
+
+function getCueStrength(rawWord, cleanWord) {
+    if (NEGATION_CUES[cleanWord] !== undefined) return NEGATION_CUES[cleanWord];
+    if (NEGATED_CONTRACTIONS.has(cleanWord)) return 1.0;
+    if (/n['’]t\b/.test(rawWord)) return 1.0;
+    return 0;
+}
+
+// Trailing punctuation ends the clause, markup after it or not ("happy,</b>")
+function endsClause(rawWord) {
+    return /[.,;:!?]$/.test(maskMarkup(rawWord).trimEnd());
+}
+
+function flipEmotionProbs(probs, flipWeight) {
+    const result = {};
+    for (const emotion of Object.keys(OPPOSITE_EMOTIONS)) {
+        const base = probs[emotion] !== undefined ? probs[emotion] : 0.125;
+        const flipped = probs[OPPOSITE_EMOTIONS[emotion]] !== undefined ? probs[OPPOSITE_EMOTIONS[emotion]] : 0.125;
+        const dampened = base * DAMPEN_FACTOR + 0.125 * (1 - DAMPEN_FACTOR);
+        result[emotion] = dampened * (1 - flipWeight) + flipped * flipWeight;
+    }
+
+    const total = Object.values(result).reduce((a, b) => a + b, 0);
+    if (total > 0) {
+        for (const emotion of Object.keys(result)) {
+            result[emotion] = result[emotion] / total;
+        }
+    }
+    return result;
+}
+
+function flipScalar(value, flipWeight) {
+    const dampened = 0.5 + (value - 0.5) * DAMPEN_FACTOR;
+    return dampened * (1 - flipWeight) + (1 - value) * flipWeight;
+}
+
+function flipPolarity(polarity, flipWeight) {
+    if (flipWeight < 0.5) return polarity;
+    if (polarity === 'positive') return 'negative';
+    if (polarity === 'negative') return 'positive';
+    return polarity;
+}
+
+// Flip a word analysis entry in place: flipWeight 1.0 fully inverts it, 0.0 only dampens it.
+// Shared with sarcasm inversion, which flips positive words the same way.
+function flipWordAnalysis(wordAnalysis, flipWeight) {
+    const emotionProbs = flipEmotionProbs(wordAnalysis.emotion_probs || {}, flipWeight);
+    let dominant = 'neutral';
+    for (const emotion of Object.keys(emotionProbs)) {
+        if (dominant === 'neutral' || emotionProbs[emotion] > emotionProbs[dominant]) dominant = emotion;
+    }
+
+    wordAnalysis.emotion_probs = emotionProbs;
+    wordAnalysis.emotion = dominant;
+    wordAnalysis.confidence = emotionProbs[dominant];
+    wordAnalysis.valence = flipScalar(wordAnalysis.valence, flipWeight);
+    wordAnalysis.sentiment = flipPolarity(wordAnalysis.sentiment, flipWeight);
+    return wordAnalysis;
+}
+
+// Apply negation to a negated word analysis entry in place
+function negateWordAnalysis(wordAnalysis, cue, cueStrength) {
+    const lexiconFlip = wordAnalysis.negation_flip_probability || 0;
+    const flipProbability = lexiconFlip > 0 ? lexiconFlip : DEFAULT_FLIP_PROBABILITY;
+    const flipWeight = flipProbability * cueStrength;
+
+    flipWordAnalysis(wordAnalysis, flipWeight);
+    wordAnalysis.negated = true;
+    wordAnalysis.negation = {
+        trigger: cue,
+        flip_weight: flipWeight,
+        flip_probability: flipProbability
+    };
+}
+
+function isEmotional(wordAnalysis) {
+    return Boolean(wordAnalysis && wordAnalysis.found && wordAnalysis.emotion_probs && wordAnalysis.confidence > NEUTRAL_CONFIDENCE);
+}
+
+// "happier" (lemmatized from "happy") or "better"
+function isComparative(wordAnalysis) {
+    const word = wordAnalysis.clean_word || '';
+    if (IRREGULAR_COMPARATIVES.has(word)) return true;
+    return wordAnalysis.matched_via === 'lemma' && word.endsWith('er') && wordAnalysis.lexicon_word !== word;
+}
+
+// Whether the word at index starts a clause of its own. "that" only does when it isn't a degree
+// word ("not that bad").
+function startsClause(wordAnalyses, index) {
+    const word = wordAnalyses[index].clean_word;
+    const next = wordAnalyses[index + 1];
+    if (CLAUSE_OPENERS.has(word)) return true;
+    if (word === 'that' && !isEmotional(next)) return true;
+    return CLAUSE_SUBJECTS.has(word) && Boolean(next) && FINITE_VERBS.has(next.clean_word);
+}
+
+// Walk the word analyses, open a scope on each cue and negate the words inside it.
+// Only emotional words found in the lexicon (or via DeepSeek) are modified; flat
+// distributions like "this" or "it" have nothing to flip. A scope runs at most
+// MAX_SCOPE_LENGTH words and ends at punctuation, contrast and the start of another clause.
+function applyNegation(wordAnalyses) {
+    let scope = null;
+
+    for (const [index, wordAnalysis] of wordAnalyses.entries()) {
+        // Phrases like "can't wait" carry their own meaning and never open a scope
+        const cueStrength = wordAnalysis.is_phrase ? 0 : getCueStrength(wordAnalysis.word || '', wordAnalysis.clean_word || '');
+
+        if (cueStrength > 0) {
+            scope = endsClause(wordAnalysis.word || '') ? null : {
+                cue: wordAnalysis.word,
+                strength: cueStrength,
+                remaining: MAX_SCOPE_LENGTH
+            };
+            continue;
+        }
+
+        if (!scope) continue;
+
+        if (SCOPE_BREAKERS.has(wordAnalysis.clean_word) || startsClause(wordAnalyses, index)) {
+            scope = null;
+            continue;
+        }
+
+        if (isComparative(wordAnalysis)) {
+            scope = null;
+            continue;
+        }
+
+        if (isEmotional(wordAnalysis)) {
+            negateWordAnalysis(wordAnalysis, scope.cue, scope.strength);
+        }
+
+        scope.remaining--;
+        if (scope.remaining <= 0 || endsClause(wordAnalysis.word || '') || CLAUSE_VERBS.has(wordAnalysis.clean_word)) {
+            scope = null;
+        }
+    }
+
+    return wordAnalyses;
+}
+
+module.exports = {
+    applyNegation,
+    flipWordAnalysis,
+    NEGATION_CUES,
+    NEGATED_CONTRACTIONS
+};
@@ -0,0 +1,102 @@
+// Multi-word Expressions
+// Greedy longest-match grouping of idioms ("over the moon", "fed up") into single analysis units.
+// Phrases live in the same lexicon as words (words/phrases.json and the words table),
+// keyed by their cleaned tokens joined with single spaces ("can't wait" -> "cant wait").
+
+const { cleanToken } = require('./tokenizer');
+
+// Particles that turn an unknown verb into a likely phrasal verb ("freaked out", "fed up")
+const PHRASAL_PARTICLES = new Set(['up', 'out', 'off', 'down', 'away', 'over', 'through']);
+
+// Normalize a phrase to the key used for lookups
+function normalizePhrase(phrase) {
+    return phrase.split(/\s+/).map(cleanToken).filter(Boolean).join(' ');
+}
+
+// Build a lookup index from a list of phrase strings
+function buildPhraseIndex(phrases) {
+    const index = { phrases: new Set(), maxLength: 0 };
+    for (const phrase of phrases) {
+        addToPhraseIndex(index, phrase);
+    }
+    return index;
+}
+
+function addToPhraseIndex(index, phrase) {
+    const key = normalizePhrase(phrase);
+    const length = key.split(' ').length;
+    if (length < 2) return;
+    index.phrases.add(key);
+    index.maxLength = Math.max(index.maxLength, length);
+}
+
+// Split cleaned tokens into units: { start, length, key }.
+// At each position the longest known phrase wins; otherwise the token stands alone.
+// Empty tokens (pure punctuation) are skipped and never bridge a phrase.
+function segmentTokens(cleanWords, index) {
+    const units = [];
+    let i = 0;
+
+    while (i < cleanWords.length) {
+        if (!cleanWords[i]) {
+            i++;
+            continue;
+        }
+
+        let matched = null;
+        const maxLength = Math.min(index ? index.maxLength : 0, cleanWords.length - i);
+        for (let length = maxLength; length >= 2; length--) {
+            const slice = cleanWords.slice(i, i + length);
+            if (slice.some(w => !w)) continue;
+            const key = slice.join(' ');
+            if (index.phrases.has(key)) {
+                matched = { start: i, length, key };
+                break;
+            }
+        }
+
+        units.push(matched || { start: i, length: 1, key: cleanWords[i] });
+        i += matched ? matched.length : 1;
+    }
+
+    return units;
+}
+
+// Merge an unknown word and the particle after it into one unknown phrase unit so the
+// enrichment step scores "freaked out" rather than "freaked". Known words are left alone.
+function mergeCandidatePhrases(wordAnalyses) {
+    const merged = [];
+
+    for (let i = 0; i < wordAnalyses.length; i++) {
+        const current = wordAnalyses[i];
+        const next = wordAnalyses[i + 1];
+
+        if (!current.found && !current.is_phrase && next && !next.is_phrase &&
+            PHRASAL_PARTICLES.has(next.clean_word) && next.position === current.position + 1 &&
+            !/[.,;:!?]$/.test(current.word)) {
+            merged.push({
+                ...current,
+                word: `${current.word} ${next.word}`,
+                clean_word: `${current.clean_word} ${next.clean_word}`,
+                token_count: 2,
+                is_phrase: true,
+                phrase_candidate: true
+            });
+            i++;
+            continue;
+        }
+
+        merged.push(current);
+    }
+
+    return merged;
+}
+
+module.exports = {
+    normalizePhrase,
+    buildPhraseIndex,
+    addToPhraseIndex,
+    segmentTokens,
+    mergeCandidatePhrases,
+    PHRASAL_PARTICLES
+};
@@ -0,0 +1,159 @@
+// Sarcasm Estimation
+// Combines the lexicon's per-word sarcasm_flip_probability with surface cues
+// ("yeah right", scare quotes, "/s", emoji contradictions) into one probability.
+
+const { flipWordAnalysis } = require('./negation');
+
+// Probability above which a text is reported as sarcastic (and optionally inverted)
+const DEFAULT_SARCASM_THRESHOLD = parseFloat(process.env.SARCASM_THRESHOLD) || 0.6;
+
+// Stock sarcastic phrases, matched on normalized text (lowercase, punctuation removed)
+const SARCASTIC_PHRASES = [
+    'yeah right', 'yeah sure', 'sure thing', 'sure sure', 'oh great', 'oh joy', 'oh wonderful',
+    'oh perfect', 'oh fantastic', 'just great', 'just perfect', 'just wonderful', 'just what i needed',
+    'just what i wanted', 'thanks a lot', 'thanks for nothing', 'big surprise', 'what a surprise',
+    'as if', 'how lovely', 'how nice', 'love it when', 'love how', 'said no one ever',
+    'could not be happier', 'couldnt be happier', 'my favorite thing', 'because that went so well',
+    'wow thanks', 'great job', 'nice going', 'well done genius'
+];
+
+// Emoji that signal eye-rolling on their own
+const SARCASM_EMOJI = ['🙄', '🙃', '😒', '😏', '😑', '🤡'];
+const NEGATIVE_EMOJI = ['😠', '😡', '🤬', '😤', '😞', '😢', '😭', '😩', '😫', '👎', '💀', ':(', ':-(', ':/', ':-/', '-_-', '>:('];
+const POSITIVE_EMOJI = ['😀', '😃', '😄', '😁', '😊', '🙂', '😍', '🥰', '👍', '🎉', '❤️', ':)', ':-)', ':D', ':-D'];
+
+// How much each cue contributes; cues are combined with a noisy-OR
+const CUE_WEIGHTS = {
+    explicit_marker: 0.95,
+    sarcastic_phrase: 0.6,
+    scare_quotes: 0.45,
+    sarcasm_emoji: 0.5,
+    emoji_contradiction: 0.4,
+    positive_in_negative_context: 0.3,
+    lexicon: 0.5
+};
+
+// Words whose dominant emotion is no stronger than this are treated as neutral
+const NEUTRAL_CONFIDENCE = 0.13;
+
+function normalizeText(text) {
+    return ' ' + text.toLowerCase().replace(/[’']/g, '').replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim() + ' ';
+}
+
+function countOccurrences(text, needles) {
+    return needles.filter(needle => text.includes(needle));
+}
+
+function isPositive(wordAnalysis) {
+    return wordAnalysis.found && wordAnalysis.sentiment === 'positive' && wordAnalysis.confidence > NEUTRAL_CONFIDENCE;
+}
+
+function isNegative(wordAnalysis) {
+    return wordAnalysis.found && wordAnalysis.sentiment === 'negative' && wordAnalysis.confidence > NEUTRAL_CONFIDENCE;
+}
+
+// A sarcasm_threshold from a request (numeric strings from forms too). Returns { threshold }
+// (undefined when none was given) or { error } unless it is a number from 0 to 1.
+function parseSarcasmThreshold(value) {
+    if (value === undefined || value === null) return { threshold: undefined };
+    const threshold = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+        return { error: 'sarcasm_threshold must be a number between 0 and 1' };
+    }
+    return { threshold };
+}
+
+// Estimate sarcasm for a text from its word analyses (after negation and intensity).
+// Returns { probability, is_sarcastic, threshold, inverted, evidence } where evidence lists every cue that fired.
+function detectSarcasm(wordAnalyses, text, options = {}) {
+    const threshold = options.threshold ?? DEFAULT_SARCASM_THRESHOLD;
+    const normalized = normalizeText(text);
+    const evidence = [];
+
+    const positiveWords = wordAnalyses.filter(w => isPositive(w) && !w.negated);
+    const negativeWords = wordAnalyses.filter(isNegative);
+
+    // "/s" is the conventional explicit marker
+    if (/(^|\s)\/s(\s|$)/.test(text)) {
+        evidence.push({ cue: 'explicit_marker', match: '/s', weight: CUE_WEIGHTS.explicit_marker });
+    }
+
+    for (const phrase of SARCASTIC_PHRASES) {
+        if (normalized.includes(` ${phrase} `)) {
+            evidence.push({ cue: 'sarcastic_phrase', match: phrase, weight: CUE_WEIGHTS.sarcastic_phrase });
+        }
+    }
+
+    // Scare quotes around a positive word ("great")
+    const quotedPositive = wordAnalyses.filter(w => isPositive(w) && /^["“'‘].+["”'’][.,!?]*$/.test(w.word || ''));
+    for (const w of quotedPositive) {
+        evidence.push({ cue: 'scare_quotes', match: w.word, weight: CUE_WEIGHTS.scare_quotes });
+    }
+
+    for (const emoji of countOccurrences(text, SARCASM_EMOJI)) {
+        evidence.push({ cue: 'sarcasm_emoji', match: emoji, weight: CUE_WEIGHTS.sarcasm_emoji });
+    }
+
+    // Positive words next to negative emoji ("love this 😡")
+    const negativeEmoji = countOccurrences(text, NEGATIVE_EMOJI);
+    if (positiveWords.length > 0 && negativeEmoji.length > 0) {
+        evidence.push({ cue: 'emoji_contradiction', match: negativeEmoji.join(' '), weight: CUE_WEIGHTS.emoji_contradiction });
+    }
+
+    // Negative words next to cheerful emoji ("stuck in traffic for 3 hours 😊")
+    const positiveEmoji = countOccurrences(text, POSITIVE_EMOJI);
+    if (negativeWords.length > 0 && positiveWords.length === 0 && positiveEmoji.length > 0) {
+        evidence.push({ cue: 'emoji_contradiction', match: positiveEmoji.join(' '), weight: CUE_WEIGHTS.emoji_contradiction });
+    }
+
+    // A positive word surrounded by a negative situation ("great, my flight got cancelled")
+    if (positiveWords.length > 0 && negativeWords.length > 0) {
+        evidence.push({
+            cue: 'positive_in_negative_context',
+            match: `${positiveWords.map(w => w.clean_word).join(', ')} vs ${negativeWords.map(w => w.clean_word).join(', ')}`,
+            weight: CUE_WEIGHTS.positive_in_negative_context
+        });
+    }
+
+    // The lexicon's sarcasm_flip_probability only matters for words that could be read ironically
+    const lexiconWords = positiveWords.filter(w => (w.sarcasm_flip_probability || 0) > 0);
+    if (lexiconWords.length > 0) {
+        const strongest = lexiconWords.reduce((a, b) => b.sarcasm_flip_probability > a.sarcasm_flip_probability ? b : a);
+        evidence.push({
+            cue: 'lexicon',
+            match: strongest.clean_word,
+            weight: strongest.sarcasm_flip_probability * CUE_WEIGHTS.lexicon
+        });
+    }
+
+    // Surface cues on text with nothing positive to be ironic about are discounted
+    const discount = positiveWords.length > 0 || evidence.some(e => e.cue === 'explicit_marker') ? 1.0 : 0.5;
+    const probability = 1 - evidence.reduce((p, e) => p * (1 - e.weight * discount), 1);
+
+    return {
+        probability,
+        is_sarcastic: probability >= threshold,
+        threshold,
+        inverted: false,
+        evidence
+    };
+}
+
+// Invert the positive words of a sarcastic text so "great, just great" scores as negative
+function applySarcasmInversion(wordAnalyses, sarcasm) {
+    for (const wordAnalysis of wordAnalyses) {
+        if (isPositive(wordAnalysis) && !wordAnalysis.negated) {
+            flipWordAnalysis(wordAnalysis, sarcasm.probability);
+            wordAnalysis.sarcasm_inverted = true;
+        }
+    }
+    sarcasm.inverted = true;
+    return wordAnalyses;
+}
+
+module.exports = {
+    detectSarcasm,
+    applySarcasmInversion,
+    parseSarcasmThreshold,
+    DEFAULT_SARCASM_THRESHOLD
+};
@@ -0,0 +1,271 @@
+// Sentence & Clause Breakdown
+// Scores each sentence of a text separately so mixed texts ("loved the food. the service was awful.")
+// don't average into neutral, and summarizes how the emotion moves across the text.
+// Contrastive conjunctions shift weight within a sentence: in "nice, but way too expensive"
+// the clause after "but" counts more than the one before it, both in that sentence's score and in the
+// overall score for the text.
+
+// Conjunctions whose following clause carries the speaker's point
+const CONTRASTIVE_CUES = ['but', 'however', 'nevertheless', 'nonetheless', 'whereas'];
+
+// Conjunctions that introduce a concession the main clause overrides
+const CONCESSIVE_CUES = ['even though', 'although', 'despite'];
+
+const CLAUSE_CUE_PATTERN = new RegExp(`\\b(${CONCESSIVE_CUES.concat(CONTRASTIVE_CUES).join('|')})\\b`, 'gi');
+
+// Clause weights applied on top of each word's intensity_multiplier
+const EMPHASIZED_WEIGHT = 1.5;
+const BACKGROUND_WEIGHT = 0.5;
+
+// Valence change between sentence start and end that counts as a trend
+const TREND_THRESHOLD = 0.1;
+
+// Abbreviations whose period doesn't end a sentence ("Mr. Smith", "e.g. this")
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'capt', 'gen', 'col', 'lt', 'sgt', 'rev',
+    'vs', 'etc', 'e.g', 'i.e', 'approx', 'dept', 'inc', 'ltd', 'corp'
+]);
+
+// Abbreviations that are also ordinary words, only taken as such before a number ("No. 5", "Jan. 3")
+const NUMBERED_ABBREVIATIONS = new Set([
+    'no', 'nos', 'vol', 'p', 'pp', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+// A lone period after an abbreviation or a capital initial ("J. Smith", but not "I."), with more
+// text following on the same line
+function isAbbreviation(text, match) {
+    if (match[0] !== '.') return false;
+    const before = /(?:^|[\s"'(\[])([\w.]+)$/.exec(text.slice(0, match.index));
+    const after = /^[ \t]+(\S)/.exec(text.slice(match.index + 1));
+    if (!before || !after) return false;
+
+    const word = before[1];
+    if (NUMBERED_ABBREVIATIONS.has(word.toLowerCase())) return /\d/.test(after[1]);
+    return ABBREVIATIONS.has(word.toLowerCase()) || (/^[A-Z]$/.test(word) && word !== 'I');
+}
+
+// Add text.slice(start, end) as a span with surrounding whitespace trimmed.
+// Spans of only whitespace and punctuation (a stray "...") are dropped.
+function pushSpan(spans, text, start, end) {
+    const slice = text.slice(start, end);
+    const leading = slice.length - slice.trimStart().length;
+    const trimmed = slice.trim();
+    if (!/[^\s.,;:!?]/.test(trimmed)) return;
+
+    spans.push({
+        text: trimmed,
+        start: start + leading,
+        end: start + leading + trimmed.length
+    });
+}
+
+// Split text into sentences: [{ text, start, end }] with offsets into the original text.
+// Terminal punctuation only ends a sentence when followed by whitespace ("3.5" stays whole),
+// and a period after a known abbreviation ("Dr. Jones") doesn't; line breaks always do.
+function splitSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?]+["')\]]*(?=\s|$)|\n+/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+        if (isAbbreviation(text, match)) continue;
+        const end = match[0].startsWith('\n') ? match.index : match.index + match[0].length;
+        pushSpan(sentences, text, start, end);
+        start = match.index + match[0].length;
+    }
+    pushSpan(sentences, text, start, text.length);
+
+    return sentences;
+}
+
+// Split a sentence into clauses at contrastive and concessive conjunctions.
+// Returns [{ text, start, end, cue, weight }]; a sentence without cues is a single clause of weight 1.
+function splitClauses(text, sentence) {
+    const body = text.slice(sentence.start, sentence.end);
+    const splits = [];
+    let match;
+
+    CLAUSE_CUE_PATTERN.lastIndex = 0;
+    while ((match = CLAUSE_CUE_PATTERN.exec(body)) !== null) {
+        const cue = match[1].toLowerCase();
+        const concessive = CONCESSIVE_CUES.includes(cue);
+
+        if (match.index === 0) {
+            // "Although it rained, we had fun" - the concession ends at the first comma.
+            // A sentence opening with "But" contrasts with the previous sentence, not within itself.
+            const comma = body.indexOf(',');
+            if (concessive && comma !== -1) {
+                splits.push({ offset: 0, cue, type: 'concession' });
+                splits.push({ offset: comma + 1, cue: null, type: 'main' });
+            }
+            continue;
+        }
+        splits.push({ offset: match.index, cue, type: concessive ? 'concession' : 'contrast' });
+    }
+
+    const clauses = [];
+    const boundaries = splits.filter(s => s.offset > 0);
+    let start = 0;
+    let opening = splits.find(s => s.offset === 0) || null;
+    for (const split of boundaries.concat({ offset: body.length })) {
+        const before = clauses.length;
+        pushSpan(clauses, body, start, split.offset);
+        if (clauses.length > before) {
+            clauses[clauses.length - 1].cue = opening ? opening.cue : null;
+            clauses[clauses.length - 1].type = opening ? opening.type : 'main';
+        }
+        start = split.offset;
+        opening = split;
+    }
+
+    // Contrast: the clause before the cue fades, the one after it is emphasized.
+    // Concession: the conceding clause fades, the clause it concedes to is emphasized.
+    for (let i = 0; i < clauses.length; i++) {
+        clauses[i].weight = clauses[i].weight || 1.0;
+        if (clauses.length === 1) break;
+
+        if (clauses[i].type === 'contrast') {
+            if (i > 0) clauses[i - 1].weight = BACKGROUND_WEIGHT;
+            clauses[i].weight = EMPHASIZED_WEIGHT;
+        } else if (clauses[i].type === 'concession') {
+            clauses[i].weight = BACKGROUND_WEIGHT;
+            if (i > 0 && clauses[i - 1].weight === 1.0) clauses[i - 1].weight = EMPHASIZED_WEIGHT;
+        } else if (clauses[i].type === 'main' && i > 0 && clauses[i - 1].type === 'concession') {
+            clauses[i].weight = EMPHASIZED_WEIGHT;
+        }
+    }
+
+    return clauses.map(clause => ({
+        text: clause.text,
+        start: sentence.start + clause.start,
+        end: sentence.start + clause.end,
+        cue: clause.cue,
+        weight: clause.weight
+    }));
+}
+
+function summarizeScore(score) {
+    return {
+        emotion: score.overall_emotion,
+        confidence: score.confidence,
+        emotions: score.emotions,
+        vad: score.vad,
+        sentiment: score.sentiment
+    };
+}
+
+// Summarize how emotion moves across the sentences: where it starts, peaks and ends,
+// and the biggest sentence-to-sentence valence swing
+function summarizeArc(sentences) {
+    if (sentences.length === 0) return null;
+
+    const point = sentence => ({
+        sentence_index: sentence.index,
+        emotion: sentence.emotion,
+        valence: sentence.vad.valence,
+        arousal: sentence.vad.arousal
+    });
+
+    const first = sentences[0];
+    const last = sentences[sentences.length - 1];
+    const peak = sentences.reduce((a, b) =>
+        Math.abs(b.vad.valence - 0.5) * b.vad.arousal > Math.abs(a.vad.valence - 0.5) * a.vad.arousal ? b : a
+    );
+
+    let largestShift = null;
+    for (let i = 1; i < sentences.length; i++) {
+        const change = sentences[i].vad.valence - sentences[i - 1].vad.valence;
+        if (!largestShift || Math.abs(change) > Math.abs(largestShift.valence_change)) {
+            largestShift = {
+                from_sentence: i - 1,
+                to_sentence: i,
+                from_emotion: sentences[i - 1].emotion,
+                to_emotion: sentences[i].emotion,
+                valence_change: change
+            };
+        }
+    }
+
+    const diff = last.vad.valence - first.vad.valence;
+    return {
+        start: point(first),
+        peak: point(peak),
+        end: point(last),
+        largest_shift: largestShift,
+        trend: diff > TREND_THRESHOLD ? 'improving' : diff < -TREND_THRESHOLD ? 'declining' : 'stable'
+    };
+}
+
+// Whether a word analysis starts inside span, by its token's offset in the text
+function createSpanTest(tokenSpans) {
+    return (span, wordAnalysis) => {
+        const offset = (tokenSpans[wordAnalysis.position] || { start: -1 }).start;
+        return offset >= span.start && offset < span.end;
+    };
+}
+
+// Copies of the words in an emphasized or background clause with its weight applied. Clause weights ride
+// on the intensity multiplier so they scale amplification and sentiment; VAD, already stretched by
+// intensity, is averaged by clause_weight alone. Words in unweighted clauses are returned as they are.
+function weighClauseWords(wordAnalyses, clauses, within) {
+    return wordAnalyses.map(w => {
+        const clause = clauses.find(c => within(c, w));
+        const weight = clause ? clause.weight : 1.0;
+        return weight === 1.0 ? w : { ...w, intensity_multiplier: (w.intensity_multiplier || 1.0) * weight, clause_weight: weight };
+    });
+}
+
+// Word analyses with every sentence's clause weights applied, for scoring the whole text the way the
+// breakdown scores each sentence. The originals are left untouched so the reported words and their
+// markup don't show clause weights as intensity.
+function applyClauseWeights(text, wordAnalyses, tokenSpans) {
+    const within = createSpanTest(tokenSpans);
+    const clauses = splitSentences(text).flatMap(sentence => splitClauses(text, sentence));
+    return weighClauseWords(wordAnalyses, clauses, within);
+}
+
+// Build the per-sentence breakdown for an analyzed text.
+// tokenSpans are the tokenizer's { start, end } offsets that word analysis positions point into;
+// score(wordAnalyses, text) is the engine's calculateOverallEmotion.
+function buildSentenceBreakdown(text, wordAnalyses, tokenSpans, score) {
+    const within = createSpanTest(tokenSpans);
+
+    const sentences = splitSentences(text).map((sentence, index) => {
+        const sentenceWords = wordAnalyses.filter(w => within(sentence, w));
+        const clauses = splitClauses(text, sentence).map(clause => {
+            const clauseWords = sentenceWords.filter(w => within(clause, w));
+            const clauseScore = score(clauseWords, clause.text);
+            return {
+                ...clause,
+                emotion: clauseScore.overall_emotion,
+                confidence: clauseScore.confidence,
+                valence: clauseScore.vad.valence
+            };
+        });
+
+        const weightedWords = weighClauseWords(sentenceWords, clauses, within);
+
+        return {
+            index,
+            text: sentence.text,
+            start: sentence.start,
+            end: sentence.end,
+            ...summarizeScore(score(weightedWords, sentence.text)),
+            word_count: sentenceWords.length,
+            clauses
+        };
+    });
+
+    return { sentences, emotional_arc: summarizeArc(sentences) };
+}
+
+module.exports = {
+    splitSentences,
+    splitClauses,
+    summarizeArc,
+    applyClauseWeights,
+    buildSentenceBreakdown,
+    CONTRASTIVE_CUES,
+    CONCESSIVE_CUES
+};
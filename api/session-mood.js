@@ -0,0 +1,126 @@
+// Rolling Session Mood
+// The mood of an active session, kept up to date with every message instead of computed once when
+// the session ends: an exponential moving average of the messages' emotion distributions and VAD
+// with a half-life in messages or seconds. With { value: 5, unit: 'messages' } the message five
+// messages back counts half as much as the latest one; with { value: 120, unit: 'seconds' } a
+// message from two minutes ago does, however many messages came since.
+//
+// The state is stored on the session (sessions.current_mood) and folded forward one message at a
+// time. Weights are normalized by their sum (effective_messages), so a session's first messages
+// aren't pulled toward neutral.
+
+const { EMOTIONS } = require('./enrichment-validator');
+
+const HALF_LIFE_UNITS = ['messages', 'seconds'];
+const DEFAULT_HALF_LIFE = { value: 5, unit: 'messages' };
+
+// sentiment_trend compares the valence average against a baseline that moves this many times slower.
+// Both are smoothed, so the gap is smaller than the first-half/second-half one the end summary uses.
+const BASELINE_HALF_LIFE_FACTOR = 4;
+const TREND_THRESHOLD = 0.05;
+const TREND_MIN_MESSAGES = 4;
+
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// A half-life from a request, settings or the environment: { value, unit } or a number of messages.
+// Returns { halfLife } (null when nothing was given) or { error }.
+function parseHalfLife(value) {
+    if (value === undefined || value === null) return { halfLife: null };
+    const halfLife = typeof value === 'number' ? { value, unit: 'messages' } : value;
+    if (typeof halfLife !== 'object' || Array.isArray(halfLife)) {
+        return { error: 'mood_half_life must be a number of messages or { "value", "unit": "messages"|"seconds" }' };
+    }
+    if (!HALF_LIFE_UNITS.includes(halfLife.unit)) {
+        return { error: `mood_half_life.unit must be one of ${HALF_LIFE_UNITS.join(', ')}` };
+    }
+    if (typeof halfLife.value !== 'number' || !Number.isFinite(halfLife.value) || halfLife.value <= 0) {
+        return { error: 'mood_half_life.value must be a positive number' };
+    }
+    return { halfLife: { value: halfLife.value, unit: halfLife.unit } };
+}
+
+// SESSION_MOOD_HALF_LIFE and SESSION_MOOD_HALF_LIFE_UNIT, or 5 messages
+function getDefaultHalfLife() {
+    const value = parseFloat(process.env.SESSION_MOOD_HALF_LIFE);
+    const { halfLife } = parseHalfLife(Number.isNaN(value) ? null : {
+        value,
+        unit: process.env.SESSION_MOOD_HALF_LIFE_UNIT || 'messages'
+    });
+    return halfLife || DEFAULT_HALF_LIFE;
+}
+
+// The mood of a session with no messages yet
+function createRollingMood(halfLife = getDefaultHalfLife()) {
+    return {
+        overall_mood: 'neutral',
+        mood_confidence: 0.125,
+        emotion_breakdown: Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0])),
+        avg_valence: 0.5,
+        avg_arousal: 0.5,
+        avg_dominance: 0.5,
+        sentiment_trend: 'stable',
+        message_count: 0,
+        half_life: halfLife,
+        effective_messages: 0,
+        baseline_valence: 0.5,
+        baseline_messages: 0,
+        updated_at: null
+    };
+}
+
+// Fold one message ({ emotions, vad }, stored at `at`) into the mood; returns the new state
+function updateRollingMood(state, message, at = new Date()) {
+    const { value, unit } = state.half_life;
+    const elapsed = state.message_count === 0 ? 0
+        : unit === 'messages' ? 1
+        : Math.max(0, (new Date(at) - new Date(state.updated_at)) / 1000);
+
+    // Weight left on the average so far after `elapsed`; the new message enters with weight 1
+    const previous = state.effective_messages * 0.5 ** (elapsed / value);
+    const previousBaseline = state.baseline_messages * 0.5 ** (elapsed / (value * BASELINE_HALF_LIFE_FACTOR));
+    const blend = (average, x, weight) => (average * weight + x) / (weight + 1);
+
+    const emotions = parseJsonColumn(message.emotions) || {};
+    const vad = parseJsonColumn(message.vad) || {};
+    const breakdown = Object.fromEntries(EMOTIONS.map(emotion =>
+        [emotion, blend(state.emotion_breakdown[emotion] ?? 0, emotions[emotion] ?? 0, previous)]));
+    const overallMood = EMOTIONS.reduce((a, b) => (breakdown[a] >= breakdown[b] ? a : b));
+
+    const avgValence = blend(state.avg_valence, vad.valence ?? 0.5, previous);
+    const baselineValence = blend(state.baseline_valence, vad.valence ?? 0.5, previousBaseline);
+    const messageCount = state.message_count + 1;
+    const diff = avgValence - baselineValence;
+
+    return {
+        overall_mood: overallMood,
+        mood_confidence: breakdown[overallMood],
+        emotion_breakdown: breakdown,
+        avg_valence: avgValence,
+        avg_arousal: blend(state.avg_arousal, vad.arousal ?? 0.5, previous),
+        avg_dominance: blend(state.avg_dominance, vad.dominance ?? 0.5, previous),
+        sentiment_trend: messageCount < TREND_MIN_MESSAGES ? 'stable'
+            : diff > TREND_THRESHOLD ? 'improving' : diff < -TREND_THRESHOLD ? 'declining' : 'stable',
+        message_count: messageCount,
+        half_life: state.half_life,
+        effective_messages: previous + 1,
+        baseline_valence: baselineValence,
+        baseline_messages: previousBaseline + 1,
+        updated_at: new Date(at).toISOString()
+    };
+}
+
+// The mood after a list of messages ({ emotions, vad, created_at }, oldest first), for sessions
+// started before moods were kept
+function rollingMoodFromMessages(messages, halfLife = getDefaultHalfLife()) {
+    return messages.reduce((state, message) => updateRollingMood(state, message, message.created_at),
+        createRollingMood(halfLife));
+}
+
+module.exports = {
+    parseHalfLife,
+    getDefaultHalfLife,
+    createRollingMood,
+    updateRollingMood,
+    rollingMoodFromMessages,
+    HALF_LIFE_UNITS
+};
@@ -0,0 +1,65 @@
+// Social Axes & Toxicity Aggregation
+// Rolls the lexicon's per-word social_axes and toxicity up to a per-text result
+
+const SOCIAL_AXES = ['good_bad', 'warmth_cold', 'competence_incompetence', 'active_passive'];
+
+// Number of most toxic tokens reported with the toxicity score
+const MAX_TOXIC_TOKENS = 5;
+
+function hasSocialAxes(wordAnalysis) {
+    return wordAnalysis.social_axes && SOCIAL_AXES.some(axis => (wordAnalysis.social_axes[axis] || 0) !== 0);
+}
+
+// Average each axis (-1 to 1) over the words that carry social meaning, weighted by intensity.
+// Negated words pull the opposite way ("not warm" reads as cold).
+function calculateSocialAxes(wordAnalyses) {
+    const totals = { good_bad: 0, warmth_cold: 0, competence_incompetence: 0, active_passive: 0 };
+    let totalWeight = 0;
+
+    for (const wordAnalysis of wordAnalyses) {
+        if (!wordAnalysis.found || wordAnalysis.is_modifier || !hasSocialAxes(wordAnalysis)) continue;
+
+        const weight = wordAnalysis.intensity_multiplier || 1.0;
+        const direction = wordAnalysis.negated || wordAnalysis.sarcasm_inverted ? -1 : 1;
+        for (const axis of SOCIAL_AXES) {
+            totals[axis] += (wordAnalysis.social_axes[axis] || 0) * weight * direction;
+        }
+        totalWeight += weight;
+    }
+
+    const axes = {};
+    for (const axis of SOCIAL_AXES) {
+        axes[axis] = totalWeight > 0 ? totals[axis] / totalWeight : 0.0;
+    }
+    axes.contributing_words = wordAnalyses.filter(w => w.found && !w.is_modifier && hasSocialAxes(w)).length;
+    return axes;
+}
+
+// Toxicity is driven by the worst token, not the average - one slur makes a message toxic
+function calculateToxicity(wordAnalyses) {
+    const toxicWords = wordAnalyses
+        .filter(w => w.found && (w.toxicity || 0) > 0)
+        .map(w => ({ word: w.clean_word, toxicity: Math.min((w.toxicity || 0) * (w.intensity_multiplier || 1.0), 1.0) }))
+        .sort((a, b) => b.toxicity - a.toxicity);
+
+    const score = toxicWords.length > 0 ? toxicWords[0].toxicity : 0.0;
+    const average = toxicWords.length > 0
+        ? toxicWords.reduce((s, w) => s + w.toxicity, 0) / toxicWords.length
+        : 0.0;
+
+    // Repeated words are reported once
+    const uniqueWords = toxicWords.filter((w, i) => toxicWords.findIndex(o => o.word === w.word) === i);
+
+    return {
+        score,
+        average,
+        toxic_word_count: toxicWords.length,
+        most_toxic_tokens: uniqueWords.slice(0, MAX_TOXIC_TOKENS)
+    };
+}
+
+module.exports = {
+    calculateSocialAxes,
+    calculateToxicity,
+    SOCIAL_AXES
+};
@@ -59,7 +59,10 @@ module.exports = async function handler(req, res) {
           emotion_analysis: true,
           real_word_database: true,
           deepseek_integration: dbStats.deepseek_available,
+          enrichment_provider: dbStats.enrichment_provider,
           text_analysis: true,
+          language_detection: true,
+          translation_fallback: dbStats.deepseek_available,
           laughter_detection: false,
           music_detection: false,
           confidence_scoring: true,
@@ -67,7 +70,7 @@ module.exports = async function handler(req, res) {
         },
         capabilities: {
           supported_audio_formats: ["Use text analysis instead"],
-          supported_languages: ["en"],
+          supported_languages: dbStats.languages,
           max_audio_size_mb: "N/A - use text analysis",
           max_text_length: 10000,
           confidence_threshold: 0.7
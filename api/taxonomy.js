@@ -0,0 +1,157 @@
+// Emotion Taxonomies
+// The engines score the eight Plutchik emotions. A taxonomy maps that base distribution onto another
+// label set through a mapping matrix: each label's score is a weighted sum of the base emotions,
+// and the scores are normalized into a distribution. Plutchik dyads fall out naturally
+// (love = joy + trust), as do coarser sets like Ekman's six or a product's own labels.
+//
+// A taxonomy is { name, labels: { label: { emotion: weight } } }. Built-in ones are selected by
+// name; custom ones are passed inline per request or stored in an organization's settings.
+// The base fields of a result are never changed, the mapping is added under `taxonomy`.
+
+const { EMOTIONS } = require('./enrichment-validator');
+
+const MAX_LABELS = 32;
+const LABEL_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const BUILT_IN_TAXONOMIES = {
+    plutchik: {
+        name: 'plutchik',
+        labels: Object.fromEntries(EMOTIONS.map(emotion => [emotion, { [emotion]: 1 }]))
+    },
+    // Trust and anticipation have no Ekman counterpart; they lean toward the closest basic emotions
+    ekman: {
+        name: 'ekman',
+        labels: {
+            happiness: { joy: 1, trust: 0.7, anticipation: 0.5 },
+            surprise: { surprise: 1, anticipation: 0.3 },
+            fear: { fear: 1, anticipation: 0.2 },
+            anger: { anger: 1 },
+            sadness: { sadness: 1 },
+            disgust: { disgust: 1 }
+        }
+    },
+    // Primary dyads: each pair of neighbouring emotions on Plutchik's wheel
+    plutchik_dyads: {
+        name: 'plutchik_dyads',
+        labels: {
+            love: { joy: 1, trust: 1 },
+            submission: { trust: 1, fear: 1 },
+            awe: { fear: 1, surprise: 1 },
+            disapproval: { surprise: 1, sadness: 1 },
+            remorse: { sadness: 1, disgust: 1 },
+            contempt: { disgust: 1, anger: 1 },
+            aggressiveness: { anger: 1, anticipation: 1 },
+            optimism: { anticipation: 1, joy: 1 }
+        }
+    },
+    // Customer support conversations
+    support: {
+        name: 'support',
+        labels: {
+            frustration: { anger: 1, disgust: 0.6, sadness: 0.4 },
+            confusion: { surprise: 0.8, fear: 0.5, anticipation: 0.2 },
+            satisfaction: { joy: 1, trust: 0.8, anticipation: 0.3 }
+        }
+    }
+};
+
+// Check an inline taxonomy definition; returns a list of problems (empty when valid)
+function validateTaxonomyDefinition(definition) {
+    const errors = [];
+    if (typeof definition.name !== 'string' || !definition.name.trim() || definition.name.length > 50) {
+        errors.push('name must be a non-empty string of at most 50 characters');
+    }
+    if (!definition.labels || typeof definition.labels !== 'object' || Array.isArray(definition.labels)) {
+        return errors.concat('labels must be an object of label -> { emotion: weight }');
+    }
+
+    const labels = Object.entries(definition.labels);
+    if (labels.length === 0 || labels.length > MAX_LABELS) {
+        errors.push(`labels must have between 1 and ${MAX_LABELS} entries`);
+    }
+    for (const [label, row] of labels) {
+        if (!LABEL_PATTERN.test(label) || label === 'neutral') {
+            errors.push(`label "${label}" must be lowercase letters, digits and underscores, and not "neutral"`);
+            continue;
+        }
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            errors.push(`labels.${label} must be an object of emotion -> weight`);
+            continue;
+        }
+        for (const [emotion, weight] of Object.entries(row)) {
+            if (!EMOTIONS.includes(emotion)) {
+                errors.push(`labels.${label}: unknown emotion "${emotion}" (expected ${EMOTIONS.join(', ')})`);
+            } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                errors.push(`labels.${label}.${emotion} must be a non-negative number`);
+            }
+        }
+        if (!Object.values(row).some(weight => weight > 0)) {
+            errors.push(`labels.${label} needs at least one positive weight`);
+        }
+    }
+    return errors;
+}
+
+// A taxonomy value from a request or settings: a built-in name or an inline definition.
+// Returns { taxonomy } (null when nothing was asked for) or { error }.
+function resolveTaxonomy(value) {
+    if (value === undefined || value === null) return { taxonomy: null };
+    if (typeof value === 'string') {
+        const taxonomy = BUILT_IN_TAXONOMIES[value];
+        return taxonomy
+            ? { taxonomy }
+            : { error: `Unknown taxonomy "${value}". Built-in: ${Object.keys(BUILT_IN_TAXONOMIES).join(', ')}` };
+    }
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        const errors = validateTaxonomyDefinition(value);
+        return errors.length > 0
+            ? { error: `Invalid taxonomy: ${errors.join('; ')}` }
+            : { taxonomy: { name: value.name, labels: value.labels } };
+    }
+    return { error: 'taxonomy must be a built-in taxonomy name or a { name, labels } definition' };
+}
+
+// Map a base distribution ({ joy: 0.4, ... }) through the taxonomy's matrix; uniform if nothing maps
+function mapDistribution(taxonomy, emotions) {
+    const labels = Object.keys(taxonomy.labels);
+    const scores = labels.map(label => Object.entries(taxonomy.labels[label])
+        .reduce((sum, [emotion, weight]) => sum + weight * (emotions[emotion] ?? 0), 0));
+    const total = scores.reduce((a, b) => a + b, 0);
+    return Object.fromEntries(labels.map((label, i) => [label, total > 0 ? scores[i] / total : 1 / labels.length]));
+}
+
+function topLabel(distribution) {
+    return Object.keys(distribution).reduce((a, b) => (distribution[a] >= distribution[b] ? a : b));
+}
+
+// The `taxonomy` field for a result: its distributions mapped onto the taxonomy's labels.
+// Results with no emotional words stay neutral whatever the taxonomy.
+function applyTaxonomy(result, taxonomy) {
+    const emotions = mapDistribution(taxonomy, result.emotions);
+    const overall = result.overall_emotion === 'neutral' ? 'neutral' : topLabel(emotions);
+    const mapped = {
+        name: taxonomy.name,
+        labels: Object.keys(taxonomy.labels),
+        overall_emotion: overall,
+        confidence: overall === 'neutral' ? 1 / Object.keys(taxonomy.labels).length : emotions[overall],
+        emotions
+    };
+
+    if (result.calibrated_emotions) {
+        mapped.calibrated_emotions = mapDistribution(taxonomy, result.calibrated_emotions);
+        mapped.calibrated_confidence = overall === 'neutral' ? null : mapped.calibrated_emotions[overall];
+    }
+    return mapped;
+}
+
+function listTaxonomies() {
+    return Object.values(BUILT_IN_TAXONOMIES);
+}
+
+module.exports = {
+    resolveTaxonomy,
+    applyTaxonomy,
+    mapDistribution,
+    listTaxonomies,
+    BUILT_IN_TAXONOMIES
+};
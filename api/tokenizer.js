@@ -0,0 +1,90 @@
+// Tokenizer
+// Splits text on whitespace while keeping each token's character offsets into the original text.
+// Offsets are UTF-16 code unit indices, the same as JavaScript string indices in the browser.
+// Emoji are split off the text they touch ("great😡" -> "great", "😡"). Scripts written without
+// spaces (Chinese, Japanese, Thai...) are split into words with Intl.Segmenter.
+
+const { EMOJI_SEQUENCE, isEmojiKey } = require('./emoji');
+
+const TOKEN_PATTERN = new RegExp(`${EMOJI_SEQUENCE}|(?:(?!${EMOJI_SEQUENCE})\\S)+`, 'gu');
+
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// One segmenter per language; segmenters are expensive to build
+const wordSegmenters = new Map();
+
+function getWordSegmenter(language) {
+    const locale = language || 'und';
+    if (!wordSegmenters.has(locale)) {
+        wordSegmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+    }
+    return wordSegmenters.get(locale);
+}
+
+// Split a whitespace token in an unspaced script into its words, dropping whitespace segments
+function splitUnspaced(token, language) {
+    return [...getWordSegmenter(language).segment(token.text)]
+        .filter(segment => segment.segment.trim())
+        .map(segment => ({
+            text: segment.segment,
+            start: token.start + segment.index,
+            end: token.start + segment.index + segment.segment.length
+        }));
+}
+
+// Returns [{ text, start, end }] with end exclusive. language is a segmentation hint for unspaced scripts.
+function tokenize(text, language = null) {
+    const tokens = [];
+    const pattern = new RegExp(TOKEN_PATTERN);
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const token = { text: match[0], start: match.index, end: match.index + match[0].length };
+        if (UNSPACED_SCRIPT.test(token.text)) {
+            tokens.push(...splitUnspaced(token, language));
+        } else {
+            tokens.push(token);
+        }
+    }
+
+    return tokens;
+}
+
+// Inline markup tags ("<b>", "</em>", "<br/>") that touch the words of pasted HTML
+const MARKUP_TAG = /<\/?[a-z][^<>]*>/gi;
+
+// A token with its markup tags blanked out, keeping its length so offsets still line up
+function maskMarkup(token) {
+    return token.replace(MARKUP_TAG, tag => ' '.repeat(tag.length));
+}
+
+// Lexicon key for a plain word: lowercased letters, marks and digits in any script ("Café!" -> "café").
+// Markup tags are dropped first, so "<b>not" is "not" rather than "bnot".
+function cleanToken(token) {
+    return maskMarkup(token).normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+}
+
+// Narrow a token span to its first and last letter, mark or digit outside markup tags, so "great,"
+// and "happy</b>," highlight as "great" and "happy". Tokens with none of those (emoji, ":)") keep their
+// whole span; emoticons with some ("<3", ":D") aren't passed here.
+function trimSpan(text, span) {
+    const match = /[\p{L}\p{M}\p{N}](?:.*[\p{L}\p{M}\p{N}])?/su.exec(maskMarkup(text.slice(span.start, span.end)));
+    return match ? { start: span.start + match.index, end: span.start + match.index + match[0].length } : span;
+}
+
+// Give every word analysis the start/end offsets of what it covers in text: phrases run from their
+// first token to their last. position and token_count point into tokenSpans.
+// Emoji and emoticons keep their whole token, punctuation included.
+function attachOffsets(text, wordAnalyses, tokenSpans) {
+    for (const wordAnalysis of wordAnalyses) {
+        const first = tokenSpans[wordAnalysis.position];
+        const last = tokenSpans[wordAnalysis.position + (wordAnalysis.token_count || 1) - 1];
+        if (!first || !last) continue;
+        const trim = isEmojiKey(wordAnalysis.clean_word || '') ? span => span : span => trimSpan(text, span);
+        wordAnalysis.start = trim(first).start;
+        wordAnalysis.end = trim(last).end;
+    }
+    return wordAnalyses;
+}
+
+module.exports = { tokenize, cleanToken, maskMarkup, attachOffsets };
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Benchmark lexicon lookup latency against a local PostgreSQL database.
+ *
+ * Compares the old one-query-per-token lookup with the engine's set-based lookup
+ * (cold and warm LRU cache) on a generated text. Load the lexicon first:
+ *
+ *   DB_HOST=localhost DB_PORT=5432 DB_SSL=false npm run migrate-words
+ *   DB_HOST=localhost DB_PORT=5432 DB_SSL=false npm run benchmark-lookup
+ *
+ * BENCH_WORDS (default 2000) sets the text length, BENCH_RUNS (default 5) the runs per mode.
+ */
+
+// Local defaults; the engine reads these when it is loaded
+process.env.DB_HOST = process.env.DB_HOST || 'localhost';
+process.env.DB_PORT = process.env.DB_PORT || '5432';
+process.env.DB_SSL = process.env.DB_SSL || 'false';
+process.env.ENRICHMENT_PROVIDER = 'none'; // Measure lookups only, never enrichment
+
+const { emotionEngine } = require('./api/emotion-engine-db.js');
+
+const WORD_COUNT = parseInt(process.env.BENCH_WORDS) || 2000;
+const RUNS = parseInt(process.env.BENCH_RUNS) || 5;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// A text mixing lexicon words with words the lexicon doesn't have, like real input
+async function buildText() {
+    const result = await emotionEngine.pool.query(`SELECT word FROM words WHERE word ~ '^[a-z]+$' LIMIT 500`);
+    const known = result.rows.map(row => row.word);
+    if (known.length === 0) {
+        throw new Error('No words in database. Run: npm run migrate-words');
+    }
+
+    const filler = ['the', 'table', 'window', 'meeting', 'report', 'tuesday', 'coffee', 'street'];
+    const words = [];
+    for (let i = 0; i < WORD_COUNT; i++) {
+        words.push(i % 3 === 0 ? filler[i % filler.length] : known[(i * 7) % known.length]);
+    }
+    return words.join(' ');
+}
+
+// The previous lookup: one sequential round trip per token
+async function perTokenLookup(text) {
+    for (const token of text.split(/\s+/)) {
+        await emotionEngine.pool.query('SELECT * FROM words WHERE LOWER(word) = $1', [token.toLowerCase()]);
+    }
+}
+
+async function time(fn) {
+    const start = process.hrtime.bigint();
+    await fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+async function runBenchmark() {
+    console.log('🚀 Word lookup benchmark\n');
+
+    await emotionEngine.ready;
+    if (!emotionEngine.dbConnected) {
+        console.error('❌ Could not connect to database:', emotionEngine.dbError);
+        process.exit(1);
+    }
+
+    const text = await buildText();
+    console.log(`   Text: ${WORD_COUNT} words, ${RUNS} runs per mode\n`);
+
+    const perToken = [];
+    const bulkCold = [];
+    const bulkWarm = [];
+
+    for (let run = 0; run < RUNS; run++) {
+        perToken.push(await time(() => perTokenLookup(text)));
+
+        emotionEngine.wordCache.clear();
+        emotionEngine.fallbackCache.clear();
+        bulkCold.push(await time(() => emotionEngine.analyzeText(text)));
+
+        bulkWarm.push(await time(() => emotionEngine.analyzeText(text)));
+    }
+
+    console.log('📊 Median latency:');
+    console.log(`   Per-token queries:      ${median(perToken).toFixed(1)} ms`);
+    console.log(`   Set-based, cold cache:  ${median(bulkCold).toFixed(1)} ms`);
+    console.log(`   Set-based, warm cache:  ${median(bulkWarm).toFixed(1)} ms`);
+    console.log(`   Speedup (cold):         ${(median(perToken) / median(bulkCold)).toFixed(1)}x`);
+    console.log('\n🗄️  Word cache:', emotionEngine.wordCache.stats());
+
+    await emotionEngine.close();
+}
+
+runBenchmark().catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
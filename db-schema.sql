@@ -2,9 +2,13 @@
 -- PostgreSQL database for word emotion data and API processing logs
 
 -- Words table: stores emotion data for each word
+-- Multi-word phrases ("over the moon", "cant wait") are stored here too, as space-separated cleaned tokens
+-- Emoji are stored without skin-tone modifiers or variation selectors, ASCII emoticons lowercased (":d", "xd")
+-- Each language has its own lexicon; a word is unique within its language
 CREATE TABLE IF NOT EXISTS words (
     id SERIAL PRIMARY KEY,
-    word VARCHAR(255) UNIQUE NOT NULL,
+    word VARCHAR(255) NOT NULL,
+    language VARCHAR(10) NOT NULL DEFAULT 'en', -- ISO 639 code of the lexicon the word belongs to
     pos TEXT[], -- part of speech tags
     valence DECIMAL(5,4) NOT NULL DEFAULT 0.5,
     arousal DECIMAL(5,4) NOT NULL DEFAULT 0.5,
@@ -26,13 +30,23 @@ CREATE TABLE IF NOT EXISTS words (
     toxicity DECIMAL(5,4) DEFAULT 0.0,
     negation_flip_probability DECIMAL(5,4) DEFAULT 0.0,
     sarcasm_flip_probability DECIMAL(5,4) DEFAULT 0.0,
+    enrichment_provider VARCHAR(50),  -- Provider that scored a word added at runtime (deepseek, openai, mock); NULL for curated words
+    enrichment_model VARCHAR(100),
+    enrichment_confidence DECIMAL(5,4), -- Model's own confidence in the enrichment
+    created_by_request VARCHAR(100), -- Request that triggered the enrichment
+    review_status VARCHAR(20) NOT NULL DEFAULT 'approved', -- approved | pending_review | rejected; learned words start pending_review
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Index for fast word lookups
+CREATE UNIQUE INDEX IF NOT EXISTS idx_words_word_language ON words(word, language);
 CREATE INDEX IF NOT EXISTS idx_words_word ON words(word);
 CREATE INDEX IF NOT EXISTS idx_words_lowercase ON words(LOWER(word));
+CREATE INDEX IF NOT EXISTS idx_words_phrases ON words(word) WHERE word LIKE '% %';
+CREATE INDEX IF NOT EXISTS idx_words_review_queue ON words(review_status, created_at) WHERE enrichment_provider IS NOT NULL;
 
 -- API processing logs table: stores all text analysis requests
 CREATE TABLE IF NOT EXISTS api_processing_logs (
@@ -59,6 +73,51 @@ CREATE INDEX IF NOT EXISTS idx_logs_created_at ON api_processing_logs(created_at
 CREATE INDEX IF NOT EXISTS idx_logs_emotion ON api_processing_logs(overall_emotion);
 CREATE INDEX IF NOT EXISTS idx_logs_api_key ON api_processing_logs(api_key_hash);
 
+-- Enrichment quarantine: LLM word enrichments that failed schema validation after a corrective retry.
+-- Kept for inspection; nothing here is used in scoring.
+CREATE TABLE IF NOT EXISTS enrichment_quarantine (
+    id SERIAL PRIMARY KEY,
+    word VARCHAR(255) NOT NULL,
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    raw_response TEXT, -- last response from the provider
+    errors JSONB, -- validation errors for that response
+    attempts INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail of lexicon edits made through the admin API and review queue
+CREATE TABLE IF NOT EXISTS lexicon_audit (
+    id SERIAL PRIMARY KEY,
+    word VARCHAR(255) NOT NULL,
+    language VARCHAR(10) NOT NULL DEFAULT 'en', -- the lexicon the changed word belongs to
+    action VARCHAR(20) NOT NULL, -- create, update, delete, import, approve, reject, edit
+    actor VARCHAR(100),
+    before JSONB, -- entry before the change (null when created)
+    after JSONB, -- entry after the change (null when deleted)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lexicon_audit_word ON lexicon_audit(word, created_at);
+
+-- Published lexicon versions: immutable snapshots of the words table that analysis can be pinned to
+CREATE TABLE IF NOT EXISTS lexicon_versions (
+    id SERIAL PRIMARY KEY,
+    description TEXT,
+    word_count INTEGER,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS lexicon_version_words (
+    version_id INTEGER NOT NULL REFERENCES lexicon_versions(id),
+    language VARCHAR(10) NOT NULL DEFAULT 'en',
+    word VARCHAR(255) NOT NULL,
+    entry JSONB NOT NULL -- the words row without id and timestamps
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_version_words_key ON lexicon_version_words(version_id, language, word);
+
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -114,6 +173,17 @@ CREATE TABLE IF NOT EXISTS organizations (
 CREATE INDEX IF NOT EXISTS idx_org_slug ON organizations(slug);
 CREATE INDEX IF NOT EXISTS idx_org_api_key ON organizations(api_key_hash);
 
+-- Organization-scoped word overrides and additions, layered over the global lexicon for that org's requests
+CREATE TABLE IF NOT EXISTS org_lexicon (
+    org_id VARCHAR(50) NOT NULL,
+    language VARCHAR(10) NOT NULL DEFAULT 'en', -- the lexicon language the word overrides or adds to
+    word VARCHAR(255) NOT NULL,
+    entry JSONB NOT NULL, -- stats in the words/*.json format
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (org_id, language, word)
+);
+
 -- Profiles table: individual users within organizations
 CREATE TABLE IF NOT EXISTS profiles (
     id VARCHAR(50) PRIMARY KEY,
@@ -156,6 +226,7 @@ CREATE TABLE IF NOT EXISTS sessions (
     avg_arousal DECIMAL(5,4),
     avg_dominance DECIMAL(5,4),
     sentiment_trend VARCHAR(20), -- improving, declining, stable
+    current_mood JSONB, -- rolling mood, updated with every message (api/session-mood.js)
     metadata JSONB DEFAULT '{}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
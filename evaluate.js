@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Evaluate the engine on a labeled dataset and compare configurations side by side.
+ *
+ * Scores every example of a JSONL dataset (lines of { "text", "emotion", "vad", "sentiment" }) and
+ * reports accuracy, per-emotion precision/recall/F1 and macro-F1, the confusion matrix, VAD
+ * correlation, sentiment accuracy and lexicon coverage. Writes evaluation.json and evaluation.html:
+ *
+ *   npm run evaluate -- --dataset datasets/emotions-sample.jsonl
+ *   npm run evaluate -- --lexicon words --compare-lexicon /tmp/words-candidate
+ *   npm run evaluate -- --config baseline.json --compare candidate.json --out reports/lexicon-v7
+ *
+ * A configuration file is { "name", "engine": "json"|"postgres", "lexicon", "lexicon_version",
+ * "enrichment": "mock"|"none", "options" }. The json engine reads the lexicon directory (default
+ * words/) and never writes to it; unknown words go to the deterministic mock provider unless
+ * enrichment is "none". The postgres engine needs the DB_* variables, scores the live words table
+ * or lexicon_version, and never enriches. "options" is passed to analyzeText.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+process.env.ENRICHMENT_PROVIDER = 'none';
+
+const { readLabeledDataset, computeMetrics, compareMetrics, renderHtmlReport } = require('./api/evaluation');
+const { MockProvider } = require('./api/enrichment');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function loadConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { name: path.basename(file, '.json'), ...config };
+}
+
+function normalizeConfig(config) {
+    const engine = config.engine || 'json';
+    if (!['json', 'postgres'].includes(engine)) {
+        throw new Error(`${config.name}: engine must be json or postgres`);
+    }
+    return {
+        name: config.name,
+        engine,
+        lexicon: engine === 'json' ? path.resolve(config.lexicon || 'words') : null,
+        lexicon_version: config.lexicon_version ?? null,
+        enrichment: engine === 'json' ? (config.enrichment || 'mock') : 'none',
+        options: config.options || {}
+    };
+}
+
+async function createEngine(config) {
+    if (config.engine === 'postgres') {
+        const { emotionEngine } = require('./api/emotion-engine-db.js');
+        await emotionEngine.ready;
+        // Evaluation must not grow the shared lexicon
+        emotionEngine.enrichmentProvider = null;
+        return emotionEngine;
+    }
+
+    const { EmotionEngine } = require('./api/emotion-engine.js');
+    return new EmotionEngine({
+        wordsDir: config.lexicon,
+        enrichmentProvider: config.enrichment === 'mock' ? new MockProvider() : null,
+        readOnly: true
+    });
+}
+
+async function runConfig(config, examples) {
+    const engine = await createEngine(config);
+    const options = { ...config.options };
+    if (config.lexicon_version !== null) options.lexiconVersion = config.lexicon_version;
+
+    const startedAt = Date.now();
+    const results = [];
+    for (const example of examples) {
+        results.push(await engine.analyzeText(example.text, options));
+    }
+    const durationMs = Date.now() - startedAt;
+
+    const metrics = computeMetrics(examples, results);
+    console.log(`   ${config.name.padEnd(16)} accuracy ${metrics.accuracy.toFixed(3)}   macro-F1 ${metrics.macro_f1.toFixed(3)}` +
+        `   coverage ${metrics.coverage.mean.toFixed(3)}   abstain ${metrics.abstention.rate.toFixed(3)}   (${durationMs}ms)`);
+
+    return {
+        config,
+        metrics,
+        duration_ms: durationMs,
+        predictions: examples.map((example, i) => ({
+            text: example.text,
+            gold: example.emotion,
+            predicted: results[i].overall_emotion,
+            confidence: results[i].confidence,
+            coverage: results[i].coverage,
+            abstain: results[i].abstain
+        }))
+    };
+}
+
+async function evaluate() {
+    const args = parseArgs(process.argv.slice(2));
+    const datasetPath = args.dataset || path.join(__dirname, 'datasets', 'emotions-sample.jsonl');
+    const outDir = args.out || path.join(__dirname, 'reports');
+
+    const configs = [
+        args.config ? loadConfig(args.config) : { name: 'baseline', lexicon: args.lexicon }
+    ];
+    if (args.compare) {
+        configs.push(loadConfig(args.compare));
+    } else if (args['compare-lexicon']) {
+        configs.push({ name: 'candidate', lexicon: args['compare-lexicon'] });
+    }
+    const normalized = configs.map(normalizeConfig);
+    if (normalized.length === 2 && normalized[0].name === normalized[1].name) {
+        normalized[1].name += ' (2)';
+    }
+
+    const examples = readLabeledDataset(datasetPath);
+    console.log(`📂 Evaluating ${examples.length} examples from ${datasetPath}...`);
+
+    const runs = [];
+    for (const config of normalized) {
+        runs.push(await runConfig(config, examples));
+    }
+
+    const report = {
+        dataset: path.relative(__dirname, path.resolve(datasetPath)),
+        examples: examples.length,
+        created_at: new Date().toISOString(),
+        runs,
+        comparison: runs.length === 2 ? compareMetrics(runs[0].metrics, runs[1].metrics) : null
+    };
+
+    if (report.comparison) {
+        const sign = value => (value === null ? '–' : (value >= 0 ? '+' : '') + value.toFixed(3));
+        console.log(`\n📊 ${runs[1].config.name} vs ${runs[0].config.name}: accuracy ${sign(report.comparison.accuracy)}` +
+            `   macro-F1 ${sign(report.comparison.macro_f1)}   coverage ${sign(report.comparison.coverage_mean)}`);
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'evaluation.json'), JSON.stringify(report, null, 2) + '\n');
+    fs.writeFileSync(path.join(outDir, 'evaluation.html'), renderHtmlReport(report));
+    console.log(`\n✅ Wrote ${path.join(outDir, 'evaluation.json')} and evaluation.html`);
+
+    if (normalized.some(config => config.engine === 'postgres')) {
+        await require('./api/emotion-engine-db.js').emotionEngine.close();
+    }
+}
+
+evaluate().catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+});
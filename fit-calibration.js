@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Fit the confidence calibration model on a labeled dataset.
+ *
+ * Runs every text through the engine, pairs its raw emotion distribution with the gold label and
+ * fits a temperature (default) or per-emotion isotonic curves. Prints accuracy, negative
+ * log-likelihood and expected calibration error before and after, then writes the model:
+ *
+ *   npm run fit-calibration -- --dataset datasets/emotions-sample.jsonl --method isotonic
+ *
+ * Options: --dataset <jsonl> (lines of { "text", "emotion" }), --method temperature|isotonic,
+ * --out <file> (default calibration/model.json), --engine json|postgres (default json, the local
+ * words/ lexicon; postgres needs the DB_* variables), and abstain thresholds --min-coverage,
+ * --min-confidence and --max-uncertainty. Enrichment is off so fitting never changes the lexicon.
+ *
+ * The model records the engine it was fitted on and is only applied to that engine, so fit it with
+ * --engine postgres for the API server. A model that doesn't lower the expected calibration error
+ * on its own samples isn't written unless --force is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+process.env.ENRICHMENT_PROVIDER = 'none';
+
+const {
+    fitCalibrationModel, applyCalibration, negativeLogLikelihood, expectedCalibrationError, DEFAULT_MODEL_PATH,
+    CALIBRATION_ENGINES
+} = require('./api/calibration');
+const { EMOTIONS } = require('./api/enrichment-validator');
+const { readLabeledDataset } = require('./api/evaluation');
+
+// --name value pairs; a flag followed by another flag or nothing (--force) is true
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const value = argv[i + 1];
+            args[argv[i].slice(2)] = value === undefined || value.startsWith('--') ? true : value;
+            if (value !== undefined && !value.startsWith('--')) i++;
+        }
+    }
+    return args;
+}
+
+function accuracy(samples, calibrate) {
+    const correct = samples.filter(sample => {
+        const probabilities = calibrate(sample.emotions);
+        return EMOTIONS.reduce((a, b) => (probabilities[a] >= probabilities[b] ? a : b)) === sample.label;
+    }).length;
+    return correct / samples.length;
+}
+
+function report(name, samples, calibrate) {
+    console.log(`   ${name.padEnd(12)} accuracy ${accuracy(samples, calibrate).toFixed(3)}` +
+        `   NLL ${negativeLogLikelihood(samples, calibrate).toFixed(3)}` +
+        `   ECE ${expectedCalibrationError(samples, calibrate).toFixed(3)}`);
+}
+
+async function fitCalibration() {
+    const args = parseArgs(process.argv.slice(2));
+    const datasetPath = args.dataset || path.join(__dirname, 'datasets', 'emotions-sample.jsonl');
+    const method = args.method || 'temperature';
+    const outPath = args.out || DEFAULT_MODEL_PATH;
+    const engine = args.engine || 'json';
+    if (!['temperature', 'isotonic'].includes(method)) {
+        throw new Error('--method must be temperature or isotonic');
+    }
+    if (!CALIBRATION_ENGINES.includes(engine)) {
+        throw new Error(`--engine must be ${CALIBRATION_ENGINES.join(' or ')}`);
+    }
+
+    const { emotionEngine } = engine === 'postgres'
+        ? require('./api/emotion-engine-db.js')
+        : require('./api/emotion-engine.js');
+    if (emotionEngine.ready) await emotionEngine.ready;
+
+    console.log(`📂 Scoring ${datasetPath} with the ${engine} engine...`);
+    const samples = [];
+    for (const example of readLabeledDataset(datasetPath)) {
+        const result = await emotionEngine.analyzeText(example.text);
+        // Texts with no emotional words carry no signal about how far to trust a distribution
+        if (result.analyzed_words > 0) {
+            samples.push({ emotions: result.emotions, label: example.emotion });
+        }
+    }
+
+    const abstain = {};
+    if (args['min-coverage'] !== undefined) abstain.min_coverage = parseFloat(args['min-coverage']);
+    if (args['min-confidence'] !== undefined) abstain.min_confidence = parseFloat(args['min-confidence']);
+    if (args['max-uncertainty'] !== undefined) abstain.max_uncertainty = parseFloat(args['max-uncertainty']);
+
+    const model = fitCalibrationModel(samples, { method, abstain });
+    model.dataset = path.relative(__dirname, path.resolve(datasetPath));
+    model.engine = engine;
+
+    const usable = samples.filter(sample => EMOTIONS.includes(sample.label));
+    const uncalibrated = emotions => applyCalibration({ method: 'none' }, emotions);
+    const calibrated = emotions => applyCalibration(model, emotions);
+    console.log(`\n📊 ${usable.length} labeled samples with emotional words:`);
+    report('uncalibrated', usable, uncalibrated);
+    report('calibrated', usable, calibrated);
+
+    if (expectedCalibrationError(usable, calibrated) >= expectedCalibrationError(usable, uncalibrated) && !args.force) {
+        console.error('\n❌ The model doesn\'t lower the calibration error; not writing it (--force writes it anyway)');
+        if (emotionEngine.close) await emotionEngine.close();
+        process.exit(1);
+    }
+
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(model, null, 2) + '\n');
+    console.log(`\n✅ Wrote ${method} model to ${outPath}`);
+
+    if (emotionEngine.close) await emotionEngine.close();
+}
+
+fitCalibration().catch(error => {
+    console.error('❌ Calibration failed:', error.message);
+    process.exit(1);
+});
@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const { Pool } = require('pg');
+const { listLexiconLanguages, getLexiconDirectory, getLexiconFileName } = require('./api/language');
 
 // Database connection
 const pool = new Pool({
@@ -14,7 +15,7 @@ const pool = new Pool({
     user: process.env.DB_USER || 'db',
     password: process.env.DB_PASSWORD, // Set via environment variable
     database: process.env.DB_NAME || 'db',
-    ssl: {
+    ssl: process.env.DB_SSL === 'false' ? false : {
         rejectUnauthorized: false
     }
 });
@@ -22,8 +23,14 @@ const pool = new Pool({
 async function migrateWords() {
     console.log('🚀 Starting word migration from JSON to PostgreSQL\n');
     
+    // English lives in words/, other languages in words-<code>/ next to it
     const wordsDir = path.join(__dirname, 'words');
-    const jsonFiles = fs.readdirSync(wordsDir).filter(f => f.endsWith('.json'));
+    const jsonFiles = listLexiconLanguages(wordsDir).flatMap(language => {
+        const dir = getLexiconDirectory(wordsDir, language);
+        return fs.readdirSync(dir)
+            .filter(f => f.endsWith('.json'))
+            .map(file => ({ language, file: `${path.basename(dir)}/${file}`, filePath: path.join(dir, file) }));
+    });
     
     let totalWords = 0;
     let insertedWords = 0;
@@ -40,11 +47,10 @@ async function migrateWords() {
         process.exit(1);
     }
     
-    for (const file of jsonFiles) {
+    for (const { language, file, filePath } of jsonFiles) {
         console.log(`📂 Processing ${file}...`);
         
         try {
-            const filePath = path.join(wordsDir, file);
             const fileContent = fs.readFileSync(filePath, 'utf8');
             const data = JSON.parse(fileContent);
             
@@ -62,14 +68,21 @@ async function migrateWords() {
                     continue;
                 }
                 
-                const word = entry.word;
+                const word = entry.word.normalize('NFC');
                 const stats = entry.stats;
                 
+                // The JSON engine only looks for a word in the file its first letter names
+                const expectedFile = getLexiconFileName(word.toLowerCase());
+                if (expectedFile !== path.basename(filePath)) {
+                    console.log(`   ⚠️  "${word}" belongs in ${expectedFile}; the JSON engine won't find it in ${file}`);
+                }
+                
                 try {
                     // Insert word into database
                     await pool.query(`
                         INSERT INTO words (
                             word,
+                            language,
                             pos,
                             valence, arousal, dominance,
                             emotion_joy, emotion_trust, emotion_anticipation, emotion_surprise,
@@ -77,14 +90,17 @@ async function migrateWords() {
                             sentiment_polarity, sentiment_strength,
                             good_bad, warmth_cold, competence_incompetence, active_passive,
                             toxicity,
-                            negation_flip_probability, sarcasm_flip_probability
+                            negation_flip_probability, sarcasm_flip_probability,
+                            enrichment_provider, enrichment_model, enrichment_confidence, created_by_request,
+                            review_status
                         ) VALUES (
                             $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
-                            $14, $15, $16, $17, $18, $19, $20, $21, $22
+                            $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28
                         )
-                        ON CONFLICT (word) DO NOTHING
+                        ON CONFLICT (word, language) DO NOTHING
                     `, [
                         word,
+                        language,
                         stats.pos || ['noun'],
                         stats.vad?.valence || 0.5,
                         stats.vad?.arousal || 0.5,
@@ -105,7 +121,13 @@ async function migrateWords() {
                         stats.social_axes?.active_passive || 0.0,
                         stats.toxicity || 0.0,
                         stats.dynamics?.negation_flip_probability || 0.0,
-                        stats.dynamics?.sarcasm_flip_probability || 0.0
+                        stats.dynamics?.sarcasm_flip_probability || 0.0,
+                        // Words the JSON engine learned keep their provenance and review state
+                        stats.enrichment?.provider || null,
+                        stats.enrichment?.model || null,
+                        stats.enrichment?.confidence ?? null,
+                        stats.enrichment?.request_id || null,
+                        stats.review_status || 'approved'
                     ]);
                     
                     insertedWords++;
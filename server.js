@@ -28,6 +28,228 @@ const sessionPool = new Pool({
 // Generate unique IDs
 const generateId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
 
+// Per-request analysis options accepted by the text analysis endpoints
+const getAnalysisOptions = (body = {}) => ({
+  sarcasmThreshold: parseSarcasmThreshold(body.sarcasm_threshold).threshold,
+  invertSarcasm: body.invert_sarcasm === true || body.invert_sarcasm === 'true',
+  breakdown: body.breakdown === true || body.breakdown === 'true',
+  explain: body.explain === true || body.explain === 'true',
+  annotate: body.annotate
+});
+
+// The organization an API key belongs to ({ orgId, settings }), cached briefly so analysis requests
+// don't query every time. Keys without an organization get { orgId: null, settings: {} }.
+const ORG_SETTINGS_TTL_MS = 60 * 1000;
+const orgSettingsCache = new Map();
+
+const getOrgForKey = async (apiKey) => {
+  const apiKeyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+  const cached = orgSettingsCache.get(apiKeyHash);
+  if (cached && Date.now() - cached.loadedAt < ORG_SETTINGS_TTL_MS) {
+    return cached.org;
+  }
+  
+  let org = { orgId: null, settings: {} };
+  try {
+    const result = await sessionPool.query(
+      'SELECT id, settings FROM organizations WHERE api_key_hash = $1 LIMIT 1',
+      [apiKeyHash]
+    );
+    if (result.rows.length > 0) {
+      org = { orgId: result.rows[0].id, settings: result.rows[0].settings || {} };
+    }
+  } catch (error) {
+    // No organization table or database - use defaults
+  }
+  
+  orgSettingsCache.set(apiKeyHash, { org, loadedAt: Date.now() });
+  return org;
+};
+
+const getOrgSettings = async (apiKey) => (await getOrgForKey(apiKey)).settings;
+
+// A lexicon_version value: a published version id, or 'live' for the current words table (null)
+const parseLexiconVersion = (value) => {
+  if (value === 'live') return { version: null };
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: 'lexicon_version must be a published version id or "live"' };
+  }
+  return { version };
+};
+
+// A language value: an ISO 639 code, or "auto" (or nothing) to detect it from the text (null)
+const parseLanguage = (value) => {
+  if (value === undefined || value === null || value === 'auto') return { language: null };
+  const language = normalizeLanguageCode(value);
+  if (!language) {
+    return { error: 'language must be an ISO 639 language code or "auto"' };
+  }
+  return { language };
+};
+
+// Reject an invalid language before any analysis runs; req.language is null when it should be detected
+const validateLanguage = (req, res, next) => {
+  const { language, error } = parseLanguage(req.body.language);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  
+  req.language = language;
+  next();
+};
+
+// Reject a sarcasm_threshold outside [0, 1] before any analysis runs
+const validateSarcasmThreshold = (req, res, next) => {
+  const { error } = parseSarcasmThreshold(req.body.sarcasm_threshold);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  
+  next();
+};
+
+// A taxonomy value from a body or settings. Multipart forms carry inline definitions as JSON strings.
+const parseTaxonomy = (value) => {
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      return resolveTaxonomy(JSON.parse(value));
+    } catch (error) {
+      return { error: 'taxonomy is not valid JSON' };
+    }
+  }
+  return resolveTaxonomy(value);
+};
+
+// Resolve the taxonomy a result is mapped onto: taxonomy in the body, else the organization's.
+// req.taxonomy is null when neither asks for one and results keep only the base emotions.
+const validateTaxonomy = async (req, res, next) => {
+  try {
+    const settings = await getOrgSettings(req.apiKey);
+    const { taxonomy, error } = parseTaxonomy(req.body.taxonomy ?? settings.taxonomy);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    req.taxonomy = taxonomy;
+    next();
+  } catch (error) {
+    console.error('Taxonomy lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve taxonomy'
+    });
+  }
+};
+
+// Lexicon language from ?language= (English by default), or null (after sending a 400) if invalid
+const getLexiconLanguage = (req, res) => {
+  if (req.query.language === undefined) return DEFAULT_LANGUAGE;
+  const language = normalizeLanguageCode(req.query.language);
+  if (!language) {
+    res.status(400).json({
+      success: false,
+      error: 'language must be an ISO 639 language code'
+    });
+    return null;
+  }
+  return language;
+};
+
+// Lexicon key from a route parameter, or null (after sending a 400) if it can't be one
+const getLexiconKey = (req, res) => {
+  const word = normalizeLexiconKey(req.params.word);
+  if (!word || word.length > MAX_KEY_LENGTH) {
+    res.status(400).json({
+      success: false,
+      error: `Invalid word: must contain letters, digits or emoji and be at most ${MAX_KEY_LENGTH} characters`
+    });
+    return null;
+  }
+  return word;
+};
+
+// Resolve the lexicon version a request is scored against: lexicon_version in the body, else the
+// organization's pinned version, else live. Unknown versions are rejected before any analysis runs.
+const resolveLexiconVersion = async (req, res, next) => {
+  try {
+    const settings = await getOrgSettings(req.apiKey);
+    const requested = req.body.lexicon_version ?? settings.lexicon_version ?? 'live';
+    const { version, error } = parseLexiconVersion(requested);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    if (version !== null && !(await emotionEngine.lexiconVersionExists(version))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown lexicon version: ${version}`
+      });
+    }
+    
+    req.lexiconVersion = version;
+    next();
+  } catch (error) {
+    console.error('Lexicon version lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve lexicon version'
+    });
+  }
+};
+
+// Analysis options for a request: body options plus the caller's organization (settings and
+// custom lexicon), the lexicon version and taxonomy resolved for it, the requested language and a request id
+const getRequestAnalysisOptions = async (req) => {
+  const { orgId, settings } = await getOrgForKey(req.apiKey);
+  return {
+    ...getAnalysisOptions(req.body),
+    useUnreviewedWords: settings.use_unreviewed_words !== false,
+    orgId,
+    lexiconVersion: req.lexiconVersion ?? null,
+    language: req.language ?? null,
+    taxonomy: req.taxonomy ?? null,
+    requestId: generateId('req')
+  };
+};
+
+// Admin key middleware for lexicon endpoints; disabled unless ADMIN_API_KEY is set.
+// X-Admin-User names the person making changes in the lexicon audit trail.
+const validateAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin endpoints are disabled. Set ADMIN_API_KEY to enable them'
+    });
+  }
+  
+  const authHeader = req.headers.authorization || '';
+  const provided = Buffer.from(authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '');
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+  
+  req.adminUser = req.headers['x-admin-user'] || 'admin';
+  next();
+};
+
 // Middleware with proper CORS
 app.use(cors({
   origin: [
@@ -38,8 +260,8 @@ app.use(cors({
     /\.vercel\.app$/
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-User']
 }));
 app.use(express.json({ limit: '10mb' }));
 
@@ -101,12 +323,20 @@ const validateApiKey = async (req, res, next) => {
 
 // Load emotion engine (PostgreSQL version for persistence)
 const { emotionEngine } = require('./api/emotion-engine-db.js');
+const { REVIEW_STATUSES } = require('./api/lexicon-review.js');
+const { validateEnrichment, EMOTIONS } = require('./api/enrichment-validator.js');
+const { validateLexiconEntry, normalizeLexiconKey, MAX_KEY_LENGTH } = require('./api/lexicon-entry.js');
+const { entriesToCsv, csvToEntries } = require('./api/lexicon-csv.js');
+const { DEFAULT_LANGUAGE, normalizeLanguageCode, listLexiconLanguages, getLexiconDirectory } = require('./api/language.js');
+const { resolveTaxonomy, applyTaxonomy, listTaxonomies } = require('./api/taxonomy.js');
+const { parseSarcasmThreshold } = require('./api/sarcasm.js');
+const { parseHalfLife, getDefaultHalfLife, createRollingMood, updateRollingMood, rollingMoodFromMessages } = require('./api/session-mood.js');
 
 // Load usage tracker
 const { trackKeyUsage, getTotalStats } = require('./key-usage-tracker.js');
 
 // Text analysis endpoint
-app.post('/v1/analyze-text', validateApiKey, async (req, res) => {
+app.post('/v1/analyze-text', validateApiKey, validateLanguage, validateSarcasmThreshold, resolveLexiconVersion, validateTaxonomy, async (req, res) => {
   try {
     const { text } = req.body;
     
@@ -125,7 +355,7 @@ app.post('/v1/analyze-text', validateApiKey, async (req, res) => {
     }
     
     const startTime = Date.now();
-    const result = await emotionEngine.analyzeText(text);
+    const result = await emotionEngine.analyzeText(text, await getRequestAnalysisOptions(req));
     const processingTime = (Date.now() - startTime) / 1000;
     
     res.json({
@@ -145,6 +375,152 @@ app.post('/v1/analyze-text', validateApiKey, async (req, res) => {
   }
 });
 
+// Streaming text analysis - Server-Sent Events as the analysis progresses, for live emotion meters:
+//   language    the language scored in (and translation, if any)
+//   tokens      every word and phrase looked up, with the meter (current overall emotion)
+//   enrichment  one per unknown word sent to the enrichment provider, with the updated meter
+//   sentence    one per sentence, scored on its own
+//   result      the same result as /v1/analyze-text; or error
+// Closing the connection cancels the lookups and enrichment calls still to come.
+app.post('/v1/analyze-text/stream', validateApiKey, validateLanguage, validateSarcasmThreshold, resolveLexiconVersion, validateTaxonomy, async (req, res) => {
+  const { text } = req.body;
+  
+  if (!text) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required field: text'
+    });
+  }
+  
+  if (text.length > 10000) {
+    return res.status(400).json({
+      success: false,
+      error: 'Text too long. Maximum 10,000 characters'
+    });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    const startTime = Date.now();
+    const result = await emotionEngine.analyzeText(text, {
+      ...await getRequestAnalysisOptions(req),
+      onProgress: send,
+      signal: controller.signal
+    });
+    const processingTime = (Date.now() - startTime) / 1000;
+    
+    send('result', {
+      ...result,
+      processing_time: processingTime,
+      api_processing_time: processingTime
+    });
+  } catch (error) {
+    // The client went away; there is no one to tell
+    if (controller.signal.aborted) return;
+    
+    console.error('Streaming text analysis error:', error);
+    send('error', {
+      success: false,
+      error: 'Internal server error during text analysis'
+    });
+  }
+  res.end();
+});
+
+// Batch text analysis endpoint - one auth check, one lexicon query and shared enrichment for many texts
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS) || 100;
+
+app.post('/v1/analyze-text/batch', validateApiKey, validateLanguage, validateSarcasmThreshold, resolveLexiconVersion, validateTaxonomy, async (req, res) => {
+  try {
+    const { items } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: items (array of { id, text })'
+      });
+    }
+    
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many items. Maximum ${MAX_BATCH_ITEMS} per batch`
+      });
+    }
+    
+    // Items without an id are identified by their index
+    const ids = items.map((item, index) => item && item.id !== undefined ? item.id : index);
+    
+    // Invalid items get a per-item error instead of failing the batch
+    const seenIds = new Set();
+    const errors = new Map();
+    items.forEach((item, index) => {
+      const id = String(ids[index]);
+      if (seenIds.has(id)) {
+        errors.set(index, 'Duplicate id in batch');
+      } else if (!item || typeof item.text !== 'string' || !item.text.trim()) {
+        errors.set(index, 'Missing required field: text');
+      } else if (item.text.length > 10000) {
+        errors.set(index, 'Text too long. Maximum 10,000 characters');
+      } else if (parseLanguage(item.language).error) {
+        errors.set(index, parseLanguage(item.language).error);
+      }
+      seenIds.add(id);
+    });
+    
+    // An item's own language overrides the batch-wide one
+    const validItems = items
+      .map((item, index) => ({ index, id: ids[index], text: item && item.text, language: item && parseLanguage(item.language).language }))
+      .filter(item => !errors.has(item.index));
+    
+    const startTime = Date.now();
+    const analyzed = await emotionEngine.analyzeBatch(validItems, await getRequestAnalysisOptions(req));
+    const processingTime = (Date.now() - startTime) / 1000;
+    
+    const byIndex = new Map(validItems.map((item, i) => [item.index, analyzed[i]]));
+    const results = items.map((item, index) => {
+      const outcome = byIndex.get(index);
+      if (!outcome || outcome.error) {
+        return { id: ids[index], success: false, error: errors.get(index) || (outcome && outcome.error) || 'Analysis failed' };
+      }
+      return { id: ids[index], success: true, result: outcome.result };
+    });
+    
+    const succeeded = results.filter(r => r.success).length;
+    res.json({
+      success: true,
+      lexicon_version: req.lexiconVersion ?? 'live',
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      processing_time: processingTime
+    });
+  } catch (error) {
+    console.error('Batch text analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during batch text analysis'
+    });
+  }
+});
+
 // Audio analysis endpoint
 app.post('/v1/analyze-audio', validateApiKey, upload.single('audio'), async (req, res) => {
   try {
@@ -206,8 +582,13 @@ app.get('/v1/stats', async (req, res) => {
           audio_analysis: true,
           database_persistence: true,
           api_logging: true,
-          deepseek_available: dbStats.deepseek_available
+          deepseek_available: dbStats.deepseek_available,
+          enrichment_provider: dbStats.enrichment_provider,
+          language_detection: true,
+          translation_fallback: dbStats.deepseek_available
         },
+        supported_languages: dbStats.languages,
+        word_cache: dbStats.word_cache,
         version: '2.1.0',
         timestamp: new Date().toISOString()
       }
@@ -220,6 +601,15 @@ app.get('/v1/stats', async (req, res) => {
   }
 });
 
+// Built-in taxonomies results can be mapped onto with taxonomy: "<name>"
+app.get('/v1/taxonomies', (req, res) => {
+  res.json({
+    success: true,
+    base_emotions: EMOTIONS,
+    taxonomies: listTaxonomies()
+  });
+});
+
 // API Key Usage endpoint
 app.get('/v1/usage/:apiKey', validateApiKey, async (req, res) => {
   try {
@@ -386,7 +776,8 @@ app.get('/setup-database', async (req, res) => {
     const createCoreTables = `
       CREATE TABLE IF NOT EXISTS words (
         id SERIAL PRIMARY KEY,
-        word VARCHAR(255) UNIQUE NOT NULL,
+        word VARCHAR(255) NOT NULL,
+        language VARCHAR(10) NOT NULL DEFAULT 'en',
         pos TEXT[],
         valence DECIMAL(5,4) DEFAULT 0.5,
         arousal DECIMAL(5,4) DEFAULT 0.5,
@@ -401,9 +792,40 @@ app.get('/setup-database', async (req, res) => {
         emotion_disgust DECIMAL(5,4) DEFAULT 0.125,
         sentiment_polarity VARCHAR(20) DEFAULT 'neutral',
         sentiment_strength DECIMAL(5,4) DEFAULT 0.5,
+        good_bad DECIMAL(5,4) DEFAULT 0.0,
+        warmth_cold DECIMAL(5,4) DEFAULT 0.0,
+        competence_incompetence DECIMAL(5,4) DEFAULT 0.0,
+        active_passive DECIMAL(5,4) DEFAULT 0.0,
+        toxicity DECIMAL(5,4) DEFAULT 0.0,
+        negation_flip_probability DECIMAL(5,4) DEFAULT 0.0,
+        sarcasm_flip_probability DECIMAL(5,4) DEFAULT 0.0,
+        enrichment_provider VARCHAR(50),
+        enrichment_model VARCHAR(100),
+        enrichment_confidence DECIMAL(5,4),
+        created_by_request VARCHAR(100),
+        review_status VARCHAR(20) NOT NULL DEFAULT 'approved',
+        reviewed_by VARCHAR(100),
+        reviewed_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS good_bad DECIMAL(5,4) DEFAULT 0.0;
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS warmth_cold DECIMAL(5,4) DEFAULT 0.0;
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS competence_incompetence DECIMAL(5,4) DEFAULT 0.0;
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS active_passive DECIMAL(5,4) DEFAULT 0.0;
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS toxicity DECIMAL(5,4) DEFAULT 0.0;
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS negation_flip_probability DECIMAL(5,4) DEFAULT 0.0;
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS sarcasm_flip_probability DECIMAL(5,4) DEFAULT 0.0;
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS enrichment_provider VARCHAR(50);
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS enrichment_model VARCHAR(100);
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS enrichment_confidence DECIMAL(5,4);
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS created_by_request VARCHAR(100);
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) NOT NULL DEFAULT 'approved';
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100);
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+      ALTER TABLE words ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+      ALTER TABLE words DROP CONSTRAINT IF EXISTS words_word_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_words_word_language ON words(word, language);
       CREATE TABLE IF NOT EXISTS api_processing_logs (
         id SERIAL PRIMARY KEY,
         api_key_hash VARCHAR(64),
@@ -421,6 +843,43 @@ app.get('/setup-database', async (req, res) => {
         new_words_added INTEGER DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+      CREATE TABLE IF NOT EXISTS lexicon_audit (
+        id SERIAL PRIMARY KEY,
+        word VARCHAR(255) NOT NULL,
+        language VARCHAR(10) NOT NULL DEFAULT 'en',
+        action VARCHAR(20) NOT NULL,
+        actor VARCHAR(100),
+        before JSONB,
+        after JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ALTER TABLE lexicon_audit ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+      CREATE TABLE IF NOT EXISTS lexicon_versions (
+        id SERIAL PRIMARY KEY,
+        description TEXT,
+        word_count INTEGER,
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS lexicon_version_words (
+        version_id INTEGER NOT NULL REFERENCES lexicon_versions(id),
+        language VARCHAR(10) NOT NULL DEFAULT 'en',
+        word VARCHAR(255) NOT NULL,
+        entry JSONB NOT NULL
+      );
+      ALTER TABLE lexicon_version_words ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+      ALTER TABLE lexicon_version_words DROP CONSTRAINT IF EXISTS lexicon_version_words_pkey;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_version_words_key ON lexicon_version_words(version_id, language, word);
+      CREATE TABLE IF NOT EXISTS enrichment_quarantine (
+        id SERIAL PRIMARY KEY,
+        word VARCHAR(255) NOT NULL,
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        raw_response TEXT,
+        errors JSONB,
+        attempts INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
     `;
     
     await pool.query(createCoreTables);
@@ -444,6 +903,25 @@ app.get('/setup-database', async (req, res) => {
       logs.push(`⚠️ organizations table: ${e.message}`);
     }
     
+    try {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS org_lexicon (
+          org_id VARCHAR(50) NOT NULL,
+          language VARCHAR(10) NOT NULL DEFAULT 'en',
+          word VARCHAR(255) NOT NULL,
+          entry JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        ALTER TABLE org_lexicon ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+        ALTER TABLE org_lexicon DROP CONSTRAINT IF EXISTS org_lexicon_pkey;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_org_lexicon_key ON org_lexicon(org_id, language, word);
+      `);
+      logs.push('✅ org_lexicon table created/verified');
+    } catch (e) {
+      logs.push(`⚠️ org_lexicon table: ${e.message}`);
+    }
+    
     try {
       await pool.query(`
         CREATE TABLE IF NOT EXISTS profiles (
@@ -488,11 +966,13 @@ app.get('/setup-database', async (req, res) => {
           avg_arousal DECIMAL(5,4),
           avg_dominance DECIMAL(5,4),
           sentiment_trend VARCHAR(20),
+          current_mood JSONB,
           metadata JSONB DEFAULT '{}',
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
       `);
+      await pool.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS current_mood JSONB');
       logs.push('✅ sessions table created/verified');
     } catch (e) {
       logs.push(`⚠️ sessions table: ${e.message}`);
@@ -533,6 +1013,8 @@ app.get('/setup-database', async (req, res) => {
       CREATE INDEX IF NOT EXISTS idx_session_profile ON sessions(profile_id);
       CREATE INDEX IF NOT EXISTS idx_session_status ON sessions(status);
       CREATE INDEX IF NOT EXISTS idx_message_session ON session_messages(session_id);
+      CREATE INDEX IF NOT EXISTS idx_lexicon_audit_word ON lexicon_audit(word, created_at);
+      CREATE INDEX IF NOT EXISTS idx_words_review_queue ON words(review_status, created_at) WHERE enrichment_provider IS NOT NULL;
     `;
     
     await pool.query(createIndexes);
@@ -549,32 +1031,44 @@ app.get('/setup-database', async (req, res) => {
       
       const wordsDir = path.join(__dirname, 'words');
       if (fs.existsSync(wordsDir)) {
-        const files = fs.readdirSync(wordsDir).filter(f => f.endsWith('.json'));
+        // English lives in words/, other languages in words-<code>/ next to it
+        const files = listLexiconLanguages(wordsDir).flatMap(language => {
+          const dir = getLexiconDirectory(wordsDir, language);
+          return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(file => ({ language, file, filePath: path.join(dir, file) }));
+        });
         let totalInserted = 0;
         
-        for (const file of files) {
+        for (const { language, file, filePath } of files) {
           try {
-            const data = JSON.parse(fs.readFileSync(path.join(wordsDir, file), 'utf8'));
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
             if (data.words && Array.isArray(data.words)) {
               for (const entry of data.words) {
                 if (entry.word && entry.stats) {
                   const s = entry.stats;
                   try {
                     await pool.query(`
-                      INSERT INTO words (word, valence, arousal, dominance,
+                      INSERT INTO words (word, language, valence, arousal, dominance,
                         emotion_joy, emotion_trust, emotion_anticipation, emotion_surprise,
                         emotion_anger, emotion_fear, emotion_sadness, emotion_disgust,
-                        sentiment_polarity, sentiment_strength)
-                      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-                      ON CONFLICT (word) DO NOTHING
+                        sentiment_polarity, sentiment_strength,
+                        good_bad, warmth_cold, competence_incompetence, active_passive, toxicity,
+                        negation_flip_probability, sarcasm_flip_probability)
+                      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+                        $15, $16, $17, $18, $19, $20, $21, $22)
+                      ON CONFLICT (word, language) DO NOTHING
                     `, [
-                      entry.word,
+                      entry.word, language,
                       s.vad?.valence || 0.5, s.vad?.arousal || 0.5, s.vad?.dominance || 0.5,
                       s.emotion_probs?.joy || 0.125, s.emotion_probs?.trust || 0.125,
                       s.emotion_probs?.anticipation || 0.125, s.emotion_probs?.surprise || 0.125,
                       s.emotion_probs?.anger || 0.125, s.emotion_probs?.fear || 0.125,
                       s.emotion_probs?.sadness || 0.125, s.emotion_probs?.disgust || 0.125,
-                      s.sentiment?.polarity || 'neutral', s.sentiment?.strength || 0.5
+                      s.sentiment?.polarity || 'neutral', s.sentiment?.strength || 0.5,
+                      s.social_axes?.good_bad || 0.0, s.social_axes?.warmth_cold || 0.0,
+                      s.social_axes?.competence_incompetence || 0.0, s.social_axes?.active_passive || 0.0,
+                      s.toxicity || 0.0,
+                      s.dynamics?.negation_flip_probability || 0.0,
+                      s.dynamics?.sarcasm_flip_probability || 0.0
                     ]);
                     totalInserted++;
                   } catch (e) {
@@ -755,69 +1249,317 @@ app.get('/v1/orgs', validateApiKey, async (req, res) => {
   }
 });
 
-// =============================================================================
-// PROFILE MANAGEMENT ENDPOINTS
-// =============================================================================
-
-// Create user profile within org
-app.post('/v1/profiles', validateApiKey, async (req, res) => {
+// Update organization settings (merged into the existing settings)
+//   use_unreviewed_words: false leaves learned words that are still pending review out of scoring
+//   lexicon_version: pin analysis to a published lexicon version, or "live" to follow the words table
+//   taxonomy: default label set results are mapped onto (built-in name or { name, labels }), null for none
+app.put('/v1/orgs/:orgId/settings', validateApiKey, async (req, res) => {
   try {
-    const { org_id, username, display_name, email, metadata } = req.body;
+    const { orgId } = req.params;
+    const updates = {};
     
-    if (!org_id || !username) {
+    if (req.body.use_unreviewed_words !== undefined) {
+      if (typeof req.body.use_unreviewed_words !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'use_unreviewed_words must be a boolean'
+        });
+      }
+      updates.use_unreviewed_words = req.body.use_unreviewed_words;
+    }
+    
+    if (req.body.lexicon_version !== undefined) {
+      const { version, error } = parseLexiconVersion(req.body.lexicon_version);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      if (version !== null && !(await emotionEngine.lexiconVersionExists(version))) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown lexicon version: ${version}`
+        });
+      }
+      updates.lexicon_version = version ?? 'live';
+    }
+    
+    if (req.body.taxonomy !== undefined) {
+      const { taxonomy, error } = parseTaxonomy(req.body.taxonomy);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      // Built-in taxonomies are stored by name so they follow changes to their definition
+      updates.taxonomy = taxonomy && listTaxonomies().includes(taxonomy) ? taxonomy.name : taxonomy;
+    }
+    
+    if (req.body.mood_half_life !== undefined) {
+      const { halfLife, error } = parseHalfLife(req.body.mood_half_life);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      updates.mood_half_life = halfLife;
+    }
+    
+    if (Object.keys(updates).length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: org_id, username'
+        error: 'No supported settings provided. Supported: use_unreviewed_words, lexicon_version, taxonomy, mood_half_life'
       });
     }
     
-    // Verify org exists
-    const orgCheck = await sessionPool.query(
-      'SELECT id FROM organizations WHERE id = $1',
-      [org_id]
-    );
+    const apiKeyHash = crypto.createHash('sha256').update(req.apiKey).digest('hex');
+    const result = await sessionPool.query(`
+      UPDATE organizations
+      SET settings = COALESCE(settings, '{}'::jsonb) || $2::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND api_key_hash = $3
+      RETURNING *
+    `, [orgId, JSON.stringify(updates), apiKeyHash]);
     
-    if (orgCheck.rows.length === 0) {
+    if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Organization not found'
+        error: 'Organization not found for this API key'
       });
     }
     
-    const profileId = generateId('profile');
-    
-    const result = await sessionPool.query(`
-      INSERT INTO profiles (id, org_id, username, display_name, email, metadata)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      ON CONFLICT (org_id, username) DO UPDATE SET
-        display_name = COALESCE($4, profiles.display_name),
-        email = COALESCE($5, profiles.email),
-        metadata = COALESCE($6, profiles.metadata),
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING *
-    `, [profileId, org_id, username, display_name || username, email, JSON.stringify(metadata || {})]);
+    orgSettingsCache.delete(apiKeyHash);
     
     res.json({
       success: true,
-      profile: result.rows[0]
+      organization: result.rows[0]
     });
   } catch (error) {
-    console.error('Create profile error:', error);
+    console.error('Update org settings error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create profile',
-      details: error.message
+      error: 'Failed to update organization settings'
     });
   }
 });
 
-// Get profile by ID with full emotion statistics
-app.get('/v1/profiles/:profileId', validateApiKey, async (req, res) => {
+// Confirm the :orgId in the route belongs to the caller's API key
+const validateOrgAccess = async (req, res, next) => {
   try {
-    const { profileId } = req.params;
+    const apiKeyHash = crypto.createHash('sha256').update(req.apiKey).digest('hex');
+    const result = await sessionPool.query(
+      'SELECT id FROM organizations WHERE id = $1 AND api_key_hash = $2',
+      [req.params.orgId, apiKeyHash]
+    );
     
-    const result = await sessionPool.query(`
-      SELECT p.* FROM profiles p WHERE p.id = $1
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found for this API key'
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Org access check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify organization'
+    });
+  }
+};
+
+// Organization lexicon: words that override or add to the global lexicon for this org's requests only
+const ORG_LEXICON_MAX_WORDS = parseInt(process.env.ORG_LEXICON_MAX_WORDS) || 5000;
+
+// Org words belong to one language's lexicon: English unless ?language= names another
+app.get('/v1/orgs/:orgId/lexicon', validateApiKey, validateOrgAccess, async (req, res) => {
+  try {
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const words = await emotionEngine.listOrgLexicon(req.params.orgId, language);
+    
+    res.json({
+      success: true,
+      language,
+      words,
+      count: words.length,
+      max_words: ORG_LEXICON_MAX_WORDS
+    });
+  } catch (error) {
+    console.error('List org lexicon error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list organization lexicon'
+    });
+  }
+});
+
+app.get('/v1/orgs/:orgId/lexicon/:word', validateApiKey, validateOrgAccess, async (req, res) => {
+  try {
+    const word = getLexiconKey(req, res);
+    if (!word) return;
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const entry = await emotionEngine.getOrgLexiconEntry(req.params.orgId, word, language);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Word not found in organization lexicon'
+      });
+    }
+    
+    res.json({
+      success: true,
+      word: entry
+    });
+  } catch (error) {
+    console.error('Get org lexicon word error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get organization word'
+    });
+  }
+});
+
+// Create or replace an org word. Body: { "stats": { ... } } in the words/*.json format
+app.put('/v1/orgs/:orgId/lexicon/:word', validateApiKey, validateOrgAccess, async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const word = getLexiconKey(req, res);
+    if (!word) return;
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const validation = validateLexiconEntry(req.body.stats);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid word data',
+        details: validation.errors
+      });
+    }
+    
+    const existing = await emotionEngine.getOrgLexiconEntry(orgId, word, language);
+    if (!existing && await emotionEngine.countOrgLexicon(orgId) >= ORG_LEXICON_MAX_WORDS) {
+      return res.status(400).json({
+        success: false,
+        error: `Organization lexicon is full. Maximum ${ORG_LEXICON_MAX_WORDS} words`
+      });
+    }
+    
+    const { entry, created } = await emotionEngine.upsertOrgLexiconEntry(orgId, word, validation.normalized, language);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      word: entry,
+      created,
+      warnings: validation.warnings
+    });
+  } catch (error) {
+    console.error('Update org lexicon word error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save organization word'
+    });
+  }
+});
+
+app.delete('/v1/orgs/:orgId/lexicon/:word', validateApiKey, validateOrgAccess, async (req, res) => {
+  try {
+    const word = getLexiconKey(req, res);
+    if (!word) return;
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const deleted = await emotionEngine.deleteOrgLexiconEntry(req.params.orgId, word, language);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Word not found in organization lexicon'
+      });
+    }
+    
+    res.json({
+      success: true,
+      deleted: word
+    });
+  } catch (error) {
+    console.error('Delete org lexicon word error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete organization word'
+    });
+  }
+});
+
+// =============================================================================
+// PROFILE MANAGEMENT ENDPOINTS
+// =============================================================================
+
+// Create user profile within org
+app.post('/v1/profiles', validateApiKey, async (req, res) => {
+  try {
+    const { org_id, username, display_name, email, metadata } = req.body;
+    
+    if (!org_id || !username) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: org_id, username'
+      });
+    }
+    
+    // Verify org exists
+    const orgCheck = await sessionPool.query(
+      'SELECT id FROM organizations WHERE id = $1',
+      [org_id]
+    );
+    
+    if (orgCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+    
+    const profileId = generateId('profile');
+    
+    const result = await sessionPool.query(`
+      INSERT INTO profiles (id, org_id, username, display_name, email, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (org_id, username) DO UPDATE SET
+        display_name = COALESCE($4, profiles.display_name),
+        email = COALESCE($5, profiles.email),
+        metadata = COALESCE($6, profiles.metadata),
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [profileId, org_id, username, display_name || username, email, JSON.stringify(metadata || {})]);
+    
+    res.json({
+      success: true,
+      profile: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create profile',
+      details: error.message
+    });
+  }
+});
+
+// Get profile by ID with full emotion statistics
+app.get('/v1/profiles/:profileId', validateApiKey, async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    
+    const result = await sessionPool.query(`
+      SELECT p.* FROM profiles p WHERE p.id = $1
     `, [profileId]);
     
     if (result.rows.length === 0) {
@@ -947,6 +1689,17 @@ app.post('/v1/sessions', validateApiKey, async (req, res) => {
   try {
     const { org_id, profile_id, username, metadata } = req.body;
     
+    // Half-life of the rolling mood: the request's, else the organization's, else the default
+    const { halfLife, error: halfLifeError } = parseHalfLife(
+      req.body.mood_half_life ?? (await getOrgSettings(req.apiKey)).mood_half_life
+    );
+    if (halfLifeError) {
+      return res.status(400).json({
+        success: false,
+        error: halfLifeError
+      });
+    }
+    
     // Can provide either profile_id directly, or org_id + username to auto-create/get profile
     let resolvedProfileId = profile_id;
     let resolvedOrgId = org_id;
@@ -989,10 +1742,10 @@ app.post('/v1/sessions', validateApiKey, async (req, res) => {
     const sessionId = generateId('session');
     
     const result = await sessionPool.query(`
-      INSERT INTO sessions (id, org_id, profile_id, status, metadata)
-      VALUES ($1, $2, $3, 'active', $4)
+      INSERT INTO sessions (id, org_id, profile_id, status, metadata, current_mood)
+      VALUES ($1, $2, $3, 'active', $4, $5)
       RETURNING *
-    `, [sessionId, resolvedOrgId, resolvedProfileId, JSON.stringify(metadata || {})]);
+    `, [sessionId, resolvedOrgId, resolvedProfileId, JSON.stringify(metadata || {}), JSON.stringify(createRollingMood(halfLife || getDefaultHalfLife()))]);
     
     res.json({
       success: true,
@@ -1038,9 +1791,15 @@ app.get('/v1/sessions/:sessionId', validateApiKey, async (req, res) => {
       ORDER BY created_at ASC
     `, [sessionId]);
     
+    const session = result.rows[0];
+    
     res.json({
       success: true,
-      session: result.rows[0],
+      session: {
+        ...session,
+        // Sessions started before rolling moods were kept get one from their messages
+        current_mood: session.current_mood || rollingMoodFromMessages(messages.rows)
+      },
       messages: messages.rows
     });
   } catch (error) {
@@ -1052,8 +1811,123 @@ app.get('/v1/sessions/:sessionId', validateApiKey, async (req, res) => {
   }
 });
 
+// Transcribe audio with Hugging Face's free Whisper inference API; '' if transcription failed
+const transcribeAudio = async (audioBuffer) => {
+  try {
+    const hfResponse = await fetch(
+      'https://api-inference.huggingface.co/models/openai/whisper-small',
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'audio/webm'
+        },
+        body: audioBuffer
+      }
+    );
+    
+    if (hfResponse.ok) {
+      const result = await hfResponse.json();
+      console.log('Whisper transcription:', result.text || '');
+      return result.text || '';
+    }
+    
+    // If model is loading, try whisper-tiny as fallback
+    const fallbackResponse = await fetch(
+      'https://api-inference.huggingface.co/models/openai/whisper-tiny',
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'audio/webm'
+        },
+        body: audioBuffer
+      }
+    );
+    
+    if (fallbackResponse.ok) {
+      const result = await fallbackResponse.json();
+      console.log('Whisper-tiny transcription:', result.text || '');
+      return result.text || '';
+    }
+    console.error('HF Whisper error:', await fallbackResponse.text());
+  } catch (whisperError) {
+    console.error('Whisper transcription failed:', whisperError.message);
+  }
+  return '';
+};
+
+// Analysis of an audio message with no transcription to analyze
+const getNeutralAudioResult = () => ({
+  overall_emotion: 'neutral',
+  confidence: 0.125,
+  emotions: { joy: 0.125, trust: 0.125, anticipation: 0.125, surprise: 0.125, anger: 0.125, fear: 0.125, sadness: 0.125, disgust: 0.125 },
+  vad: { valence: 0.5, arousal: 0.5, dominance: 0.5 },
+  sentiment: { polarity: 'neutral', strength: 0.5 },
+  social_axes: { good_bad: 0, warmth_cold: 0, competence_incompetence: 0, active_passive: 0, contributing_words: 0 },
+  toxicity: { score: 0, average: 0, toxic_word_count: 0, most_toxic_tokens: [] },
+  word_count: 0,
+  analyzed_words: 0
+});
+
+// Store an analyzed message, count it on its session and fold it into the session's rolling mood.
+// The session row is locked so concurrent messages update the mood one after the other.
+// Returns { message, currentMood }.
+const insertSessionMessage = async (sessionId, { messageType, content, transcription = null, result, processingTime }) => {
+  const client = await sessionPool.connect();
+  try {
+    await client.query('BEGIN');
+    const sessionResult = await client.query('SELECT current_mood FROM sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+    
+    const messageResult = await client.query(`
+      INSERT INTO session_messages (
+        id, session_id, message_type, content, transcription,
+        overall_emotion, confidence, emotions, vad, sentiment,
+        word_count, analyzed_words, processing_time_ms
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      generateId('msg'), sessionId, messageType, content, transcription,
+      result.overall_emotion,
+      result.confidence,
+      JSON.stringify(result.emotions),
+      JSON.stringify(result.vad),
+      JSON.stringify(result.sentiment),
+      result.word_count || 0,
+      result.analyzed_words || 0,
+      processingTime || 0
+    ]);
+    const message = messageResult.rows[0];
+    
+    let mood = sessionResult.rows[0]?.current_mood;
+    if (!mood) {
+      // Sessions started before rolling moods were kept: start from their earlier messages
+      const earlier = await client.query(`
+        SELECT emotions, vad, created_at
+        FROM session_messages
+        WHERE session_id = $1 AND id <> $2
+        ORDER BY created_at ASC
+      `, [sessionId, message.id]);
+      mood = rollingMoodFromMessages(earlier.rows);
+    }
+    const currentMood = updateRollingMood(mood, result, message.created_at);
+    
+    // Update session message count and mood
+    await client.query(
+      'UPDATE sessions SET message_count = message_count + 1, current_mood = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [sessionId, JSON.stringify(currentMood)]
+    );
+    await client.query('COMMIT');
+    
+    return { message, currentMood };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Add message to session (text)
-app.post('/v1/sessions/:sessionId/messages', validateApiKey, async (req, res) => {
+app.post('/v1/sessions/:sessionId/messages', validateApiKey, validateLanguage, validateSarcasmThreshold, resolveLexiconVersion, validateTaxonomy, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { text, message_type = 'text' } = req.body;
@@ -1087,41 +1961,22 @@ app.post('/v1/sessions/:sessionId/messages', validateApiKey, async (req, res) =>
     
     // Analyze the text for emotions
     const startTime = Date.now();
-    const emotionResult = await emotionEngine.analyzeText(text);
+    const emotionResult = await emotionEngine.analyzeText(text, await getRequestAnalysisOptions(req));
     const processingTime = Date.now() - startTime;
     
-    // Create message
-    const messageId = generateId('msg');
-    
-    const messageResult = await sessionPool.query(`
-      INSERT INTO session_messages (
-        id, session_id, message_type, content,
-        overall_emotion, confidence, emotions, vad, sentiment,
-        word_count, analyzed_words, processing_time_ms
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-      RETURNING *
-    `, [
-      messageId, sessionId, message_type, text,
-      emotionResult.overall_emotion,
-      emotionResult.confidence,
-      JSON.stringify(emotionResult.emotions),
-      JSON.stringify(emotionResult.vad),
-      JSON.stringify(emotionResult.sentiment),
-      emotionResult.word_count,
-      emotionResult.analyzed_words,
+    const { message, currentMood } = await insertSessionMessage(sessionId, {
+      messageType: message_type,
+      content: text,
+      result: emotionResult,
       processingTime
-    ]);
-    
-    // Update session message count
-    await sessionPool.query(
-      'UPDATE sessions SET message_count = message_count + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-      [sessionId]
-    );
+    });
+    sessionChannel.publishMessage(sessionId, message, currentMood);
     
     res.json({
       success: true,
-      message: messageResult.rows[0],
-      analysis: emotionResult
+      message,
+      analysis: emotionResult,
+      current_mood: currentMood
     });
   } catch (error) {
     console.error('Add message error:', error);
@@ -1133,7 +1988,7 @@ app.post('/v1/sessions/:sessionId/messages', validateApiKey, async (req, res) =>
 });
 
 // Add audio message to session - transcribes audio using Whisper, then analyzes
-app.post('/v1/sessions/:sessionId/audio', validateApiKey, upload.single('audio'), async (req, res) => {
+app.post('/v1/sessions/:sessionId/audio', validateApiKey, upload.single('audio'), validateLanguage, validateSarcasmThreshold, resolveLexiconVersion, validateTaxonomy, async (req, res) => {
   try {
     const { sessionId } = req.params;
     let { transcription } = req.body; // Can optionally provide transcription
@@ -1164,50 +2019,7 @@ app.post('/v1/sessions/:sessionId/audio', validateApiKey, upload.single('audio')
     
     // If audio file provided and no transcription, use free Hugging Face Whisper
     if (req.file && !transcription) {
-      try {
-        // Read audio file as buffer
-        const audioBuffer = fs.readFileSync(req.file.path);
-        
-        // Use Hugging Face's free Whisper inference API
-        const hfResponse = await fetch(
-          'https://api-inference.huggingface.co/models/openai/whisper-small',
-          {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'audio/webm'
-            },
-            body: audioBuffer
-          }
-        );
-        
-        if (hfResponse.ok) {
-          const result = await hfResponse.json();
-          transcription = result.text || '';
-          console.log('Whisper transcription:', transcription);
-        } else {
-          // If model is loading, try whisper-tiny as fallback
-          const fallbackResponse = await fetch(
-            'https://api-inference.huggingface.co/models/openai/whisper-tiny',
-            {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'audio/webm'
-              },
-              body: audioBuffer
-            }
-          );
-          
-          if (fallbackResponse.ok) {
-            const result = await fallbackResponse.json();
-            transcription = result.text || '';
-            console.log('Whisper-tiny transcription:', transcription);
-          } else {
-            console.error('HF Whisper error:', await fallbackResponse.text());
-          }
-        }
-      } catch (whisperError) {
-        console.error('Whisper transcription failed:', whisperError.message);
-      }
+      transcription = await transcribeAudio(fs.readFileSync(req.file.path));
     }
     
     // Clean up audio file
@@ -1216,57 +2028,30 @@ app.post('/v1/sessions/:sessionId/audio', validateApiKey, upload.single('audio')
     }
     
     // Analyze the transcription
-    let emotionResult = {
-      overall_emotion: 'neutral',
-      confidence: 0.125,
-      emotions: { joy: 0.125, trust: 0.125, anticipation: 0.125, surprise: 0.125, anger: 0.125, fear: 0.125, sadness: 0.125, disgust: 0.125 },
-      vad: { valence: 0.5, arousal: 0.5, dominance: 0.5 },
-      sentiment: { polarity: 'neutral', strength: 0.5 },
-      word_count: 0,
-      analyzed_words: 0
-    };
+    let emotionResult = getNeutralAudioResult();
     
     if (transcription && transcription.trim()) {
-      emotionResult = await emotionEngine.analyzeText(transcription);
+      emotionResult = await emotionEngine.analyzeText(transcription, await getRequestAnalysisOptions(req));
     }
     
     emotionResult.processing_time_ms = Date.now() - startTime;
     emotionResult.transcription = transcription || '';
     
-    // Create message
-    const messageId = generateId('msg');
-    
-    const messageResult = await sessionPool.query(`
-      INSERT INTO session_messages (
-        id, session_id, message_type, content, transcription,
-        overall_emotion, confidence, emotions, vad, sentiment,
-        word_count, analyzed_words, processing_time_ms
-      ) VALUES ($1, $2, 'audio', $3, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-      RETURNING *
-    `, [
-      messageId, sessionId,
-      transcription || '[Audio - transcription failed]',
-      emotionResult.overall_emotion,
-      emotionResult.confidence,
-      JSON.stringify(emotionResult.emotions),
-      JSON.stringify(emotionResult.vad),
-      JSON.stringify(emotionResult.sentiment),
-      emotionResult.word_count || 0,
-      emotionResult.analyzed_words || 0,
-      emotionResult.processing_time_ms || 0
-    ]);
-    
-    // Update session message count
-    await sessionPool.query(
-      'UPDATE sessions SET message_count = message_count + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-      [sessionId]
-    );
+    const { message, currentMood } = await insertSessionMessage(sessionId, {
+      messageType: 'audio',
+      content: transcription || '[Audio - transcription failed]',
+      transcription: transcription || '[Audio - transcription failed]',
+      result: emotionResult,
+      processingTime: emotionResult.processing_time_ms
+    });
+    sessionChannel.publishMessage(sessionId, message, currentMood);
     
     res.json({
       success: true,
-      message: messageResult.rows[0],
+      message,
       transcription: transcription || null,
-      analysis: emotionResult
+      analysis: emotionResult,
+      current_mood: currentMood
     });
     
   } catch (error) {
@@ -1285,7 +2070,7 @@ app.post('/v1/sessions/:sessionId/audio', validateApiKey, upload.single('audio')
 });
 
 // End session and calculate summary
-app.post('/v1/sessions/:sessionId/end', validateApiKey, async (req, res) => {
+app.post('/v1/sessions/:sessionId/end', validateApiKey, validateTaxonomy, async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -1423,21 +2208,32 @@ app.post('/v1/sessions/:sessionId/end', validateApiKey, async (req, res) => {
       WHERE id = $1
     `, [session.profile_id, messages.rows.length, avgValence, avgArousal, overallMood]);
     
+    const summary = {
+      overall_mood: overallMood,
+      mood_confidence: moodConfidence,
+      emotion_breakdown: emotionBreakdown,
+      avg_valence: avgValence,
+      avg_arousal: avgArousal,
+      avg_dominance: avgDominance,
+      sentiment_trend: sentimentTrend,
+      duration_seconds: durationSeconds,
+      message_count: messages.rows.length,
+      // The mood breakdown on the request's or organization's taxonomy; stored columns keep the base emotions
+      ...(req.taxonomy ? {
+        taxonomy: applyTaxonomy({
+          emotions: emotionBreakdown,
+          overall_emotion: messages.rows.length > 0 ? overallMood : 'neutral',
+          confidence: moodConfidence
+        }, req.taxonomy)
+      } : {})
+    };
+    
     res.json({
       success: true,
       session: result.rows[0],
-      summary: {
-        overall_mood: overallMood,
-        mood_confidence: moodConfidence,
-        emotion_breakdown: emotionBreakdown,
-        avg_valence: avgValence,
-        avg_arousal: avgArousal,
-        avg_dominance: avgDominance,
-        sentiment_trend: sentimentTrend,
-        duration_seconds: durationSeconds,
-        message_count: messages.rows.length
-      }
+      summary
     });
+    sessionChannel.publishSessionEnded(sessionId, summary);
   } catch (error) {
     console.error('End session error:', error);
     res.status(500).json({
@@ -1447,6 +2243,115 @@ app.post('/v1/sessions/:sessionId/end', validateApiKey, async (req, res) => {
   }
 });
 
+// Live session channel (WebSocket): see session-channel.js
+const { createSessionChannel } = require('./session-channel.js');
+
+// Run an Express middleware outside a route: resolves null once it calls next(), or the
+// { status, error } it would have responded with
+const runMiddleware = (middleware, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, error: body.error });
+      return this;
+    }
+  };
+  Promise.resolve(middleware(req, res, () => resolve(null))).catch(reject);
+});
+
+const channelError = (status, message) => Object.assign(new Error(message), { status });
+
+const sessionChannel = createSessionChannel({
+  authenticate: async (req) => {
+    const rejected = await runMiddleware(validateApiKey, req);
+    return rejected || { apiKey: req.apiKey, orgId: (await getOrgForKey(req.apiKey)).orgId };
+  },
+  
+  getSession: async (sessionId) => {
+    const result = await sessionPool.query('SELECT id, org_id, status, current_mood FROM sessions WHERE id = $1', [sessionId]);
+    return result.rows[0] || null;
+  },
+  
+  getMessagesSince: async (sessionId, messageId) => {
+    const last = await sessionPool.query(
+      'SELECT created_at FROM session_messages WHERE id = $1 AND session_id = $2',
+      [messageId, sessionId]
+    );
+    if (last.rows.length === 0) return null;
+    
+    // (created_at, id) orders messages that share a timestamp, so none of them is skipped
+    const result = await sessionPool.query(`
+      SELECT id, message_type, content, overall_emotion, confidence,
+             emotions, vad, sentiment, created_at
+      FROM session_messages
+      WHERE session_id = $1 AND (created_at, id) > ($2, $3)
+      ORDER BY created_at ASC, id ASC
+    `, [sessionId, last.rows[0].created_at, messageId]);
+    return result.rows;
+  },
+  
+  // A text or audio push from a client connection, analyzed and stored like the HTTP routes do
+  addMessage: async ({ sessionId, apiKey, payload, audio }) => {
+    const sessionCheck = await sessionPool.query('SELECT id, status FROM sessions WHERE id = $1', [sessionId]);
+    if (sessionCheck.rows.length === 0) throw channelError(404, 'Session not found');
+    if (sessionCheck.rows[0].status !== 'active') throw channelError(400, 'Session is not active');
+    
+    // Per-message options (language, lexicon_version, taxonomy, ...) go through the HTTP middlewares
+    const req = { headers: {}, apiKey, body: payload };
+    for (const middleware of [validateLanguage, validateSarcasmThreshold, resolveLexiconVersion, validateTaxonomy]) {
+      const rejected = await runMiddleware(middleware, req);
+      if (rejected) throw channelError(rejected.status, rejected.error);
+    }
+    
+    const startTime = Date.now();
+    if (payload.type === 'text') {
+      if (typeof payload.text !== 'string' || !payload.text.trim()) {
+        throw channelError(400, 'Missing required field: text');
+      }
+      
+      const analysis = await emotionEngine.analyzeText(payload.text, await getRequestAnalysisOptions(req));
+      const { message, currentMood } = await insertSessionMessage(sessionId, {
+        messageType: payload.message_type || 'text',
+        content: payload.text,
+        result: analysis,
+        processingTime: Date.now() - startTime
+      });
+      return { message, analysis, currentMood };
+    }
+    
+    let transcription = payload.transcription;
+    if (!transcription) {
+      const audioBuffer = audio || (typeof payload.audio === 'string' ? Buffer.from(payload.audio, 'base64') : null);
+      if (!audioBuffer || audioBuffer.length === 0) {
+        throw channelError(400, 'Missing required field: audio (base64) or transcription');
+      }
+      transcription = await transcribeAudio(audioBuffer);
+    }
+    
+    let analysis = getNeutralAudioResult();
+    if (transcription && transcription.trim()) {
+      analysis = await emotionEngine.analyzeText(transcription, await getRequestAnalysisOptions(req));
+    }
+    analysis.processing_time_ms = Date.now() - startTime;
+    analysis.transcription = transcription || '';
+    
+    const { message, currentMood } = await insertSessionMessage(sessionId, {
+      messageType: 'audio',
+      content: transcription || '[Audio - transcription failed]',
+      transcription: transcription || '[Audio - transcription failed]',
+      result: analysis,
+      processingTime: analysis.processing_time_ms
+    });
+    return { message, analysis, currentMood };
+  }
+}, {
+  heartbeatMs: parseInt(process.env.SESSION_WS_HEARTBEAT_MS) || 30000
+});
+
 // List sessions for org
 app.get('/v1/orgs/:orgId/sessions', validateApiKey, async (req, res) => {
   try {
@@ -1555,6 +2460,470 @@ app.get('/v1/orgs/:orgId/analytics', validateApiKey, async (req, res) => {
   }
 });
 
+// =============================================================================
+// LEXICON REVIEW ENDPOINTS (admin)
+// =============================================================================
+
+// List learned words in the review queue
+app.get('/v1/admin/review/words', validateAdminKey, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending_review';
+    if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: all, ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+    
+    // All languages unless ?language= names one
+    const language = req.query.language === undefined ? null : getLexiconLanguage(req, res);
+    if (req.query.language !== undefined && !language) return;
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { words, total } = await emotionEngine.listLearnedWords({ status, language, limit, offset });
+    
+    res.json({
+      success: true,
+      words,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('List review words error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list learned words'
+    });
+  }
+});
+
+// Approve, reject or correct-and-approve a learned word
+const reviewWord = (status, { edit = false } = {}) => async (req, res) => {
+  try {
+    const word = getLexiconKey(req, res);
+    if (!word) return;
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    let stats = null;
+    
+    if (edit) {
+      const validation = validateEnrichment(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid word data',
+          details: validation.errors
+        });
+      }
+      stats = validation.normalized;
+    }
+    
+    const updated = await emotionEngine.reviewLearnedWord(word, status, req.body.reviewer || req.adminUser, stats, language);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Learned word not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      word: updated
+    });
+  } catch (error) {
+    console.error('Review word error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review word'
+    });
+  }
+};
+
+app.post('/v1/admin/review/words/:word/approve', validateAdminKey, reviewWord('approved'));
+app.post('/v1/admin/review/words/:word/reject', validateAdminKey, reviewWord('rejected'));
+app.put('/v1/admin/review/words/:word', validateAdminKey, reviewWord('approved', { edit: true }));
+
+// =============================================================================
+// LEXICON MANAGEMENT ENDPOINTS (admin)
+// =============================================================================
+
+const parseOptionalNumber = (value) => (value === undefined || value === '' ? undefined : parseFloat(value));
+
+// Search by prefix, dominant emotion or VAD range
+//   ?prefix=hap  ?emotion=joy&min_confidence=0.5  ?min_valence=0.8&max_arousal=0.4
+app.get('/v1/lexicon/words', validateAdminKey, async (req, res) => {
+  try {
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const { prefix, emotion } = req.query;
+    const ranges = {};
+    for (const dimension of ['valence', 'arousal', 'dominance']) {
+      const min = parseOptionalNumber(req.query[`min_${dimension}`]);
+      const max = parseOptionalNumber(req.query[`max_${dimension}`]);
+      if (Number.isNaN(min) || Number.isNaN(max)) {
+        return res.status(400).json({
+          success: false,
+          error: `min_${dimension} and max_${dimension} must be numbers`
+        });
+      }
+      if (min !== undefined || max !== undefined) ranges[dimension] = [min, max];
+    }
+    
+    if (emotion && !EMOTIONS.includes(emotion)) {
+      return res.status(400).json({
+        success: false,
+        error: `emotion must be one of: ${EMOTIONS.join(', ')}`
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { words, total } = await emotionEngine.searchLexicon({
+      language,
+      prefix: prefix ? prefix.toLowerCase() : undefined,
+      emotion,
+      minConfidence: parseOptionalNumber(req.query.min_confidence),
+      ranges,
+      limit,
+      offset
+    });
+    
+    res.json({
+      success: true,
+      words,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Lexicon search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search lexicon'
+    });
+  }
+});
+
+app.get('/v1/lexicon/words/:word', validateAdminKey, async (req, res) => {
+  try {
+    const word = getLexiconKey(req, res);
+    const language = word && getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const entry = await emotionEngine.getLexiconEntry(word, language);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Word not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      word: entry
+    });
+  } catch (error) {
+    console.error('Get lexicon word error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get word'
+    });
+  }
+});
+
+// Create or replace a word. Body: { "stats": { ... } } in the words/*.json format
+app.put('/v1/lexicon/words/:word', validateAdminKey, async (req, res) => {
+  try {
+    const word = getLexiconKey(req, res);
+    const language = word && getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const validation = validateLexiconEntry(req.body.stats);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid word data',
+        details: validation.errors
+      });
+    }
+    
+    const { entry, created } = await emotionEngine.upsertLexiconEntry(word, validation.normalized, req.adminUser, language);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      word: entry,
+      created,
+      warnings: validation.warnings
+    });
+  } catch (error) {
+    console.error('Update lexicon word error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save word'
+    });
+  }
+});
+
+app.delete('/v1/lexicon/words/:word', validateAdminKey, async (req, res) => {
+  try {
+    const word = getLexiconKey(req, res);
+    const language = word && getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const deleted = await emotionEngine.deleteLexiconEntry(word, req.adminUser, language);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Word not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      deleted: word
+    });
+  } catch (error) {
+    console.error('Delete lexicon word error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete word'
+    });
+  }
+});
+
+// Export one language's lexicon (optionally one prefix) as words/*.json-style JSON or CSV
+app.get('/v1/lexicon/export', validateAdminKey, async (req, res) => {
+  try {
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv'
+      });
+    }
+    
+    const entries = await emotionEngine.exportLexicon({
+      prefix: req.query.prefix ? req.query.prefix.toLowerCase() : undefined,
+      language
+    });
+    
+    const filename = language === DEFAULT_LANGUAGE ? 'lexicon' : `lexicon-${language}`;
+    if (format === 'csv') {
+      res.type('text/csv').attachment(`${filename}.csv`).send(entriesToCsv(entries));
+    } else {
+      res.attachment(`${filename}.json`).json({ words: entries });
+    }
+  } catch (error) {
+    console.error('Lexicon export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export lexicon'
+    });
+  }
+});
+
+// Bulk import: a words/*.json document ({ "words": [{ "word", "stats" }] }) or CSV (Content-Type: text/csv).
+// Every entry is validated first; if any is invalid nothing is imported. ?dry_run=true only validates.
+// ?language= imports into that language's lexicon (English by default).
+app.post('/v1/lexicon/import', validateAdminKey, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+  try {
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    
+    let rawEntries;
+    if (typeof req.body === 'string') {
+      try {
+        rawEntries = csvToEntries(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    } else if (Array.isArray(req.body.words)) {
+      rawEntries = req.body.words.map((entry, index) => ({ ...entry, index }));
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Send { "words": [...] } as JSON or a CSV body with Content-Type: text/csv'
+      });
+    }
+    
+    const entries = new Map();
+    const errors = [];
+    for (const raw of rawEntries) {
+      // CSV rows are reported by line number, JSON entries by array index
+      const position = raw.line !== undefined ? { line: raw.line } : { index: raw.index };
+      const word = normalizeLexiconKey(raw.word);
+      if (!word || word.length > MAX_KEY_LENGTH) {
+        errors.push({ ...position, word: raw.word, errors: ['invalid word'] });
+        continue;
+      }
+      
+      const validation = validateLexiconEntry(raw.stats);
+      if (!validation.valid) {
+        errors.push({ ...position, word, errors: validation.errors });
+        continue;
+      }
+      
+      // A word listed twice keeps its last entry
+      entries.set(word, { word, stats: validation.normalized });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${errors.length} invalid entries, nothing imported`,
+        details: errors.slice(0, 100)
+      });
+    }
+    
+    if (req.query.dry_run === 'true') {
+      return res.json({
+        success: true,
+        dry_run: true,
+        language,
+        valid: entries.size
+      });
+    }
+    
+    const counts = await emotionEngine.importLexicon([...entries.values()], req.adminUser, language);
+    
+    res.json({
+      success: true,
+      language,
+      ...counts
+    });
+  } catch (error) {
+    console.error('Lexicon import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import lexicon'
+    });
+  }
+});
+
+// Audit trail of one language's lexicon changes, newest first (?word= for one word's history)
+app.get('/v1/lexicon/audit', validateAdminKey, async (req, res) => {
+  try {
+    const language = getLexiconLanguage(req, res);
+    if (!language) return;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const word = req.query.word ? normalizeLexiconKey(req.query.word) : null;
+    const entries = await emotionEngine.listLexiconAudit({ word, language, limit, offset });
+    
+    res.json({
+      success: true,
+      language,
+      audit: entries,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Lexicon audit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get lexicon audit trail'
+    });
+  }
+});
+
+// Publish the current lexicon as a new immutable version that requests and organizations can pin
+app.post('/v1/lexicon/versions', validateAdminKey, async (req, res) => {
+  try {
+    const version = await emotionEngine.publishLexiconVersion({
+      description: req.body.description || null,
+      actor: req.adminUser
+    });
+    
+    res.status(201).json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    console.error('Publish lexicon version error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish lexicon version'
+    });
+  }
+});
+
+app.get('/v1/lexicon/versions', validateAdminKey, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const versions = await emotionEngine.listLexiconVersions({ limit, offset });
+    
+    res.json({
+      success: true,
+      versions,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('List lexicon versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list lexicon versions'
+    });
+  }
+});
+
+// Words added, changed or removed between two versions: ?from=3&to=5 (to defaults to live)
+app.get('/v1/lexicon/diff', validateAdminKey, async (req, res) => {
+  try {
+    if (req.query.from === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required query parameter: from'
+      });
+    }
+    
+    const from = parseLexiconVersion(req.query.from);
+    const to = parseLexiconVersion(req.query.to ?? 'live');
+    const error = from.error || to.error;
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    for (const version of [from.version, to.version]) {
+      if (version !== null && !(await emotionEngine.lexiconVersionExists(version))) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown lexicon version: ${version}`
+        });
+      }
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 1000, 1), 10000);
+    const diff = await emotionEngine.diffLexiconVersions(from.version, to.version, { limit });
+    
+    res.json({
+      success: true,
+      from: from.version ?? 'live',
+      to: to.version ?? 'live',
+      ...diff
+    });
+  } catch (error) {
+    console.error('Lexicon diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff lexicon versions'
+    });
+  }
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -1563,12 +2932,19 @@ app.get('/', (req, res) => {
     endpoints: {
       // Analysis
       text_analysis: 'POST /v1/analyze-text',
+      text_analysis_stream: 'POST /v1/analyze-text/stream',
+      text_analysis_batch: 'POST /v1/analyze-text/batch',
       audio_analysis: 'POST /v1/analyze-audio',
       
       // Organizations
       create_org: 'POST /v1/orgs',
       get_orgs: 'GET /v1/orgs',
       get_org: 'GET /v1/orgs/:orgId',
+      update_org_settings: 'PUT /v1/orgs/:orgId/settings',
+      list_org_lexicon: 'GET /v1/orgs/:orgId/lexicon',
+      get_org_word: 'GET /v1/orgs/:orgId/lexicon/:word',
+      put_org_word: 'PUT /v1/orgs/:orgId/lexicon/:word',
+      delete_org_word: 'DELETE /v1/orgs/:orgId/lexicon/:word',
       
       // Profiles
       create_profile: 'POST /v1/profiles',
@@ -1581,12 +2957,32 @@ app.get('/', (req, res) => {
       add_message: 'POST /v1/sessions/:sessionId/messages',
       add_audio: 'POST /v1/sessions/:sessionId/audio',
       end_session: 'POST /v1/sessions/:sessionId/end',
+      live_session: 'WS /v1/sessions/:sessionId/live?role=client|supervisor',
       list_sessions: 'GET /v1/orgs/:orgId/sessions',
       
       // Analytics
       org_analytics: 'GET /v1/orgs/:orgId/analytics',
       
+      // Lexicon review (admin)
+      list_review_words: 'GET /v1/admin/review/words',
+      approve_word: 'POST /v1/admin/review/words/:word/approve',
+      reject_word: 'POST /v1/admin/review/words/:word/reject',
+      edit_word: 'PUT /v1/admin/review/words/:word',
+      
+      // Lexicon management (admin)
+      search_lexicon: 'GET /v1/lexicon/words',
+      get_lexicon_word: 'GET /v1/lexicon/words/:word',
+      put_lexicon_word: 'PUT /v1/lexicon/words/:word',
+      delete_lexicon_word: 'DELETE /v1/lexicon/words/:word',
+      export_lexicon: 'GET /v1/lexicon/export',
+      import_lexicon: 'POST /v1/lexicon/import',
+      lexicon_audit: 'GET /v1/lexicon/audit',
+      publish_lexicon_version: 'POST /v1/lexicon/versions',
+      list_lexicon_versions: 'GET /v1/lexicon/versions',
+      diff_lexicon_versions: 'GET /v1/lexicon/diff?from=:version&to=:version',
+      
       // System
+      taxonomies: 'GET /v1/taxonomies',
       stats: 'GET /v1/stats',
       status: 'GET /v1/status',
       health: 'GET /health'
@@ -1596,6 +2992,7 @@ app.get('/', (req, res) => {
 });
 
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Circuit API server running on port ${PORT}`);
 });
+sessionChannel.attach(server);
@@ -0,0 +1,234 @@
+// Session Channel
+// A WebSocket per session at /v1/sessions/:sessionId/live, so sessions can be driven and watched
+// without polling. Connections authenticate with the same API keys as the HTTP routes
+// (Authorization header, or ?api_key= for browsers, which can't set headers on a WebSocket), and
+// only open sessions of the key's organization.
+//
+//   ?role=client      (default) pushes { type: 'text', text } or { type: 'audio', audio: <base64> }
+//                     (binary frames are audio too) and gets { type: 'analysis', ref, message, analysis, current_mood }
+//   ?role=supervisor  read-only; pushes are rejected
+//
+// Every connection of a session receives { type: 'message', message, mood } for each new message,
+// whichever route added it, with the session's rolling mood after it (api/session-mood.js), and
+// { type: 'session_ended', summary } when it ends. Reconnecting with ?last_message_id= replays the
+// messages added since. The server pings every heartbeat interval and drops connections that didn't
+// answer the previous ping; { type: 'ping' } gets { type: 'pong' } for clients that can't see
+// protocol pings. The live feed reaches connections on the same instance.
+
+const { WebSocketServer } = require('ws');
+
+const CHANNEL_PATH = /^\/v1\/sessions\/([A-Za-z0-9_-]+)\/live$/;
+const ROLES = ['client', 'supervisor'];
+
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// The fields of a message row the live feed carries
+function toFeedMessage(row) {
+  return {
+    id: row.id,
+    message_type: row.message_type,
+    content: row.content,
+    overall_emotion: row.overall_emotion,
+    confidence: row.confidence !== null ? Number(row.confidence) : null,
+    emotions: parseJsonColumn(row.emotions),
+    vad: parseJsonColumn(row.vad),
+    sentiment: parseJsonColumn(row.sentiment),
+    created_at: row.created_at
+  };
+}
+
+function rejectUpgrade(socket, status, error) {
+  const reason = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 500: 'Internal Server Error' }[status] || 'Error';
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nContent-Type: application/json\r\nConnection: close\r\n\r\n` +
+    JSON.stringify({ success: false, error }));
+  socket.destroy();
+}
+
+function send(ws, payload) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+}
+
+// handlers (from server.js):
+//   authenticate(req)                      -> { apiKey, orgId } or { status, error }
+//   getSession(sessionId)                  -> { org_id, status, current_mood } or null
+//   getMessagesSince(sessionId, messageId) -> messages after messageId, or null if it isn't in the session
+//   addMessage({ sessionId, apiKey, payload, audio }) -> { message, analysis, currentMood }; throws { status, message }
+function createSessionChannel(handlers, { heartbeatMs = 30000 } = {}) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 50 * 1024 * 1024 });
+  const channels = new Map(); // sessionId -> Set of sockets
+  
+  // Connections still replaying (ws.held is set) get broadcasts after their replay
+  const broadcast = (sessionId, payload) => {
+    for (const ws of channels.get(sessionId) || []) {
+      if (ws.held) ws.held.push(payload);
+      else send(ws, payload);
+    }
+  };
+  
+  // A message was added to a session (over any route): feed it and the session's mood after it to its connections
+  const publishMessage = (sessionId, row, mood) => {
+    broadcast(sessionId, { type: 'message', message: toFeedMessage(row), mood });
+  };
+  
+  const publishSessionEnded = (sessionId, summary) => {
+    broadcast(sessionId, { type: 'session_ended', summary });
+    for (const ws of channels.get(sessionId) || []) {
+      if (!ws.held) ws.close(1000, 'Session ended');
+    }
+  };
+  
+  const handlePush = async (ws, context, data, isBinary) => {
+    let payload;
+    if (isBinary) {
+      payload = { type: 'audio' };
+    } else {
+      try {
+        payload = JSON.parse(data.toString());
+      } catch (error) {
+        return send(ws, { type: 'error', error: 'Messages must be JSON' });
+      }
+    }
+    
+    if (payload.type === 'ping') {
+      return send(ws, { type: 'pong', ref: payload.ref ?? null });
+    }
+    if (context.role === 'supervisor') {
+      return send(ws, { type: 'error', ref: payload.ref ?? null, error: 'Supervisor connections are read-only' });
+    }
+    if (!['text', 'audio'].includes(payload.type)) {
+      return send(ws, { type: 'error', ref: payload.ref ?? null, error: 'type must be text, audio or ping' });
+    }
+    
+    try {
+      const audio = isBinary ? data : null;
+      const { message, analysis, currentMood } = await handlers.addMessage({ sessionId: context.sessionId, apiKey: context.apiKey, payload, audio });
+      send(ws, { type: 'analysis', ref: payload.ref ?? null, message, analysis, current_mood: currentMood });
+      publishMessage(context.sessionId, message, currentMood);
+    } catch (error) {
+      if (!error.status || error.status >= 500) {
+        console.error(`Session channel ${context.sessionId} message error:`, error);
+      }
+      send(ws, { type: 'error', ref: payload.ref ?? null, error: error.status && error.status < 500 ? error.message : 'Failed to add message' });
+    }
+  };
+  
+  const handleConnection = async (ws, context) => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    
+    // One push at a time per connection, so messages are stored in the order they were sent
+    let pushes = Promise.resolve();
+    ws.on('message', (data, isBinary) => {
+      pushes = pushes.then(() => handlePush(ws, context, data, isBinary))
+        .catch(error => console.error(`Session channel ${context.sessionId} push error:`, error));
+    });
+    ws.on('close', () => {
+      const sockets = channels.get(context.sessionId);
+      if (!sockets) return;
+      sockets.delete(ws);
+      if (sockets.size === 0) channels.delete(context.sessionId);
+    });
+    
+    // Join the feed before querying what was missed, holding live messages back until the replay is
+    // sent so none falls between the two; the ones the replay already covered are dropped
+    ws.held = [];
+    if (!channels.has(context.sessionId)) channels.set(context.sessionId, new Set());
+    channels.get(context.sessionId).add(ws);
+    
+    const replayedIds = new Set();
+    if (context.lastMessageId) {
+      const missed = await handlers.getMessagesSince(context.sessionId, context.lastMessageId);
+      if (missed === null) {
+        send(ws, { type: 'error', error: `Unknown last_message_id: ${context.lastMessageId}` });
+      } else {
+        for (const row of missed) {
+          send(ws, { type: 'message', message: toFeedMessage(row), replay: true });
+          replayedIds.add(row.id);
+        }
+      }
+    }
+    
+    const held = ws.held;
+    ws.held = null;
+    send(ws, {
+      type: 'ready',
+      session_id: context.sessionId,
+      role: context.role,
+      status: context.session.status,
+      replayed: replayedIds.size,
+      mood: parseJsonColumn(context.session.current_mood),
+      heartbeat_ms: heartbeatMs
+    });
+    for (const payload of held) {
+      if (payload.type === 'message' && replayedIds.has(payload.message.id)) continue;
+      send(ws, payload);
+      if (payload.type === 'session_ended') ws.close(1000, 'Session ended');
+    }
+  };
+  
+  // Authenticate and route an HTTP upgrade; anything else on the path is refused with a JSON error
+  const handleUpgrade = async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(CHANNEL_PATH);
+    if (!match) return rejectUpgrade(socket, 404, 'Not found');
+    
+    try {
+      const role = url.searchParams.get('role') || 'client';
+      if (!ROLES.includes(role)) return rejectUpgrade(socket, 400, 'role must be client or supervisor');
+      
+      if (!req.headers.authorization && url.searchParams.get('api_key')) {
+        req.headers.authorization = `Bearer ${url.searchParams.get('api_key')}`;
+      }
+      const auth = await handlers.authenticate(req);
+      if (auth.error) return rejectUpgrade(socket, auth.status || 401, auth.error);
+      
+      const session = await handlers.getSession(match[1]);
+      if (!session) return rejectUpgrade(socket, 404, 'Session not found');
+      if (!auth.orgId || session.org_id !== auth.orgId) {
+        return rejectUpgrade(socket, 403, 'Session does not belong to this API key\'s organization');
+      }
+      
+      const context = {
+        sessionId: match[1],
+        session,
+        role,
+        apiKey: auth.apiKey,
+        lastMessageId: url.searchParams.get('last_message_id')
+      };
+      wss.handleUpgrade(req, socket, head, ws => {
+        handleConnection(ws, context).catch(error => {
+          console.error(`Session channel ${context.sessionId} connection error:`, error);
+          ws.close(1011, 'Internal error');
+        });
+      });
+    } catch (error) {
+      console.error('Session channel upgrade error:', error);
+      rejectUpgrade(socket, 500, 'Failed to open session channel');
+    }
+  };
+  
+  // Heartbeat: terminate connections that missed the last ping, ping the rest
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+  
+  const attach = (server) => {
+    server.on('upgrade', (req, socket, head) => {
+      handleUpgrade(req, socket, head);
+    });
+  };
+  
+  return { attach, publishMessage, publishSessionEnded };
+}
+
+module.exports = {
+  createSessionChannel
+};
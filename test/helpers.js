@@ -0,0 +1,18 @@
+// Shared test setup: a read-only JSON engine over the repo's lexicons, with no enrichment provider,
+// so tests never write to words/ or reach the network.
+
+const path = require('path');
+
+process.env.ENRICHMENT_PROVIDER = 'none';
+
+const { EmotionEngine } = require('../api/emotion-engine');
+
+function createTestEngine() {
+    return new EmotionEngine({
+        wordsDir: path.join(__dirname, '..', 'words'),
+        enrichmentProvider: null,
+        readOnly: true
+    });
+}
+
+module.exports = { createTestEngine };
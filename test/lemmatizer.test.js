@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    getLookupCandidates, createFuzzyBudget, isMidSentenceName, MAX_EDIT_CANDIDATES
+} = require('../api/lemmatizer');
+const { createTestEngine } = require('./helpers');
+
+const engine = createTestEngine();
+
+test('words like news and gas are not lemmatized or spell-corrected', () => {
+    assert.deepStrictEqual(getLookupCandidates('news'), []);
+    assert.deepStrictEqual(getLookupCandidates('gas'), []);
+    assert.strictEqual(getLookupCandidates('cats')[0].word, 'cat');
+});
+
+test('a fuzzy budget caps the spelling candidates of all lookups together', () => {
+    const budget = createFuzzyBudget();
+    let fuzzy = 0;
+    for (let i = 0; i < 200; i++) {
+        const candidates = getLookupCandidates(`misspelledword${String.fromCharCode(97 + i % 26)}s`, { budget });
+        fuzzy += candidates.filter(candidate => candidate.via === 'fuzzy').length;
+        // Lemmas are still tried once the budget is spent
+        assert.ok(candidates.some(candidate => candidate.via === 'lemma'));
+    }
+
+    assert.ok(fuzzy <= MAX_EDIT_CANDIDATES, `${fuzzy} fuzzy candidates`);
+    assert.ok(budget.skipped.size > 0);
+});
+
+test('capitalized words after the first of a sentence count as names', () => {
+    const tokens = ['Mike', 'met', 'Sarah.', 'Then', '"Tom"', 'left', 'HAPPY'];
+    assert.strictEqual(isMidSentenceName(tokens, 0), false);
+    assert.strictEqual(isMidSentenceName(tokens, 2), true);
+    assert.strictEqual(isMidSentenceName(tokens, 3), false);
+    assert.strictEqual(isMidSentenceName(tokens, 4), true);
+    assert.strictEqual(isMidSentenceName(tokens, 6), false);
+});
+
+test('names are not spell-corrected into lexicon words', async () => {
+    const named = await engine.analyzeText('I met Mike today');
+    assert.strictEqual(named.word_analysis.find(w => w.clean_word === 'mike').found, false);
+
+    const typo = await engine.analyzeText('i met mike today');
+    assert.strictEqual(typo.word_analysis.find(w => w.clean_word === 'mike').matched_via, 'fuzzy');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require('./helpers');
+const { getLexiconFileName } = require('../api/language');
+const { EmotionEngine } = require('../api/emotion-engine');
+
+test('words starting with an accented letter go in the file of the bare letter', () => {
+    assert.strictEqual(getLexiconFileName('ánimo'), 'a.json');
+    assert.strictEqual(getLexiconFileName('él'), 'e.json');
+    assert.strictEqual(getLexiconFileName('ñoño'), 'n.json');
+    assert.strictEqual(getLexiconFileName('9am'), 'numbers.json');
+    assert.strictEqual(getLexiconFileName(':)'), 'emoji.json');
+    assert.strictEqual(getLexiconFileName('over the moon'), 'phrases.json');
+});
+
+test('every lexicon entry is in the file the engine looks it up in', () => {
+    for (const dir of ['words', 'words-es']) {
+        const lexiconDir = path.join(__dirname, '..', dir);
+        for (const file of fs.readdirSync(lexiconDir).filter(name => name.endsWith('.json'))) {
+            const { words } = JSON.parse(fs.readFileSync(path.join(lexiconDir, file), 'utf8'));
+            for (const entry of words) {
+                assert.strictEqual(getLexiconFileName(entry.word.normalize('NFC').toLowerCase()), file,
+                    `${dir}/${file}: "${entry.word}"`);
+            }
+        }
+    }
+});
+
+test('the JSON engine finds Spanish words that start with an accented letter', () => {
+    const wordsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lexicon-')), 'words');
+    fs.mkdirSync(wordsDir);
+    fs.mkdirSync(`${wordsDir}-es`);
+    const stats = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'words', 'h.json'), 'utf8'))
+        .words.find(entry => entry.word === 'happy').stats;
+    fs.writeFileSync(path.join(`${wordsDir}-es`, 'a.json'), JSON.stringify({ words: [{ word: 'ánimo', stats }] }));
+
+    try {
+        const engine = new EmotionEngine({ wordsDir, enrichmentProvider: null, readOnly: true });
+        assert.ok(engine.getWordData('ánimo', engine.getLexicon('es')));
+    } finally {
+        fs.rmSync(path.dirname(wordsDir), { recursive: true, force: true });
+    }
+});
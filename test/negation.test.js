@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createTestEngine } = require('./helpers');
+
+const engine = createTestEngine();
+
+const negatedWords = result => result.word_analysis.filter(w => w.negated).map(w => w.clean_word);
+
+test('a negator flips the emotional words right after it', async () => {
+    const result = await engine.analyzeText('I am not happy');
+    assert.deepStrictEqual(negatedWords(result), ['happy']);
+    assert.strictEqual(result.overall_emotion, 'sadness');
+});
+
+test('the scope ends where another clause starts', async () => {
+    const cases = [
+        ['I am not sure this is good', 'good'],
+        ['I was not sure it was great', 'great'],
+        ['I am not happy that you love it', 'love'],
+        ['I am not angry because I love it', 'love']
+    ];
+    for (const [text, word] of cases) {
+        assert.ok(!negatedWords(await engine.analyzeText(text)).includes(word), text);
+    }
+});
+
+test('"that" as a degree word stays in the scope', async () => {
+    assert.deepStrictEqual(negatedWords(await engine.analyzeText('not that bad')), ['bad']);
+});
+
+test('comparatives after a negator are not inverted', async () => {
+    for (const text of ['I have never been happier', 'nothing makes me happier', 'never felt better']) {
+        const result = await engine.analyzeText(text);
+        assert.ok(!negatedWords(result).some(word => ['happier', 'better'].includes(word)), text);
+        assert.strictEqual(result.overall_emotion, 'joy', text);
+    }
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createTestEngine } = require('./helpers');
+
+const engine = createTestEngine();
+
+test('the clause after "but" decides the overall result, not just the sentence score', async () => {
+    const complaint = await engine.analyzeText('the food was great, but the service was terrible');
+    assert.strictEqual(complaint.overall_emotion, 'fear');
+    assert.strictEqual(complaint.sentiment.polarity, 'negative');
+
+    const praise = await engine.analyzeText('the service was terrible, but the food was great');
+    assert.strictEqual(praise.overall_emotion, 'joy');
+    assert.strictEqual(praise.sentiment.polarity, 'positive');
+});
+
+test('overall and per-sentence scores agree on a contrastive sentence', async () => {
+    const result = await engine.analyzeText('the food was great but i hate the service', { breakdown: true });
+    assert.strictEqual(result.sentences.length, 1);
+    assert.strictEqual(result.overall_emotion, result.sentences[0].emotion);
+});
+
+test('clause weights are left off the reported word analyses', async () => {
+    const result = await engine.analyzeText('the food was great, but the service was terrible', { explain: true });
+    const terrible = result.word_analysis.find(w => w.clean_word === 'terrible');
+    assert.strictEqual(terrible.intensity_multiplier, 1.0);
+    assert.strictEqual(terrible.clause_weight, undefined);
+
+    const contribution = result.explanation.contributions.find(c => c.clean_word === 'terrible');
+    assert.strictEqual(contribution.clause_weight, 1.5);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createTestEngine } = require('./helpers');
+
+const engine = createTestEngine();
+
+const spanOf = (text, result, cleanWord) => {
+    const wordAnalysis = result.word_analysis.find(w => w.clean_word === cleanWord);
+    return text.slice(wordAnalysis.start, wordAnalysis.end);
+};
+
+test('emoticons keep their whole span', async () => {
+    const text = 'I <3 it, great :D';
+    const result = await engine.analyzeText(text, { annotate: 'html' });
+
+    assert.strictEqual(spanOf(text, result, '<3'), '<3');
+    assert.strictEqual(spanOf(text, result, ':d'), ':D');
+    assert.match(result.annotated.text, /<span [^>]*>&lt;3<\/span>/);
+    assert.match(result.annotated.text, /<span [^>]*>:D<\/span>/);
+});
+
+test('words are trimmed to their letters', async () => {
+    const text = '"great," she said';
+    const result = await engine.analyzeText(text);
+
+    assert.strictEqual(spanOf(text, result, 'great'), 'great');
+});
+
+test('inline markup is left out of keys and spans', async () => {
+    const text = 'I am <b>not</b> happy</b>, love it';
+    const result = await engine.analyzeText(text, { annotate: 'html' });
+
+    assert.strictEqual(spanOf(text, result, 'not'), 'not');
+    assert.strictEqual(spanOf(text, result, 'happy'), 'happy');
+    assert.ok(result.word_analysis.find(w => w.clean_word === 'happy').negated);
+    assert.ok(!result.word_analysis.find(w => w.clean_word === 'love').negated);
+});